@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createRenderer, RenderRequestError } = require('../lib/renderer');
+const { summarizeLayoutReport } = require('../lib/layout-report');
+const { summarizeAtsCheck } = require('../lib/ats-check');
+const { createNetworkPolicy, createAssetRegistry } = require('../lib/network-policy');
+const { NETWORK_ISOLATION_ARGS } = require('../lib/browser-pool');
+
+const USAGE = `Usage: resume-pdf <input.html | resume.json> [options]
+
+Renders an HTML resume (or a JSON Resume file through a server-side template)
+to PDF with the same pipeline as the service's POST /render.
+
+Options:
+  -o, --output <file>     Where to write the PDF (default: input name with .pdf)
+  --mode <mode>           page or continuous (default: page)
+  --page-size <size>      A4, A5, B5, "US Letter", Legal or <width>x<height> in mm (default: A4)
+  --orientation <value>   portrait or landscape
+  --margin <mm>           Print margins: "10", "10,15" (vertical,horizontal) or "top,right,bottom,left"
+  --padding <mm>          Page padding, same format as --margin
+  --template <id>         templateId (CSS class, and the template for JSON Resume input)
+  --fit-to-pages <n>      Tighten spacing and type until the resume fits on n pages
+  --timeout <ms>          Deadline for the whole render
+  --fail-on-overflow      Fail instead of writing a PDF with clipped content
+  --ats                   Check the PDF's text layer and write it next to the PDF as .txt
+  --assets <dir>          Serve files from <dir> for relative URLs (default: the input's directory)
+  --offline               Block every network request; only data: URLs and --assets files load
+  --chrome <path>         Chrome/Chromium executable (default: the browser installed with puppeteer)
+  --verbose               Log every render step (warnings and errors are always shown)
+  -h, --help              Show this help
+`;
+
+// "10" -> all sides, "10,15" -> vertical,horizontal, "1,2,3,4" -> top,right,bottom,left
+function parseBox(value, flag) {
+  const parts = value.split(',').map((part) => Number(part.trim()));
+  if (![1, 2, 4].includes(parts.length) || parts.some((part) => !Number.isFinite(part) || part < 0)) {
+    throw new Error(`Invalid ${flag}: expected 1, 2 or 4 comma-separated millimetre values`);
+  }
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+function parsePageSize(value) {
+  const custom = value.match(/^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/i);
+  return custom ? { widthMm: Number(custom[1]), heightMm: Number(custom[2]) } : value;
+}
+
+function parseInteger(value, flag) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) {
+    throw new Error(`Invalid ${flag}: expected an integer`);
+  }
+  return parsed;
+}
+
+// Relative URLs in the HTML resolve against the asset base URL, which is
+// answered from the assets directory
+function withAssetBase(html, baseUrl) {
+  if (/<base\s/i.test(html)) return html;
+  const base = `<base href="${baseUrl}">`;
+  return /<head[^>]*>/i.test(html) ? html.replace(/<head[^>]*>/i, (head) => `${head}${base}`) : `${base}${html}`;
+}
+
+function buildRequest(values, inputPath, assetBaseUrl) {
+  const source = fs.readFileSync(inputPath, 'utf8');
+  const request = path.extname(inputPath).toLowerCase() === '.json'
+    ? { resume: JSON.parse(source) }
+    : { html: withAssetBase(source, assetBaseUrl) };
+
+  if (values.mode) request.previewViewMode = values.mode;
+  if (values['page-size']) request.previewPageSize = parsePageSize(values['page-size']);
+  if (values.orientation) request.orientation = values.orientation;
+  if (values.margin) request.marginMm = parseBox(values.margin, '--margin');
+  if (values.padding) request.pagePaddingMm = parseBox(values.padding, '--padding');
+  if (values.template) request.templateId = values.template;
+  if (values['fit-to-pages']) request.fitToPages = parseInteger(values['fit-to-pages'], '--fit-to-pages');
+  if (values.timeout) request.timeoutMs = parseInteger(values.timeout, '--timeout');
+  if (values['fail-on-overflow']) request.failOnOverflow = true;
+  if (values.ats) request.atsCheck = true;
+  return request;
+}
+
+function isInstalled(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function createLauncher(executablePath) {
+  const puppeteer = require('puppeteer-core');
+  return () => puppeteer.launch({
+    executablePath,
+    headless: true,
+    args: [...NETWORK_ISOLATION_ARGS, '--no-sandbox', '--disable-setuid-sandbox'],
+  });
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        mode: { type: 'string' },
+        'page-size': { type: 'string' },
+        orientation: { type: 'string' },
+        margin: { type: 'string' },
+        padding: { type: 'string' },
+        template: { type: 'string' },
+        'fit-to-pages': { type: 'string' },
+        timeout: { type: 'string' },
+        'fail-on-overflow': { type: 'boolean' },
+        ats: { type: 'boolean' },
+        assets: { type: 'string' },
+        offline: { type: 'boolean' },
+        chrome: { type: 'string' },
+        verbose: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    process.stderr.write(USAGE);
+    return 2;
+  }
+
+  const inputPath = path.resolve(positionals[0]);
+  const outputPath = path.resolve(values.output || inputPath.replace(/\.[^./\\]+$/, '') + '.pdf');
+
+  // The pipeline logs every step for the service; only its warnings and errors
+  // are shown unless asked
+  const logger = values.verbose ? console : { log() {}, info() {}, warn: console.warn, error: console.error };
+
+  // Without --chrome the browser comes from puppeteer, an optional peer dependency
+  const executablePath = values.chrome || process.env.PUPPETEER_EXECUTABLE_PATH;
+  if (!executablePath && !isInstalled('puppeteer')) {
+    process.stderr.write('resume-pdf: no browser to render with. Install puppeteer (npm install puppeteer) or pass --chrome <path> / set PUPPETEER_EXECUTABLE_PATH\n');
+    return 1;
+  }
+
+  const assetRegistry = createAssetRegistry({ dir: values.assets || path.dirname(inputPath), logger });
+  let request;
+  try {
+    request = buildRequest(values, inputPath, assetRegistry.baseUrl);
+  } catch (error) {
+    process.stderr.write(`resume-pdf: ${error.message}\n`);
+    return 2;
+  }
+
+  const renderer = createRenderer({
+    logger,
+    assetRegistry,
+    networkPolicy: values.offline ? createNetworkPolicy({ allowedSchemes: ['data', 'blob'] }) : undefined,
+    browserPoolOptions: {
+      size: 1,
+      launch: executablePath ? createLauncher(executablePath) : undefined,
+    },
+  });
+
+  try {
+    const { error, details, options } = renderer.resolveRenderRequest(request);
+    if (error) {
+      throw new RenderRequestError(error, details);
+    }
+    const result = await renderer.renderPdf(options);
+    fs.writeFileSync(outputPath, result.buffer);
+
+    process.stderr.write(`Wrote ${path.relative(process.cwd(), outputPath)} (${result.pageCount} page${result.pageCount === 1 ? '' : 's'}, ${result.buffer.length} bytes)\n`);
+    for (const warning of result.warnings) {
+      process.stderr.write(`warning: ${warning}\n`);
+    }
+    if (!result.report.clean) {
+      process.stderr.write(`warning: layout report: ${summarizeLayoutReport(result.report)}\n`);
+    }
+    if (result.ats) {
+      const textPath = outputPath.replace(/\.pdf$/i, '') + '.txt';
+      fs.writeFileSync(textPath, result.ats.text);
+      process.stderr.write(`Wrote ${path.relative(process.cwd(), textPath)} (ATS check: ${summarizeAtsCheck(result.ats)})\n`);
+      for (const issue of result.ats.issues) {
+        process.stderr.write(`warning: ${issue.type}: ${issue.message}\n`);
+      }
+    }
+    if (result.network.blockedCount > 0) {
+      process.stderr.write(`warning: blocked ${result.network.blockedCount} network request(s): ${result.network.blocked.map((entry) => entry.url).join(', ')}\n`);
+    }
+    return 0;
+  } catch (error) {
+    process.stderr.write(`resume-pdf: ${error.message}\n`);
+    for (const detail of error.details || []) {
+      process.stderr.write(`  ${detail.path}: ${detail.message}\n`);
+    }
+    for (const entry of error.report ? [...error.report.overflow, ...error.report.outsidePrintableArea] : []) {
+      process.stderr.write(`  page ${entry.pageNumber}: <${entry.element.tag}> ${entry.side ? `${entry.side} edge` : 'bottom'} +${entry.overflowPx}px "${entry.element.text}"\n`);
+    }
+    return error instanceof RenderRequestError ? 2 : 1;
+  } finally {
+    await renderer.close();
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -1,70 +1,171 @@
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
-const puppeteer = require('puppeteer-core');
-const chromium = require('@sparticuz/chromium');
-
-// Check if we're in a serverless environment (Render.com, Vercel, etc.)
-const isServerless = !!process.env.RENDER || !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+const { createMemoryJobStore } = require('./lib/job-store');
+const { DEFAULT_SCOPES, loadApiKeyConfig, createApiKeyStore } = require('./lib/api-keys');
+const { createMemoryRateLimitStore, createRedisRateLimitStore, createRespClient } = require('./lib/rate-limit');
+const { createMetricsRegistry, createStageTimer, formatServerTiming } = require('./lib/metrics');
+const { pdfCacheKey, createMemoryPdfCacheStore, createDiskPdfCacheStore } = require('./lib/pdf-cache');
+const { MissingFontsError } = require('./lib/fonts');
+const { RenderTimeoutError, RenderCancelledError } = require('./lib/deadline');
+const { LayoutOverflowError, summarizeLayoutReport } = require('./lib/layout-report');
+const { summarizeAtsCheck } = require('./lib/ats-check');
+const { createRenderer, PAGE_SIZES } = require('./lib/renderer');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { version } = require('./package.json');
+const { DEFAULT_TEMPLATE_ID, listTemplates } = require('./lib/templates');
 
 const app = express();
 app.use(express.json({ limit: '10mb' }));
 
-// API Key Authentication
-const PDF_SERVICE_API_KEY = process.env.PDF_SERVICE_API_KEY;
-if (!PDF_SERVICE_API_KEY) {
-  console.warn('[PDF Service] WARNING: PDF_SERVICE_API_KEY not set. Service is unsecured!');
+// Prometheus metrics, exposed on GET /metrics
+const metrics = createMetricsRegistry();
+const httpRequestsTotal = metrics.counter('resume_pdf_http_requests_total', 'HTTP requests by route, method and status code', ['route', 'method', 'status']);
+const httpRequestDuration = metrics.histogram('resume_pdf_http_request_duration_seconds', 'HTTP request duration in seconds', ['route', 'method']);
+const rendersTotal = metrics.counter('resume_pdf_renders_total', 'Renders by output, view mode, page size, template and outcome', ['output', 'mode', 'page_size', 'template', 'outcome']);
+const renderDuration = metrics.histogram('resume_pdf_render_duration_seconds', 'End-to-end render duration in seconds', ['output', 'mode']);
+const renderStageDuration = metrics.histogram('resume_pdf_render_stage_duration_seconds', 'Time spent in each render stage in seconds', ['output', 'stage']);
+const pagesTotal = metrics.counter('resume_pdf_pages_total', 'Pages produced', ['output']);
+const pdfBytes = metrics.histogram('resume_pdf_pdf_bytes', 'Size of generated PDFs in bytes', [], [25e3, 50e3, 1e5, 2.5e5, 5e5, 1e6, 2.5e6, 5e6, 1e7]);
+const pdfCacheLookupsTotal = metrics.counter('resume_pdf_cache_lookups_total', 'PDF cache lookups by result', ['result']);
+const rateLimitRejectionsTotal = metrics.counter('resume_pdf_rate_limit_rejections_total', 'Requests rejected by a rate limit or daily quota', ['route', 'reason']);
+
+// Route label for request metrics; kept to known routes so label values stay bounded
+const METRIC_ROUTES = ['/render/images', '/render/bundle', '/render', '/layout', '/jobs', '/admin', '/metrics', '/templates', '/fonts', '/health', '/openapi.json'];
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    // Requests answered by middleware (401, 429) have no req.route
+    const path = req.originalUrl.split('?')[0];
+    const route = req.route
+      ? `${req.baseUrl}${req.route.path}`
+      : METRIC_ROUTES.find((prefix) => path === prefix || path.startsWith(`${prefix}/`)) || 'other';
+    httpRequestsTotal.inc({ route, method: req.method, status: res.statusCode });
+    httpRequestDuration.observe({ route, method: req.method }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  next();
+});
+
+// API Key Authentication: named keys from API_KEYS_FILE / API_KEYS, plus PDF_SERVICE_API_KEY.
+// Running without keys has to be switched on explicitly, and only works while no key is configured.
+const apiKeyStore = createApiKeyStore(loadApiKeyConfig());
+const ALLOW_UNAUTHENTICATED = process.env.ALLOW_UNAUTHENTICATED === 'true' && apiKeyStore.size === 0;
+if (ALLOW_UNAUTHENTICATED) {
+  console.warn('[PDF Service] WARNING: ALLOW_UNAUTHENTICATED is set and no API keys are configured. Anyone can render. Service is unsecured!');
+} else if (process.env.ALLOW_UNAUTHENTICATED === 'true') {
+  console.warn('[PDF Service] WARNING: ALLOW_UNAUTHENTICATED is set but API keys are configured, so it is ignored and every request needs a key.');
+} else if (apiKeyStore.size === 0) {
+  console.error('[PDF Service] No API keys configured: every request will be rejected. Set API_KEYS or PDF_SERVICE_API_KEY, or ALLOW_UNAUTHENTICATED=true for local development.');
 }
 
-// Rate limiting store (in-memory, resets on service restart)
-const rateLimitStore = new Map();
+// Rate limiting: sliding-window counters in a pluggable store. RATE_LIMIT_STORE=redis
+// shares them between instances through RATE_LIMIT_REDIS_URL; the default
+// in-memory store resets on service restart.
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 10; // 10 requests per minute per IP
+const RATE_LIMIT_MAX_REQUESTS = 10; // 10 requests per minute per client
+// Job polling, admin, metrics and the template and font lists are cheap, and
+// are limited separately from the renders
+const RATE_LIMIT_READ_MAX_REQUESTS = 60;
+const RENDER_ROUTES = ['/render', '/render/images', '/render/bundle', '/jobs', '/layout'];
+const READ_ROUTES = ['/admin', '/metrics', '/templates', '/fonts'];
+const RATE_LIMIT_PARENTS = { '/render/images': '/render', '/render/bundle': '/render' };
+// Per-route limits, e.g. RATE_LIMITS='{"default": {"requests": 20}, "/layout": {"requests": 60, "windowMs": 60000}}'
+const RATE_LIMIT_ROUTES = process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {};
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'redis'
+  ? createRedisRateLimitStore(createRespClient(process.env.RATE_LIMIT_REDIS_URL || 'redis://127.0.0.1:6379'))
+  : createMemoryRateLimitStore();
+
+// A route without a limit of its own uses its parent's: /render/images falls back to /render
+function routeLimit(limits, route) {
+  if (!limits) return null;
+  return limits[route] || limits[RATE_LIMIT_PARENTS[route]] || null;
+}
 
-// Rate limiting middleware
-function rateLimitMiddleware(req, res, next) {
-  const clientId = req.headers['x-api-key'] || req.ip || 'unknown';
-  const now = Date.now();
-  
-  if (!rateLimitStore.has(clientId)) {
-    rateLimitStore.set(clientId, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
+// Most specific wins: the key's per-route limit, the key's own limit, the route's, the default.
+// The key's own limit and the default only apply to renders.
+function resolveRateLimit(route, apiKey) {
+  const keyLimit = apiKey?.rateLimit;
+  const isRender = RENDER_ROUTES.includes(route);
+  const limit = routeLimit(keyLimit?.routes, route)
+    || (isRender && keyLimit?.requests ? keyLimit : null)
+    || routeLimit(RATE_LIMIT_ROUTES, route)
+    || (isRender ? RATE_LIMIT_ROUTES.default : null)
+    || {};
+  return {
+    limit: limit.requests || (isRender ? RATE_LIMIT_MAX_REQUESTS : RATE_LIMIT_READ_MAX_REQUESTS),
+    windowMs: limit.windowMs || RATE_LIMIT_WINDOW,
+  };
+}
+
+// The bucket a request counts in: each render route has its own, job status
+// and results share /jobs/:id, and other reads count per top-level path
+function rateLimitRoute(req) {
+  if (req.method === 'POST' && RENDER_ROUTES.includes(req.path)) return req.path;
+  if (req.method === 'GET' && req.path.startsWith('/jobs/')) return '/jobs/:id';
+  return READ_ROUTES.find((prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`)) || 'other';
+}
+
+// Rate limiting middleware for every authenticated request. Keys are limited by
+// name, anonymous clients per IP. Every response carries RateLimit-* headers; 429s add Retry-After.
+async function rateLimitMiddleware(req, res, next) {
+  if (isPublicRequest(req)) {
     return next();
   }
   
-  const limit = rateLimitStore.get(clientId);
+  const route = rateLimitRoute(req);
+  const clientId = req.apiKey ? `key:${req.apiKey.name}` : `ip:${req.ip || 'unknown'}`;
+  const { limit, windowMs } = resolveRateLimit(route, req.apiKey);
   
-  // Reset if window expired
-  if (now > limit.resetTime) {
-    limit.count = 1;
-    limit.resetTime = now + RATE_LIMIT_WINDOW;
+  let result;
+  try {
+    result = await rateLimitStore.hit(`${route}:${clientId}`, { limit, windowMs });
+  } catch (error) {
+    // An unreachable store must not take the service down with it
+    console.error('[PDF Service] Rate limit store failed, allowing request:', error.message);
     return next();
   }
   
-  // Check if limit exceeded
-  if (limit.count >= RATE_LIMIT_MAX_REQUESTS) {
+  res.set('RateLimit-Limit', String(limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+  res.set('RateLimit-Policy', `${limit};w=${Math.round(windowMs / 1000)}`);
+  
+  if (!result.allowed) {
+    rateLimitRejectionsTotal.inc({ route, reason: 'rate-limit' });
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
     return res.status(429).json({
       error: 'Rate limit exceeded',
-      message: `Too many requests. Maximum ${RATE_LIMIT_MAX_REQUESTS} requests per minute.`,
-      retryAfter: Math.ceil((limit.resetTime - now) / 1000),
+      message: `Too many requests. Maximum ${limit} requests per ${Math.round(windowMs / 1000)} seconds.`,
+      retryAfter,
     });
   }
   
-  limit.count++;
   next();
 }
 
+// The health check, the API description and the bundled font files (loaded by
+// browsers, which send no key) need no key and are not rate limited
+const isPublicRequest = (req) =>
+  req.path === '/health' || req.path === '/openapi.json' || (req.method === 'GET' && req.path.startsWith('/fonts/'));
+
 // API key authentication middleware
 function apiKeyAuthMiddleware(req, res, next) {
-  // Skip auth for health check
-  if (req.path === '/health') {
+  if (isPublicRequest(req)) {
     return next();
   }
   
-  // If no API key is configured, allow all requests (development mode)
-  if (!PDF_SERVICE_API_KEY) {
+  // Also accepted as a bearer token, which Prometheus scrapers can send
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  const apiKey = req.headers['x-api-key'] || (bearer && bearer[1]);
+  
+  // Explicit development mode: requests without a key may render, but not reach the admin endpoints or /metrics
+  if (!apiKey && ALLOW_UNAUTHENTICATED) {
+    req.apiKey = null;
+    req.scopes = DEFAULT_SCOPES;
     return next();
   }
   
-  const apiKey = req.headers['x-api-key'];
-  
   if (!apiKey) {
     return res.status(401).json({
       error: 'Unauthorized',
@@ -72,713 +173,832 @@ function apiKeyAuthMiddleware(req, res, next) {
     });
   }
   
-  if (apiKey !== PDF_SERVICE_API_KEY) {
+  const { key, error } = apiKeyStore.authenticate(apiKey);
+  if (error) {
     return res.status(403).json({
       error: 'Forbidden',
-      message: 'Invalid API key.',
+      message: error === 'expired' ? 'API key has expired.' : 'Invalid API key.',
     });
   }
   
+  req.apiKey = key;
+  req.scopes = key.scopes;
   next();
 }
 
-// Apply middleware
-app.use(apiKeyAuthMiddleware);
-app.use('/render', rateLimitMiddleware);
-
-// Page size constants (in millimeters)
-const PAGE_SIZES = {
-  A4: { width: 210, height: 297 },
-  'US Letter': { width: 215.9, height: 279.4 },
-};
-
-// Convert pixels to millimeters (1mm ≈ 3.779px at 96dpi)
-function pxToMm(px) {
-  return px / 3.779;
-}
-
-// Get page dimensions
-function getPageDimensions(pageSize) {
-  return PAGE_SIZES[pageSize] || PAGE_SIZES.A4;
+// Reject keys that lack the scope a route needs; any of `alsoAllowed` will do too
+function requireScope(scope, ...alsoAllowed) {
+  return (req, res, next) => {
+    if (![scope, ...alsoAllowed].some((allowed) => req.scopes.includes(allowed))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `API key is missing the "${scope}" scope.`,
+      });
+    }
+    next();
+  };
 }
 
-// Measure content height in continuous scroll mode
-async function measureContentHeight(page) {
-  const measurements = await page.evaluate(() => {
-    const container = document.querySelector('.resume-container');
-    const body = document.body;
-    const html = document.documentElement;
-    
-    // Force reflow
-    if (container) void container.offsetHeight;
-    void body.offsetHeight;
-    void html.offsetHeight;
-    
-    const measurements = {};
-    
-    // Measure resume-container
-    if (container) {
-      const containerEl = container;
-      const rect = containerEl.getBoundingClientRect();
-      measurements['resume-container.scrollHeight'] = containerEl.scrollHeight;
-      measurements['resume-container.offsetHeight'] = containerEl.offsetHeight;
-      measurements['resume-container.getBoundingClientRect().height'] = rect.height;
-      measurements['resume-container.children.length'] = containerEl.children.length;
-      
-      const header = containerEl.querySelector('.resume-header');
-      measurements['resume-container.hasHeader'] = header ? 1 : 0;
-      if (header) {
-        measurements['resume-header.offsetHeight'] = header.offsetHeight;
-      }
-    } else {
-      measurements['resume-container'] = 0;
-    }
-    
-    // Measure body
-    measurements['body.scrollHeight'] = body.scrollHeight;
-    measurements['body.offsetHeight'] = body.offsetHeight;
-    
-    // Measure documentElement
-    measurements['documentElement.scrollHeight'] = html.scrollHeight;
-    measurements['documentElement.offsetHeight'] = html.offsetHeight;
-    
-    return measurements;
-  });
-  
-  console.log('[PDF Service] Height measurements:', JSON.stringify(measurements, null, 2));
-  
-  let height = 0;
-  
-  if (measurements['resume-container.scrollHeight']) {
-    height = Math.max(
-      measurements['resume-container.scrollHeight'] || 0,
-      measurements['resume-container.offsetHeight'] || 0,
-      measurements['resume-container.getBoundingClientRect().height'] || 0
-    );
-    console.log('[PDF Service] Using resume-container height:', height);
-  } else {
-    height = Math.max(
-      measurements['body.scrollHeight'] || 0,
-      measurements['body.offsetHeight'] || 0,
-      measurements['documentElement.scrollHeight'] || 0,
-      measurements['documentElement.offsetHeight'] || 0
-    );
-    console.log('[PDF Service] Using body/documentElement height (fallback):', height);
+// Count a render against the key's daily quota (UTC days). Routes call this
+// once the request is valid and about to render, so invalid requests, 304s and
+// cache hits are free. Answers 429 and returns false when the quota is used up.
+// A render that then fails gets its unit back through refundDailyQuota.
+function chargeDailyQuota(req, res) {
+  if (!req.apiKey) {
+    return true;
   }
   
-  // Add padding to account for margins
-  const padding = 150; // 150px to account for margins and ensure single page
-  const finalHeight = height + padding;
-  
-  console.log('[PDF Service] Final height calculation:', {
-    baseHeight: height,
-    padding,
-    finalHeight,
-    hasHeader: measurements['resume-container.hasHeader'] === 1,
-    headerHeight: measurements['resume-header.offsetHeight'] || 0,
-  });
-  
-  return finalHeight;
+  const quota = apiKeyStore.consumeQuota(req.apiKey);
+  if (quota.limit !== null) {
+    res.set('X-Quota-Limit', String(quota.limit));
+    res.set('X-Quota-Remaining', String(quota.remaining));
+    res.set('X-Quota-Reset', new Date(quota.resetAt).toISOString());
+  }
+  if (!quota.allowed) {
+    rateLimitRejectionsTotal.inc({ route: req.route.path, reason: 'daily-quota' });
+    res.status(429).json({
+      error: 'Quota exceeded',
+      message: `Daily quota of ${quota.limit} renders used up.`,
+      resetAt: new Date(quota.resetAt).toISOString(),
+    });
+    return false;
+  }
+  res.locals.quotaCharged = true;
+  return true;
 }
 
-// Apply page breaks using preview-style unit pagination.
-async function applyPreviewPaginationBreaks(page, pageSize, templateId, pagePaddingMm) {
-  const dimensions = getPageDimensions(pageSize);
-  const resolvedPadding = {
-    top: Number.isFinite(pagePaddingMm?.top) ? pagePaddingMm.top : 10,
-    right: Number.isFinite(pagePaddingMm?.right) ? pagePaddingMm.right : 10,
-    bottom: Number.isFinite(pagePaddingMm?.bottom) ? pagePaddingMm.bottom : 10,
-    left: Number.isFinite(pagePaddingMm?.left) ? pagePaddingMm.left : 10,
-  };
-  const verticalPadding = resolvedPadding.top + resolvedPadding.bottom;
-  // Match app preview/export geometry: width uses the canonical "double horizontal"
-  // calculation while page wrappers still render with 10mm visual padding per side.
-  const horizontalPadding = (resolvedPadding.left + resolvedPadding.right) * 2;
-  const usableHeightPx = (dimensions.height - verticalPadding) * 3.779;
-  const usableWidthPx = (dimensions.width - horizontalPadding) * 3.779;
-  const editorClasses = `ProseMirror tiptap-editor preview-mode template-${templateId || 'classic'}`;
-  const SMALL_BLOCK_RATIO = 0.25;
-  
-  await page.evaluate(({ usableHeightPx, usableWidthPx, editorClasses, SMALL_BLOCK_RATIO, dimensions, resolvedPadding }) => {
-    const container = document.querySelector('.resume-container');
-    if (!container) return;
-
-    // If the incoming HTML is already pre-paginated (app generated .pages-container/.export-page),
-    // we skip pagination to avoid duplicating work and drifting page layout.
-    const exportPagesContainer = document.querySelector(
-      '.pages-container.export-pages-container',
-    );
-    if (exportPagesContainer && exportPagesContainer.querySelector('.export-page')) {
-      // Keep existing pre-paginated pages consistent with requested margin contract.
-      const existingPages = exportPagesContainer.querySelectorAll('.export-page');
-      existingPages.forEach((pageEl) => {
-        pageEl.style.padding = `${resolvedPadding.top}mm ${resolvedPadding.right}mm ${resolvedPadding.bottom}mm ${resolvedPadding.left}mm`;
-      });
-      return;
+function refundDailyQuota(req, res) {
+  if (res.locals.quotaCharged) {
+    apiKeyStore.refundQuota(req.apiKey);
+    res.locals.quotaCharged = false;
+    const remaining = res.get('X-Quota-Remaining');
+    if (remaining !== undefined) {
+      res.set('X-Quota-Remaining', String(Number(remaining) + 1));
     }
-    
-    const containerEl = container;
-    const blocks = Array.from(containerEl.children);
-    if (blocks.length === 0) return;
-    
-    const isHeading = (el) => /^H[1-6]$/.test(el.tagName.toUpperCase());
-    
-    const measureHeightLikePreview = (element, containerWidthPx, cssClasses) => {
-      if (element.isConnected && element.parentElement) {
-        const parentWidth = element.parentElement.getBoundingClientRect().width;
-        if (Math.abs(parentWidth - containerWidthPx) < 10) {
-          void element.offsetHeight;
-          const directHeight = element.scrollHeight || element.offsetHeight;
-          if (directHeight > 0) {
-            return directHeight;
-          }
-        }
-      }
-
-      const tempContainer = document.createElement('div');
-      tempContainer.style.width = `${containerWidthPx}px`;
-      tempContainer.style.position = 'absolute';
-      tempContainer.style.visibility = 'hidden';
-      tempContainer.style.top = '-9999px';
-      tempContainer.style.left = '-9999px';
-      tempContainer.style.boxSizing = 'border-box';
-
-      const editorContainer = document.createElement('div');
-      editorContainer.className = 'tiptap-editor-container';
-      editorContainer.style.width = '100%';
-      editorContainer.style.boxSizing = 'border-box';
-
-      const wrapper = document.createElement('div');
-      wrapper.style.width = '100%';
-      wrapper.style.boxSizing = 'border-box';
-      wrapper.style.minHeight = '0';
-      wrapper.style.height = 'auto';
-      if (cssClasses) {
-        wrapper.className = cssClasses;
-      }
-
-      const cloned = element.cloneNode(true);
-      wrapper.appendChild(cloned);
-      editorContainer.appendChild(wrapper);
-      tempContainer.appendChild(editorContainer);
-      document.body.appendChild(tempContainer);
-
-      void tempContainer.offsetHeight;
-      void wrapper.offsetHeight;
-      void cloned.offsetHeight;
+  }
+}
 
-      const measuredHeight = cloned.scrollHeight || cloned.offsetHeight;
-      tempContainer.remove();
-      return measuredHeight;
-    };
+// Apply middleware
+app.use(apiKeyAuthMiddleware);
+app.use('/render', requireScope('render'));
+app.use('/jobs', requireScope('render'));
+app.use('/layout', requireScope('layout'));
+app.use('/admin', requireScope('admin'));
+app.use('/metrics', requireScope('metrics', 'admin'));
+app.use(rateLimitMiddleware);
+
+// Render pipeline: warm browser pool, bundled fonts (fonts/manifest.json),
+// the network policy for rendered HTML and the render deadline
+const renderer = createRenderer();
+const { browserPool, fontRegistry, networkPolicy } = renderer;
+console.log('[PDF Service] Network policy:', networkPolicy.describe());
+
+// Rendered PDFs keyed by a hash of the resolved request (PDF_CACHE=memory|disk|off)
+const PDF_CACHE = process.env.PDF_CACHE || 'memory';
+const pdfCacheOptions = {
+  maxEntries: parseInt(process.env.PDF_CACHE_MAX_ENTRIES, 10) || undefined,
+  maxBytes: parseInt(process.env.PDF_CACHE_MAX_BYTES, 10) || undefined,
+  ttlMs: parseInt(process.env.PDF_CACHE_TTL_MS, 10) || undefined,
+};
+const pdfCache = PDF_CACHE === 'off'
+  ? null
+  : PDF_CACHE === 'disk'
+    ? createDiskPdfCacheStore({ ...pdfCacheOptions, dir: process.env.PDF_CACHE_DIR || path.join(__dirname, '.pdf-cache') })
+    : createMemoryPdfCacheStore(pdfCacheOptions);
 
-    const measureUnit = (elements) => {
-      const wrapper = document.createElement('div');
-      for (const el of elements) {
-        wrapper.appendChild(el.cloneNode(true));
-      }
-      return measureHeightLikePreview(wrapper, usableWidthPx, editorClasses);
-    };
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', service: 'resume-pdf-service', browserPool: browserPool.stats() });
+});
 
-    const splitOversizedDomBlock = (block, maxChunkHeightPx) => {
-      if (block.children.length < 2) return null;
-      if (block.getBoundingClientRect().height < usableHeightPx * 0.45) {
-        return null;
-      }
+// OpenAPI 3.1 description of this API, generated from the request schemas
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument({
+    version,
+    requestSchema: renderer.requestSchema,
+    bundleRequestSchema: renderer.bundleRequestSchema,
+    imageRequestProperties: IMAGE_REQUEST_PROPERTIES,
+    jobRequestProperties: JOB_REQUEST_PROPERTIES,
+    pageSizes: PAGE_SIZES,
+  }));
+});
 
-      const childNodes = Array.from(block.children);
-      const chunks = [];
-      let currentChunk = block.cloneNode(false);
-      let hasAny = false;
-
-      for (const child of childNodes) {
-        const testChunk = currentChunk.cloneNode(true);
-        testChunk.appendChild(child.cloneNode(true));
-        const testHeight = measureUnit([testChunk]);
-
-        if (testHeight <= maxChunkHeightPx) {
-          currentChunk.appendChild(child.cloneNode(true));
-          hasAny = true;
-          continue;
-        }
-
-        if (!hasAny) {
-          return null;
-        }
-
-        chunks.push(currentChunk);
-        currentChunk = block.cloneNode(false);
-        currentChunk.appendChild(child.cloneNode(true));
-        hasAny = true;
-      }
+// PDF cache: size and settings, and purging one entry (by ETag) or all of them
+app.get('/admin/cache', async (req, res) => {
+  if (!pdfCache) {
+    return res.json({ enabled: false });
+  }
+  res.json({ enabled: true, ...(await pdfCache.stats()) });
+});
 
-      if (currentChunk.children.length > 0) {
-        chunks.push(currentChunk);
-      }
+app.delete('/admin/cache', async (req, res) => {
+  if (!pdfCache) {
+    return res.json({ purged: 0 });
+  }
+  res.json({ purged: await pdfCache.clear() });
+});
 
-      return chunks.length > 1 ? chunks : null;
-    };
+app.delete('/admin/cache/:key', async (req, res) => {
+  const key = req.params.key.replace(/^(W\/)?"|"$/g, '');
+  if (!pdfCache || !(await pdfCache.delete(key))) {
+    return res.status(404).json({ error: 'Cached PDF not found' });
+  }
+  res.json({ purged: 1 });
+});
 
-    let units = [];
-    for (let i = 0; i < blocks.length; i++) {
-      const block = blocks[i];
-      const next = blocks[i + 1];
-
-      if (isHeading(block) && next) {
-        const nextHeight = measureUnit([next]);
-        if (nextHeight <= usableHeightPx * SMALL_BLOCK_RATIO) {
-          const pair = [block, next];
-          units.push({ elements: pair, height: measureUnit(pair) });
-          i++;
-          continue;
-        }
-      }
+// Prometheus metrics in the text exposition format
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
 
-      units.push({ elements: [block], height: measureUnit([block]) });
-    }
+// API keys with their scopes, limits and usage today (never the secrets)
+app.get('/admin/keys', (req, res) => {
+  res.json({ keys: apiKeyStore.list(), allowUnauthenticated: ALLOW_UNAUTHENTICATED });
+});
 
-    const createNewPage = () => {
-      const pageEl = document.createElement('div');
-      pageEl.className = 'page paginated export-page';
-      pageEl.style.width = `${dimensions.width}mm`;
-      pageEl.style.height = `${dimensions.height}mm`;
-      pageEl.style.minWidth = `${dimensions.width}mm`;
-      pageEl.style.maxWidth = `${dimensions.width}mm`;
-      pageEl.style.minHeight = `${dimensions.height}mm`;
-      pageEl.style.maxHeight = `${dimensions.height}mm`;
-      pageEl.style.boxSizing = 'border-box';
-      pageEl.style.overflow = 'hidden';
-      pageEl.style.padding = `${resolvedPadding.top}mm ${resolvedPadding.right}mm ${resolvedPadding.bottom}mm ${resolvedPadding.left}mm`;
-      pageEl.style.borderRadius = '0';
-      pageEl.style.boxShadow = 'none';
-      pageEl.style.background = 'white';
-      pageEl.style.margin = '0';
-
-      const proseMirror = document.createElement('div');
-      proseMirror.className = editorClasses;
-      proseMirror.style.width = '100%';
-      proseMirror.style.height = 'auto';
-      proseMirror.style.minHeight = '100%';
-      proseMirror.style.padding = '0';
-      proseMirror.style.margin = '0';
-      proseMirror.style.boxSizing = 'border-box';
-      pageEl.appendChild(proseMirror);
-
-      return { page: pageEl, contentParent: proseMirror };
-    };
+// Templates available for `resume` requests
+app.get('/templates', (req, res) => {
+  res.json({ templates: listTemplates(), default: DEFAULT_TEMPLATE_ID });
+});
 
-    const pagesContainer = document.createElement('div');
-    pagesContainer.className = 'pages-container export-pages-container';
-    pagesContainer.style.display = 'flex';
-    pagesContainer.style.flexDirection = 'column';
-    pagesContainer.style.alignItems = 'stretch';
-    pagesContainer.style.gap = '0';
-    pagesContainer.style.background = 'white';
-
-    let current = createNewPage();
-    let currentHeight = 0;
-    let i = 0;
-
-    while (i < units.length) {
-      const unit = units[i];
-
-      if (currentHeight + unit.height <= usableHeightPx) {
-        for (const el of unit.elements) {
-          current.contentParent.appendChild(el.cloneNode(true));
-        }
-        currentHeight += unit.height;
-        i++;
-        continue;
-      }
+// Bundled fonts, so clients can use the same files the service prints with
+app.get('/fonts', (req, res) => {
+  res.json(fontRegistry.list());
+});
 
-      if (unit.elements.length === 1) {
-        const remainingHeight = usableHeightPx - currentHeight;
-        const splitTargetHeight = currentHeight > 0 ? remainingHeight : usableHeightPx;
-        const split = splitOversizedDomBlock(unit.elements[0], splitTargetHeight);
-        if (split) {
-          units.splice(
-            i,
-            1,
-            ...split.map((chunk) => ({
-              elements: [chunk],
-              height: measureUnit([chunk]),
-            }))
-          );
-          continue;
-        }
-      }
+app.get('/fonts/:file', (req, res) => {
+  const face = fontRegistry.findFile(req.params.file);
+  if (!face) {
+    return res.status(404).json({ error: 'Font not found' });
+  }
+  res.set('Content-Type', face.contentType);
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.set('Access-Control-Allow-Origin', '*');
+  res.sendFile(face.file, { root: fontRegistry.dir });
+});
 
-      if (currentHeight === 0) {
-        for (const el of unit.elements) {
-          current.contentParent.appendChild(el.cloneNode(true));
-        }
-        currentHeight = unit.height;
-        i++;
-        continue;
-      }
+// Template label for render metrics: client-supplied templateIds outside the
+// known templates are grouped so the number of series stays bounded
+function templateMetricLabel(templateId) {
+  if (!templateId) return 'none';
+  const known = listTemplates().some((template) => template.id === templateId)
+    || Object.prototype.hasOwnProperty.call(fontRegistry.list().templates, templateId);
+  return known ? templateId : 'other';
+}
 
-      if (current.contentParent.children.length > 0) {
-        pagesContainer.appendChild(current.page);
-      }
-      current = createNewPage();
-      currentHeight = 0;
+// Run `render(onStage)` with its stages timed and record it in the render
+// metrics. Resolves with { result, serverTiming } (a Server-Timing header value).
+async function instrumentRender(output, options, render, onStage) {
+  const timer = createStageTimer(onStage);
+  const record = (outcome) => {
+    const totalMs = timer.finish();
+    rendersTotal.inc({
+      output,
+      mode: options.viewMode,
+      page_size: options.pageSize,
+      template: templateMetricLabel(options.templateId),
+      outcome,
+    });
+    renderDuration.observe({ output, mode: options.viewMode }, totalMs / 1000);
+    for (const stage of timer.stages) {
+      renderStageDuration.observe({ output, stage: stage.name }, stage.durationMs / 1000);
     }
+    return totalMs;
+  };
+  
+  let result;
+  try {
+    result = await render(timer.onStage);
+  } catch (error) {
+    const outcome = error instanceof MissingFontsError ? 'missing-fonts'
+      : error instanceof LayoutOverflowError ? 'overflow'
+        : error instanceof RenderTimeoutError ? 'timeout'
+          : error instanceof RenderCancelledError ? 'cancelled'
+            : 'error';
+    record(outcome);
+    throw error;
+  }
+  
+  const totalMs = record('success');
+  pagesTotal.inc({ output }, result.images ? result.images.length : result.pageCount);
+  if (result.buffer) {
+    pdfBytes.observe({}, result.buffer.length);
+  }
+  return { result, serverTiming: formatServerTiming(timer.stages, totalMs) };
+}
 
-    if (current.contentParent.children.length > 0) {
-      pagesContainer.appendChild(current.page);
-    }
+// Status and JSON body for a failed render; unexpected errors are 500s
+function describeRenderError(error, fallbackMessage) {
+  if (error instanceof MissingFontsError) {
+    return {
+      status: 422,
+      body: { error: 'Missing fonts', message: error.message, missingFonts: error.missingFonts },
+    };
+  }
+  if (error instanceof LayoutOverflowError) {
+    return {
+      status: 422,
+      body: { error: 'Content overflows the page', message: error.message, report: error.report },
+    };
+  }
+  if (error instanceof RenderTimeoutError) {
+    return {
+      status: 504,
+      body: { error: 'Render timed out', message: error.message, stage: error.stage, timeoutMs: error.timeoutMs },
+    };
+  }
+  if (error instanceof RenderCancelledError) {
+    // Nobody is left to read it; 499 is what proxies log for client-closed requests
+    return { status: 499, body: { error: 'Render cancelled', message: error.message, stage: error.stage } };
+  }
+  return { status: 500, body: { error: fallbackMessage, message: error.message } };
+}
 
-    if (pagesContainer.children.length === 0) {
-      const empty = createNewPage();
-      pagesContainer.appendChild(empty.page);
-    }
+// multipart/form-data body of `parts` ({ name, filename, contentType, buffer }),
+// so clients can read them with Response.formData()
+function formDataBody(parts) {
+  const boundary = `resume-pdf-${crypto.randomBytes(12).toString('hex')}`;
+  const chunks = [];
+  for (const part of parts) {
+    chunks.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${part.name}"; filename="${part.filename}"\r\n` +
+      `Content-Type: ${part.contentType}\r\n` +
+      `Content-Length: ${part.buffer.length}\r\n\r\n`
+    ));
+    chunks.push(part.buffer, Buffer.from('\r\n'));
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return { contentType: `multipart/form-data; boundary=${boundary}`, body: Buffer.concat(chunks) };
+}
 
-    const exportRoot = containerEl.closest('.tiptap-editor-container') || containerEl;
-    if (exportRoot.parentElement) {
-      exportRoot.parentElement.replaceChild(pagesContainer, exportRoot);
+// Aborts when the client disconnects before the response has been sent
+function clientDisconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
     }
-  }, {
-    usableHeightPx,
-    usableWidthPx,
-    editorClasses,
-    SMALL_BLOCK_RATIO,
-    dimensions,
-    resolvedPadding,
   });
+  return controller.signal;
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'resume-pdf-service' });
-});
+// Whether an If-None-Match header lists `etag`
+function matchesIfNoneMatch(header, etag) {
+  if (!header) return false;
+  return header.split(',').some((candidate) => candidate.trim().replace(/^W\//, '') === etag);
+}
+
+// Cache lookups fail open: a broken store costs a render, not the request
+async function readPdfCache(key) {
+  try {
+    return await pdfCache.get(key);
+  } catch (error) {
+    console.error('[PDF Service] PDF cache read failed:', error.message);
+    return null;
+  }
+}
 
 // PDF generation endpoint
 app.post('/render', async (req, res) => {
-  let browser = null;
-  let page = null;
-  
   try {
     // Validate request
-    const { html, templateId, previewViewMode, previewPageSize, marginMm, pagePaddingMm } = req.body;
-    
-    if (!html) {
-      return res.status(400).json({ error: 'Missing required field: html' });
+    const { error, message, details, options } = renderer.resolveRenderRequest(req.body);
+    if (error) {
+      return res.status(400).json({ error, message, details });
     }
     
-    const viewMode = previewViewMode || 'page';
-    const pageSize = previewPageSize || 'A4';
-    const resolvedMarginMm = {
-      top: Number.isFinite(marginMm?.top) ? marginMm.top : 10,
-      right: Number.isFinite(marginMm?.right) ? marginMm.right : 10,
-      bottom: Number.isFinite(marginMm?.bottom) ? marginMm.bottom : 10,
-      left: Number.isFinite(marginMm?.left) ? marginMm.left : 10,
-    };
-    const resolvedPagePaddingMm = {
-      top: Number.isFinite(pagePaddingMm?.top) ? pagePaddingMm.top : 10,
-      right: Number.isFinite(pagePaddingMm?.right) ? pagePaddingMm.right : 10,
-      bottom: Number.isFinite(pagePaddingMm?.bottom) ? pagePaddingMm.bottom : 10,
-      left: Number.isFinite(pagePaddingMm?.left) ? pagePaddingMm.left : 10,
-    };
+    // ?report=true answers with the PDF, the layout report and the ATS check as multipart/form-data
+    const withReport = req.query.report === 'true';
     
-    console.log('[PDF Service] Starting PDF generation:', {
-      templateId,
-      viewMode,
-      pageSize,
-      marginMm: resolvedMarginMm,
-      pagePaddingMm: resolvedPagePaddingMm,
-      htmlLength: html.length,
-    });
+    // The same resolved request always produces the same PDF, so its hash is the ETag
+    const cacheKey = pdfCacheKey(options, fontRegistry.fingerprint);
+    const etag = withReport ? `"${cacheKey}-report"` : `"${cacheKey}"`;
+    res.set('ETag', etag);
+    if (matchesIfNoneMatch(req.get('If-None-Match'), etag)) {
+      pdfCacheLookupsTotal.inc({ result: 'not-modified' });
+      return res.status(304).end();
+    }
     
-    // Launch browser - use @sparticuz/chromium in serverless, regular puppeteer locally
-    if (isServerless) {
-      // Production/serverless: Use @sparticuz/chromium
-      const executablePath = await chromium.executablePath();
-      const args = [
-        ...chromium.args,
-        '--single-process',
-        '--disable-gpu',
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-web-security',
-        '--hide-scrollbars',
-      ];
-      
-      console.log('[PDF Service] Using @sparticuz/chromium at:', executablePath);
-      
-      browser = await puppeteer.launch({
-        executablePath,
-        args,
-        headless: true,
-        defaultViewport: {
-          width: 1920,
-          height: 1080,
-        },
-      });
+    // Cache-Control: no-cache skips the lookup; the fresh PDF replaces the cached one
+    const bypassCache = /no-cache/i.test(req.get('Cache-Control') || '');
+    const cached = pdfCache && !bypassCache ? await readPdfCache(cacheKey) : null;
+    let buffer;
+    let meta;
+    if (cached) {
+      pdfCacheLookupsTotal.inc({ result: 'hit' });
+      ({ buffer, meta } = cached);
+      res.set('X-Cache', 'HIT');
     } else {
-      // Local development: Use regular puppeteer (includes Chromium)
-      const puppeteerFull = require('puppeteer');
-      console.log('[PDF Service] Using local puppeteer (development mode)');
-      
-      browser = await puppeteerFull.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-        ],
-      });
+      if (pdfCache) {
+        pdfCacheLookupsTotal.inc({ result: bypassCache ? 'bypass' : 'miss' });
+      }
+      if (!chargeDailyQuota(req, res)) {
+        res.removeHeader('ETag');
+        return;
+      }
+      const { result, serverTiming } = await instrumentRender(
+        'pdf',
+        options,
+        (onStage) => renderer.renderPdf({ ...options, signal: clientDisconnectSignal(res) }, onStage)
+      );
+      buffer = result.buffer;
+      meta = {
+        pageCount: result.pageCount,
+        viewMode: result.viewMode,
+        continuous: result.continuous,
+        fit: result.fit,
+        report: result.report,
+        ats: result.ats,
+        warnings: result.warnings,
+        blockedCount: result.network.blockedCount,
+      };
+      res.set('X-Cache', 'MISS');
+      res.set('Server-Timing', serverTiming);
+      if (pdfCache) {
+        pdfCache.set(cacheKey, { buffer, meta }).catch((cacheError) => {
+          console.error('[PDF Service] PDF cache write failed:', cacheError.message);
+        });
+      }
     }
     
-    page = await browser.newPage();
-    
-    // Set viewport to match page width (important for accurate text wrapping)
-    const dimensions = getPageDimensions(pageSize);
-    // Keep viewport math aligned with app pdf-generator.ts and smart-page-splitter.ts.
-    const horizontalPadding =
-      (resolvedPagePaddingMm.left + resolvedPagePaddingMm.right) * 2;
-    const verticalPadding = resolvedPagePaddingMm.top + resolvedPagePaddingMm.bottom;
-    const pageWidthPx = ((dimensions.width - horizontalPadding) * 3.779);
-    const pageHeightPx = ((dimensions.height - verticalPadding) * 3.779);
+    res.set('X-Page-Count', String(meta.pageCount));
+    res.set('X-View-Mode', meta.viewMode);
+    if (meta.continuous && !meta.continuous.fellBack) {
+      res.set('X-Continuous-Height-Mm', String(meta.continuous.heightMm));
+    }
+    if (meta.fit) {
+      res.set('X-Fit-Scale', String(meta.fit.scale));
+      res.set('X-Fit-Line-Height', String(meta.fit.lineHeight));
+      res.set('X-Fit-Spacing', String(meta.fit.spacing));
+    }
+    if (meta.warnings.length > 0) {
+      res.set('X-Render-Warnings', meta.warnings.join(' | '));
+    }
+    res.set('X-Blocked-Requests', String(meta.blockedCount));
+    res.set('X-Layout-Report', summarizeLayoutReport(meta.report));
+    if (meta.ats) {
+      res.set('X-Ats-Check', summarizeAtsCheck(meta.ats));
+    }
+    if (withReport) {
+      const json = (name, value) => ({ name, filename: `${name}.json`, contentType: 'application/json', buffer: Buffer.from(JSON.stringify(value)) });
+      const { contentType, body } = formDataBody([
+        json('report', meta.report),
+        ...(meta.ats ? [json('ats', meta.ats)] : []),
+        { name: 'pdf', filename: 'resume.pdf', contentType: 'application/pdf', buffer },
+      ]);
+      res.set('Content-Type', contentType);
+      return res.send(body);
+    }
+    res.set('Content-Type', 'application/pdf');
+    res.send(buffer);
+  } catch (error) {
+    console.error('[PDF Service] Error generating PDF:', error);
+    refundDailyQuota(req, res);
+    const { status, body } = describeRenderError(error, 'Failed to generate PDF');
+    res.removeHeader('ETag');
+    res.status(status).json(body);
+  }
+});
+
+// Page image rendering endpoint: one image per page as a multipart/form-data response
+const IMAGE_REQUEST_PROPERTIES = {
+  format: { type: 'string', enum: ['png', 'jpeg', 'jpg', 'webp'], default: 'png' },
+  dpi: { type: 'number', minimum: 36, maximum: 300, default: 96 },
+  quality: { type: 'integer', minimum: 1, maximum: 100, default: 85, description: 'JPEG and WebP quality' },
+};
+
+app.post('/render/images', async (req, res) => {
+  try {
+    const { error, message, details, options } = renderer.resolveRenderRequest(req.body, IMAGE_REQUEST_PROPERTIES);
+    if (error) {
+      return res.status(400).json({ error, message, details });
+    }
+    if (!chargeDailyQuota(req, res)) {
+      return;
+    }
     
-    console.log('[PDF Service] Setting viewport size:', {
-      pageSize,
-      dimensions,
-      pageWidthPx: Math.round(pageWidthPx),
-      pageHeightPx: Math.round(pageHeightPx),
-    });
+    const format = req.body.format === 'jpg' ? 'jpeg' : (req.body.format || 'png');
+    const dpi = req.body.dpi ?? 96;
+    const quality = req.body.quality ?? 85;
     
-    await page.setViewport({
-      width: Math.round(pageWidthPx),
-      height: Math.round(pageHeightPx),
-    });
+    const { result, serverTiming } = await instrumentRender(
+      'images',
+      options,
+      (onStage) => renderer.renderImages({ ...options, signal: clientDisconnectSignal(res) }, { format, dpi, quality }, onStage)
+    );
+    const { images, network } = result;
     
-    // Set content - wait for network to be idle to ensure fonts are loaded
-    await page.setContent(html, { waitUntil: 'networkidle0' });
+    const extension = format === 'jpeg' ? 'jpg' : format;
+    const { contentType, body } = formDataBody(images.map((image) => ({
+      name: `page-${image.pageNumber}`,
+      filename: `page-${image.pageNumber}.${extension}`,
+      contentType: image.contentType,
+      buffer: image.buffer,
+    })));
     
-    // Wait for fonts to load - this is critical for accurate measurements
-    const fontLoadResult = await page.evaluate(async () => {
-      const results = {
-        fontsReady: false,
-        ralewayLoaded: false,
-        fontFamilyCheck: '',
-        loadedFonts: [],
-      };
-      
-      // Wait for all fonts to be loaded
-      if (document.fonts && document.fonts.ready) {
-        await document.fonts.ready;
-        results.fontsReady = true;
-      }
-      
-      // List all loaded fonts
-      if (document.fonts && document.fonts.forEach) {
-        document.fonts.forEach((font) => {
-          if (font.status === 'loaded') {
-            results.loadedFonts.push(`${font.family} ${font.weight}`);
-          }
-        });
-      }
-      
-      // Wait for all font faces to be loaded (more thorough check)
-      if (document.fonts) {
-        const loadedRalewayWeights = [];
-        document.fonts.forEach((font) => {
-          if (font.family === 'Raleway' && font.status === 'loaded') {
-            const weight = parseInt(font.weight) || 400;
-            if (!loadedRalewayWeights.includes(weight)) {
-              loadedRalewayWeights.push(weight);
-            }
-          }
-        });
-        
-        const requiredWeights = [400, 500, 700];
-        const hasRequiredWeights = requiredWeights.every(weight => 
-          loadedRalewayWeights.includes(weight)
-        );
-        
-        results.ralewayLoaded = hasRequiredWeights && loadedRalewayWeights.length > 0;
-        results.loadedRalewayWeights = loadedRalewayWeights;
-        
-        // If required weights aren't loaded, wait a bit more and retry
-        if (!hasRequiredWeights) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          await document.fonts.ready;
-          
-          // Retry - check again
-          const retryLoadedWeights = [];
-          document.fonts.forEach((font) => {
-            if (font.family === 'Raleway' && font.status === 'loaded') {
-              const weight = parseInt(font.weight) || 400;
-              if (!retryLoadedWeights.includes(weight)) {
-                retryLoadedWeights.push(weight);
-              }
-            }
-          });
-          
-          const retryHasRequired = requiredWeights.every(weight => 
-            retryLoadedWeights.includes(weight)
-          );
-          results.ralewayLoaded = retryHasRequired && retryLoadedWeights.length > 0;
-          results.loadedRalewayWeights = retryLoadedWeights;
-        }
-      }
-      
-      // Verify fonts are actually loaded by checking a specific font
-      const testElement = document.createElement('div');
-      testElement.style.fontFamily = "'Raleway', sans-serif";
-      testElement.style.position = 'absolute';
-      testElement.style.visibility = 'hidden';
-      testElement.textContent = 'Test';
-      document.body.appendChild(testElement);
-      
-      // Force multiple reflows to ensure fonts are applied
-      void testElement.offsetHeight;
-      void document.body.offsetHeight;
-      
-      // Wait for font rendering to stabilize
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Verify the font is actually being used
-      const computedStyle = window.getComputedStyle(testElement);
-      const fontFamily = computedStyle.fontFamily;
-      results.fontFamilyCheck = fontFamily;
-      const isRalewayLoaded = fontFamily.includes('Raleway');
-      
-      if (!isRalewayLoaded) {
-        console.warn('[PDF Service] Raleway font may not be loaded, falling back to system font');
+    res.set('Content-Type', contentType);
+    res.set('X-Page-Count', String(images.length));
+    res.set('Server-Timing', serverTiming);
+    res.set('X-Blocked-Requests', String(network.blockedCount));
+    res.send(body);
+  } catch (error) {
+    console.error('[PDF Service] Error rendering images:', error);
+    refundDailyQuota(req, res);
+    const { status, body } = describeRenderError(error, 'Failed to render images');
+    res.status(status).json(body);
+  }
+});
+
+// Bundle uploads are multipart/form-data: the request JSON in a `bundle` field
+// and every PDF in a file field of its own, named by its part's `file`
+async function readBundleUpload(req) {
+  const form = await new Response(req.body, { headers: { 'Content-Type': req.get('Content-Type') } }).formData();
+  const files = new Map();
+  let bundle = null;
+  for (const [name, value] of form.entries()) {
+    if (name === 'bundle') {
+      bundle = typeof value === 'string' ? value : await value.text();
+    } else if (typeof value !== 'string') {
+      files.set(name, { buffer: Buffer.from(await value.arrayBuffer()), filename: value.name || null });
+    }
+  }
+  if (bundle === null) {
+    throw new Error('the bundle field with the request JSON is missing');
+  }
+  return { body: JSON.parse(bundle), files };
+}
+
+// Render metric labels for a bundle: the documents' view mode, page size and
+// template when they all agree
+function bundleMetricOptions(parts) {
+  const documents = parts.filter((part) => part.source === 'html').map((part) => part.options);
+  const shared = (field) => {
+    const values = [...new Set(documents.map((document) => document[field]))];
+    return values.length === 1 ? values[0] : null;
+  };
+  const fallback = documents.length > 0 ? 'mixed' : 'none';
+  return {
+    viewMode: shared('viewMode') || fallback,
+    pageSize: shared('pageSize') || fallback,
+    templateId: shared('templateId'),
+  };
+}
+
+// Bundle endpoint: documents and existing PDFs merged into one PDF, as JSON or,
+// to upload the PDFs as files, multipart/form-data
+app.post('/render/bundle', express.raw({ type: 'multipart/form-data', limit: '10mb' }), async (req, res) => {
+  try {
+    let body = req.body;
+    let files;
+    if (req.is('multipart/form-data')) {
+      try {
+        ({ body, files } = await readBundleUpload(req));
+      } catch (uploadError) {
+        return res.status(400).json({ error: 'Invalid request', message: `Could not read the upload: ${uploadError.message}` });
       }
-      
-      // Remove test element
-      testElement.remove();
-      
-      // Force one more reflow after font verification
-      void document.body.offsetHeight;
-      
-      return results;
-    });
+    }
+    
+    const { error, message, details, options } = await renderer.resolveBundleRequest(body, { files });
+    if (error) {
+      return res.status(400).json({ error, message, details });
+    }
+    if (!chargeDailyQuota(req, res)) {
+      return;
+    }
     
-    console.log('[PDF Service] Font loading status:', fontLoadResult);
+    const { result, serverTiming } = await instrumentRender(
+      'bundle',
+      bundleMetricOptions(options.parts),
+      (onStage) => renderer.renderBundle({ ...options, signal: clientDisconnectSignal(res) }, onStage)
+    );
     
-    let pdfOptions;
+    res.set('X-Page-Count', String(result.pageCount));
+    res.set('X-Part-Pages', result.parts.map((part) => `${part.startPage}-${part.startPage + part.pageCount - 1}`).join(', '));
+    if (result.warnings.length > 0) {
+      res.set('X-Render-Warnings', result.warnings.join(' | '));
+    }
+    res.set('X-Blocked-Requests', String(result.network.blockedCount));
+    res.set('Server-Timing', serverTiming);
+    // ?report=true adds every part's page range, layout report and ATS check
+    if (req.query.report === 'true') {
+      const { contentType, body: formBody } = formDataBody([
+        { name: 'parts', filename: 'parts.json', contentType: 'application/json', buffer: Buffer.from(JSON.stringify(result.parts)) },
+        { name: 'pdf', filename: 'bundle.pdf', contentType: 'application/pdf', buffer: result.buffer },
+      ]);
+      res.set('Content-Type', contentType);
+      return res.send(formBody);
+    }
+    res.set('Content-Type', 'application/pdf');
+    res.send(result.buffer);
+  } catch (error) {
+    console.error('[PDF Service] Error generating bundle:', error);
+    refundDailyQuota(req, res);
+    const { status, body } = describeRenderError(error, 'Failed to generate bundle');
+    res.status(status).json(body);
+  }
+});
+
+// Pagination dry-run endpoint: same request body as /render, JSON layout response
+app.post('/layout', async (req, res) => {
+  try {
+    const { error, message, details, options } = renderer.resolveRenderRequest(req.body);
+    if (error) {
+      return res.status(400).json({ error, message, details });
+    }
+    if (!chargeDailyQuota(req, res)) {
+      return;
+    }
     
-    if (viewMode === 'page') {
-      // Page view mode: Use selected page size with page breaks
-      const dimensions = getPageDimensions(pageSize);
-      
-      // Wait additional time for content to fully render and stabilize
-      await new Promise(resolve => setTimeout(resolve, 200));
-      
-      // Force a final reflow to ensure all measurements are accurate
-      await page.evaluate(() => {
-        void document.body.offsetHeight;
-        const container = document.querySelector('.resume-container');
-        if (container) {
-          void container.offsetHeight;
-          const sections = document.querySelectorAll('.resume-section');
-          sections.forEach(section => {
-            void section.offsetHeight;
-            const items = section.querySelectorAll('.experience-item, .education-item, .project-item, .certificate-item, .skill-item');
-            items.forEach(item => {
-              void item.offsetHeight;
-            });
-          });
-        }
+    const { result: layout, serverTiming } = await instrumentRender(
+      'layout',
+      options,
+      (onStage) => renderer.renderLayout({ ...options, signal: clientDisconnectSignal(res) }, onStage)
+    );
+    res.set('Server-Timing', serverTiming);
+    res.json(layout);
+  } catch (error) {
+    console.error('[PDF Service] Error computing layout:', error);
+    refundDailyQuota(req, res);
+    const { status, body } = describeRenderError(error, 'Failed to compute layout');
+    res.status(status).json(body);
+  }
+});
+
+// Async render jobs: POST /jobs returns immediately and the PDF is fetched later
+const jobStore = createMemoryJobStore({
+  ttlMs: parseInt(process.env.JOB_TTL_MS, 10) || undefined,
+});
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_CALLBACK_ATTEMPTS = 3;
+const JOB_CALLBACK_TIMEOUT_MS = 10000;
+const jobQueue = [];
+let runningJobs = 0;
+
+function toJobResponse(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+    error: job.error,
+    resultSize: job.resultSize,
+    pageCount: job.pageCount ?? null,
+    viewMode: job.viewMode ?? null,
+    continuous: job.continuous ?? null,
+    fit: job.fit ?? null,
+    report: job.report ?? null,
+    ats: job.ats ?? null,
+    warnings: job.warnings || [],
+    blockedRequests: job.blockedRequests || [],
+    resultUrl: job.status === 'completed' ? job.resultUrl : null,
+  };
+}
+
+// POST the final job status to the client's callbackUrl, retrying with backoff
+async function notifyJobCallback(job) {
+  const body = JSON.stringify(toJobResponse(job));
+  
+  for (let attempt = 1; attempt <= JOB_CALLBACK_ATTEMPTS; attempt++) {
+    try {
+      // Checked again on every attempt, since the host may resolve elsewhere by
+      // now, and sent to the addresses that were checked. Redirects are not
+      // followed, so they cannot lead around the policy.
+      const response = await networkPolicy.fetch(job.callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Job-Id': job.id },
+        body,
+        timeoutMs: JOB_CALLBACK_TIMEOUT_MS,
       });
-      
-      // Wait one more time after forcing reflow
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      await applyPreviewPaginationBreaks(
-        page,
-        pageSize,
-        templateId,
-        resolvedPagePaddingMm,
-      );
-      
-      pdfOptions = {
-        format: pageSize === 'A4' ? 'A4' : undefined,
-        width: pageSize === 'US Letter' ? `${dimensions.width}mm` : undefined,
-        height: pageSize === 'US Letter' ? `${dimensions.height}mm` : undefined,
-        printBackground: true,
-        margin: {
-          top: `${resolvedMarginMm.top}mm`,
-          right: `${resolvedMarginMm.right}mm`,
-          bottom: `${resolvedMarginMm.bottom}mm`,
-          left: `${resolvedMarginMm.left}mm`,
-        },
-        preferCSSPageSize: true,
-      };
-    } else {
-      // Continuous scroll mode: Measure content and use single page
-      await new Promise(resolve => setTimeout(resolve, 200));
-      console.log('[PDF Service] Measuring content height for continuous mode...');
-      const contentHeight = await measureContentHeight(page);
-      const dimensions = getPageDimensions(pageSize);
-      
-      // Convert measured height from px to mm
-      const heightMm = pxToMm(contentHeight);
-      
-      console.log('[PDF Service] Continuous mode PDF options:', {
-        contentHeightPx: contentHeight,
-        heightMm,
-        pageWidth: dimensions.width,
-        pageSize,
+      if (response.blocked) {
+        console.error(`[PDF Service] Job ${job.id} callback blocked by the network policy (${response.blocked})`);
+        return;
+      }
+      if (response.status >= 200 && response.status < 300) {
+        console.log(`[PDF Service] Job ${job.id} callback delivered`);
+        return;
+      }
+      console.warn(`[PDF Service] Job ${job.id} callback returned ${response.status} (attempt ${attempt})`);
+    } catch (error) {
+      console.warn(`[PDF Service] Job ${job.id} callback failed (attempt ${attempt}):`, error.message);
+    }
+    if (attempt < JOB_CALLBACK_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+    }
+  }
+  
+  console.error(`[PDF Service] Giving up on job ${job.id} callback after ${JOB_CALLBACK_ATTEMPTS} attempts`);
+}
+
+async function runJob(jobId, options, apiKey) {
+  const stages = [...(await jobStore.get(jobId)).stages];
+  const onStage = (name) => {
+    stages.push({ name, at: new Date().toISOString() });
+    jobStore.update(jobId, { stage: name, stages: [...stages] }).catch((error) => {
+      console.error(`[PDF Service] Failed to record stage for job ${jobId}:`, error);
+    });
+  };
+  
+  await jobStore.update(jobId, { status: 'running' });
+  
+  let job;
+  try {
+    const { result } = await instrumentRender('job', options, (timedOnStage) => renderer.renderPdf(options, timedOnStage), onStage);
+    await jobStore.setResult(jobId, result.buffer);
+    stages.push({ name: 'completed', at: new Date().toISOString() });
+    job = await jobStore.update(jobId, {
+      status: 'completed',
+      stage: 'completed',
+      stages: [...stages],
+      completedAt: new Date().toISOString(),
+      resultSize: result.buffer.length,
+      pageCount: result.pageCount,
+      viewMode: result.viewMode,
+      continuous: result.continuous,
+      fit: result.fit,
+      report: result.report,
+      ats: result.ats,
+      warnings: result.warnings,
+      blockedRequests: result.network.blocked,
+    });
+  } catch (error) {
+    console.error(`[PDF Service] Job ${jobId} failed:`, error);
+    if (apiKey) {
+      apiKeyStore.refundQuota(apiKey);
+    }
+    stages.push({ name: 'failed', at: new Date().toISOString() });
+    job = await jobStore.update(jobId, {
+      status: 'failed',
+      stage: 'failed',
+      stages: [...stages],
+      completedAt: new Date().toISOString(),
+      error: describeRenderError(error, 'Failed to generate PDF').body,
+    });
+  }
+  
+  if (job && job.callbackUrl) {
+    await notifyJobCallback(job);
+  }
+}
+
+// Start queued jobs while we are under the concurrency limit
+function drainJobQueue() {
+  while (runningJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const { jobId, options, apiKey } = jobQueue.shift();
+    runningJobs++;
+    runJob(jobId, options, apiKey)
+      .catch((error) => {
+        console.error(`[PDF Service] Unexpected job runner error for ${jobId}:`, error);
+      })
+      .finally(() => {
+        runningJobs--;
+        drainJobQueue();
       });
-      
-      pdfOptions = {
-        width: `${dimensions.width}mm`,
-        height: `${heightMm}mm`,
-        printBackground: true,
-        margin: {
-          top: `${resolvedMarginMm.top}mm`,
-          right: `${resolvedMarginMm.right}mm`,
-          bottom: `${resolvedMarginMm.bottom}mm`,
-          left: `${resolvedMarginMm.left}mm`,
-        },
-        preferCSSPageSize: false,
-      };
+  }
+}
+
+// Create an async render job. Accepts the same body as /render plus an optional callbackUrl.
+const JOB_REQUEST_PROPERTIES = {
+  callbackUrl: {
+    type: 'string',
+    pattern: /^https?:\/\/\S+$/i,
+    message: 'must be an http(s) URL',
+    description: 'Receives a POST with the job status once the job finishes',
+  },
+};
+
+app.post('/jobs', async (req, res) => {
+  try {
+    const { error, message, details, options } = renderer.resolveRenderRequest(req.body, JOB_REQUEST_PROPERTIES);
+    if (error) {
+      return res.status(400).json({ error, message, details });
     }
     
-    // Generate PDF with timeout
-    const pdfBuffer = await Promise.race([
-      page.pdf(pdfOptions),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('PDF generation timeout')), 30000)
-      ),
-    ]);
+    // Callbacks are outbound requests like any other the service makes
+    const { callbackUrl } = req.body;
+    const blocked = callbackUrl ? await networkPolicy.check(callbackUrl) : null;
+    if (blocked) {
+      const reason = `blocked by the network policy (${blocked})`;
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `callbackUrl: ${reason}`,
+        details: [{ path: 'callbackUrl', message: reason }],
+      });
+    }
+    if (!chargeDailyQuota(req, res)) {
+      return;
+    }
     
-    res.set('Content-Type', 'application/pdf');
-    res.send(Buffer.from(pdfBuffer));
+    const protocol = req.get('x-forwarded-proto') || req.protocol;
+    const job = await jobStore.create({
+      callbackUrl: callbackUrl || null,
+      owner: req.apiKey ? req.apiKey.name : null,
+    });
+    const resultUrl = `${protocol}://${req.get('host')}/jobs/${job.id}/result`;
+    await jobStore.update(job.id, { resultUrl });
+    
+    jobQueue.push({ jobId: job.id, options, apiKey: req.apiKey });
+    drainJobQueue();
     
-    console.log('[PDF Service] PDF generated successfully');
+    console.log(`[PDF Service] Queued job ${job.id}`, { queued: jobQueue.length, running: runningJobs });
     
+    res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json(toJobResponse({ ...job, resultUrl }));
   } catch (error) {
-    console.error('[PDF Service] Error generating PDF:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate PDF', 
-      message: error.message 
+    console.error('[PDF Service] Error creating job:', error);
+    refundDailyQuota(req, res);
+    res.status(503).json({ error: 'Failed to create job', message: error.message });
+  }
+});
+
+// A job is only visible to the API key that created it; other keys get a 404
+// so job ids can't be probed
+async function findOwnedJob(req) {
+  const job = await jobStore.get(req.params.id);
+  const owner = req.apiKey ? req.apiKey.name : null;
+  return job && job.owner === owner ? job : null;
+}
+
+// Job status and progress
+app.get('/jobs/:id', async (req, res) => {
+  const job = await findOwnedJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(toJobResponse(job));
+});
+
+// Finished job PDF
+app.get('/jobs/:id/result', async (req, res) => {
+  const job = await findOwnedJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status === 'failed') {
+    return res.status(410).json({ error: 'Job failed', ...job.error });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: 'Job not completed', status: job.status, stage: job.stage });
+  }
+  
+  const pdfBuffer = await jobStore.getResult(job.id);
+  if (!pdfBuffer) {
+    return res.status(404).json({ error: 'Job result expired' });
+  }
+  
+  res.set('Content-Type', 'application/pdf');
+  res.send(pdfBuffer);
+});
+
+// Errors from the body parsers (malformed JSON, a bare `null`, oversized bodies)
+// get the same JSON shape as validation errors instead of Express's HTML page
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Request body is not a valid JSON object',
+      details: [{ path: 'body', message: error.message }],
     });
-  } finally {
-    // Always close the page and browser
-    if (page) {
-      try {
-        await page.close();
-      } catch (error) {
-        console.error('[PDF Service] Error closing page:', error);
-      }
-    }
-    
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (error) {
-        console.error('[PDF Service] Error closing browser:', error);
-      }
-    }
   }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload too large',
+      message: `Request body is larger than the ${Math.round(error.limit / 1024 / 1024)} MB limit`,
+    });
+  }
+  
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error('[PDF Service] Unhandled error:', error);
+  }
+  res.status(status).json({
+    error: status >= 500 ? 'Internal server error' : 'Invalid request',
+    message: error.expose ? error.message : 'Unexpected error',
+  });
 });
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`[PDF Service] Server running on port ${PORT}`);
+  browserPool.start();
+  browserPool.warm().catch((error) => {
+    console.error('[PDF Service] Failed to warm browser pool:', error);
+  });
 });
 
+// Close pooled browsers so Chromium processes don't outlive the service
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    Promise.allSettled([browserPool.destroy(), rateLimitStore.close()]).finally(() => process.exit(0));
+  });
+}
+
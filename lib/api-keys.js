@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// `metrics` lets a Prometheus scraper read /metrics without admin rights
+const API_KEY_SCOPES = ['render', 'layout', 'admin', 'metrics'];
+const DEFAULT_SCOPES = ['render', 'layout'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// A secret is a raw key or "sha256:<hex>", optionally with its own expiry so
+// the previous secret keeps working for a while after a rotation
+function parseSecret(secret, name) {
+  const entry = typeof secret === 'string' ? { key: secret } : secret;
+  if (!entry || typeof entry.key !== 'string' || entry.key.length === 0) {
+    throw new Error(`API key "${name}": every secret needs a non-empty key`);
+  }
+  const hashed = entry.key.match(/^sha256:([0-9a-f]{64})$/i);
+  return {
+    hash: hashed ? Buffer.from(hashed[1], 'hex') : sha256(entry.key),
+    expiresAt: parseExpiry(entry.expiresAt, name),
+  };
+}
+
+function parseExpiry(value, name) {
+  if (value === undefined || value === null) return null;
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`API key "${name}": invalid expiresAt ${JSON.stringify(value)}`);
+  }
+  return time;
+}
+
+function parseKeyConfig(config, index) {
+  if (!config || typeof config !== 'object') {
+    throw new Error(`API key #${index + 1}: expected an object`);
+  }
+  const name = typeof config.name === 'string' ? config.name : `key-${index + 1}`;
+  const secrets = config.keys || (config.key !== undefined ? [config.key] : []);
+  if (!Array.isArray(secrets) || secrets.length === 0) {
+    throw new Error(`API key "${name}": provide key or keys`);
+  }
+
+  // A single scope may be given as a string
+  const scopes = typeof config.scopes === 'string'
+    ? [config.scopes]
+    : config.scopes || DEFAULT_SCOPES;
+  if (!Array.isArray(scopes)) {
+    throw new Error(`API key "${name}": scopes must be a scope name or an array of them (${API_KEY_SCOPES.join(', ')})`);
+  }
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`API key "${name}": unknown scopes ${unknown.join(', ')} (expected ${API_KEY_SCOPES.join(', ')})`);
+  }
+
+  // { requests, windowMs, routes: { "/layout": { requests, windowMs } } }
+  const rateLimit = config.rateLimit || null;
+  const validLimit = (limit) => limit && Number.isInteger(limit.requests) && limit.requests > 0
+    && (limit.windowMs === undefined || (Number.isInteger(limit.windowMs) && limit.windowMs > 0));
+  if (rateLimit && rateLimit.requests !== undefined && !validLimit(rateLimit)) {
+    throw new Error(`API key "${name}": rateLimit needs a positive integer requests and windowMs`);
+  }
+  for (const [route, limit] of Object.entries((rateLimit && rateLimit.routes) || {})) {
+    if (!validLimit(limit)) {
+      throw new Error(`API key "${name}": rateLimit.routes["${route}"] needs a positive integer requests and windowMs`);
+    }
+  }
+  if (config.dailyQuota !== undefined && !(Number.isInteger(config.dailyQuota) && config.dailyQuota > 0)) {
+    throw new Error(`API key "${name}": dailyQuota must be a positive integer`);
+  }
+
+  return {
+    name,
+    scopes,
+    secrets: secrets.map((secret) => parseSecret(secret, name)),
+    rateLimit,
+    dailyQuota: config.dailyQuota || null,
+    expiresAt: parseExpiry(config.expiresAt, name),
+  };
+}
+
+// Read key definitions from API_KEYS_FILE or API_KEYS (JSON), plus the legacy
+// single PDF_SERVICE_API_KEY, which becomes a key named "default".
+function loadApiKeyConfig(env = process.env) {
+  const configs = [];
+  if (env.API_KEYS_FILE) {
+    configs.push(...JSON.parse(fs.readFileSync(env.API_KEYS_FILE, 'utf8')));
+  }
+  if (env.API_KEYS) {
+    configs.push(...JSON.parse(env.API_KEYS));
+  }
+  if (env.PDF_SERVICE_API_KEY) {
+    configs.push({ name: 'default', key: env.PDF_SERVICE_API_KEY, scopes: API_KEY_SCOPES });
+  }
+  return configs;
+}
+
+// Named API keys with scopes, expiry and a daily quota. Keys are compared as
+// SHA-256 digests with timingSafeEqual, and every secret is checked so the
+// time taken doesn't depend on which one matched.
+function createApiKeyStore(configs) {
+  const keys = configs.map(parseKeyConfig);
+  const names = new Set();
+  for (const key of keys) {
+    if (names.has(key.name)) {
+      throw new Error(`API key "${key.name}" is defined twice`);
+    }
+    names.add(key.name);
+  }
+
+  const usage = new Map(); // name -> { day, count }
+
+  // Returns { key } for a usable key, otherwise { error: 'invalid' | 'expired' }
+  const authenticate = (presented) => {
+    const digest = sha256(String(presented));
+    const now = Date.now();
+    let match = null;
+    let matchedSecret = null;
+    for (const key of keys) {
+      for (const secret of key.secrets) {
+        if (crypto.timingSafeEqual(digest, secret.hash) && !match) {
+          match = key;
+          matchedSecret = secret;
+        }
+      }
+    }
+
+    if (!match) return { error: 'invalid' };
+    if ((match.expiresAt && match.expiresAt <= now) || (matchedSecret.expiresAt && matchedSecret.expiresAt <= now)) {
+      return { error: 'expired' };
+    }
+    return { key: match };
+  };
+
+  // Count one request against the key's quota for the current UTC day
+  const consumeQuota = (key) => {
+    const day = Math.floor(Date.now() / DAY_MS);
+    const resetAt = (day + 1) * DAY_MS;
+    if (!key.dailyQuota) {
+      return { allowed: true, limit: null, remaining: null, resetAt };
+    }
+    let entry = usage.get(key.name);
+    if (!entry || entry.day !== day) {
+      entry = { day, count: 0 };
+      usage.set(key.name, entry);
+    }
+    if (entry.count >= key.dailyQuota) {
+      return { allowed: false, limit: key.dailyQuota, remaining: 0, resetAt };
+    }
+    entry.count++;
+    return { allowed: true, limit: key.dailyQuota, remaining: key.dailyQuota - entry.count, resetAt };
+  };
+
+  // Give back the unit consumeQuota counted today, for a render that failed
+  const refundQuota = (key) => {
+    const entry = usage.get(key.name);
+    if (key.dailyQuota && entry && entry.day === Math.floor(Date.now() / DAY_MS) && entry.count > 0) {
+      entry.count--;
+    }
+  };
+
+  // Key metadata for the admin endpoint; secrets are never included
+  const list = () => {
+    const day = Math.floor(Date.now() / DAY_MS);
+    return keys.map((key) => {
+      const entry = usage.get(key.name);
+      return {
+        name: key.name,
+        scopes: key.scopes,
+        secrets: key.secrets.map((secret) => ({
+          expiresAt: secret.expiresAt ? new Date(secret.expiresAt).toISOString() : null,
+        })),
+        expiresAt: key.expiresAt ? new Date(key.expiresAt).toISOString() : null,
+        rateLimit: key.rateLimit,
+        dailyQuota: key.dailyQuota,
+        usedToday: entry && entry.day === day ? entry.count : 0,
+      };
+    });
+  };
+
+  return { size: keys.length, authenticate, consumeQuota, refundQuota, list };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_SCOPES,
+  loadApiKeyConfig,
+  createApiKeyStore,
+};
@@ -0,0 +1,237 @@
+const { extractPdfText } = require('./pdf-text');
+
+// Share of the resume's words that must be found in the PDF text
+const MIN_COVERAGE = 0.95;
+const SAMPLE_SIZE = 10;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const YEAR_RANGE_PATTERN = /^(19|20)\d\d\s*-\s*(19|20)\d\d$/;
+// Ligature code points (ﬀ ﬁ ﬂ ﬃ ﬄ ﬅ ﬆ) that a parser searching for "office" will not match
+const LIGATURE_PATTERN = /[\uFB00-\uFB06]/;
+// Replacement characters and the private use area (icon fonts, unmapped ligatures)
+const SUSPICIOUS_PATTERN = /[\uFFFD\uE000-\uF8FF]/;
+// Control codes other than tab, line feed, vertical tab, form feed and carriage return
+const isControlCode = (code) => code <= 0x08 || (code >= 0x0e && code <= 0x1f);
+
+const words = (text) => text.toLowerCase().split(/[^\p{L}\p{N}\uFB00-\uFB06]+/u).filter((word) => word.length > 1);
+const digits = (value) => value.replace(/\D/g, '');
+const isSuspicious = (text) => SUSPICIOUS_PATTERN.test(text) || Array.from(text).some((char) => isControlCode(char.charCodeAt(0)));
+
+function findPhones(text) {
+  return Array.from(text.matchAll(PHONE_PATTERN), (match) => match[0].trim())
+    .filter((candidate) => !YEAR_RANGE_PATTERN.test(candidate) && digits(candidate).length >= 7 && digits(candidate).length <= 15);
+}
+
+// What the resume says, read from the DOM before printing: its visible text
+// and the targets of mailto: and tel: links
+async function collectAtsExpectations(page) {
+  return page.evaluate(() => ({
+    text: document.body.innerText || '',
+    links: Array.from(document.querySelectorAll('a[href^="mailto:"], a[href^="tel:"]'), (anchor) => anchor.getAttribute('href')),
+  }));
+}
+
+// Lines where a parser reading left to right runs two columns together: at
+// least three lines whose second segment starts at the same x. Right-aligned
+// text (dates) ends at the same x instead, and grids of short cells are left
+// alone since they read fine row by row.
+function findInterleavedColumns(page) {
+  const split = page.lines.filter((line) => line.segments.length > 1);
+  const clusters = [];
+  for (const line of split) {
+    const start = line.segments[1].x;
+    const cluster = clusters.find((candidate) => Math.abs(candidate.x - start) <= 2);
+    if (cluster) {
+      cluster.lines.push(line);
+    } else {
+      clusters.push({ x: start, lines: [line] });
+    }
+  }
+
+  return clusters.find((cluster) => {
+    if (cluster.lines.length < 3) return false;
+    const ends = cluster.lines.map((line) => line.segments[1].endX);
+    const rightAligned = Math.max(...ends) - Math.min(...ends) <= 2;
+    const longest = Math.max(...[0, 1].map((side) =>
+      cluster.lines.reduce((sum, line) => sum + line.segments[side].text.length, 0) / cluster.lines.length));
+    return !rightAligned && longest >= 25;
+  }) || null;
+}
+
+function glyphMappingIssues(extraction, missingWords, foundWords) {
+  const issues = [];
+  const byFont = new Map();
+  const ligatureFonts = new Set();
+  for (const page of extraction.pages) {
+    for (const glyph of page.glyphs) {
+      if (glyph.unmapped || isSuspicious(glyph.text)) {
+        byFont.set(glyph.font, (byFont.get(glyph.font) || 0) + 1);
+      }
+      if (LIGATURE_PATTERN.test(glyph.text)) {
+        ligatureFonts.add(glyph.font);
+      }
+    }
+  }
+
+  for (const [font, count] of byFont) {
+    issues.push({
+      type: 'glyph-mapping',
+      font,
+      glyphs: count,
+      message: `${count} glyph(s) in ${font} have no usable Unicode mapping and extract as unreadable characters`,
+    });
+  }
+
+  const ligatureWords = [...foundWords].filter((word) => LIGATURE_PATTERN.test(word));
+  if (ligatureWords.length > 0) {
+    issues.push({
+      type: 'glyph-mapping',
+      fonts: [...ligatureFonts],
+      words: ligatureWords.slice(0, SAMPLE_SIZE),
+      message: `Ligatures in ${[...ligatureFonts].join(', ')} extract as single characters, so searches for words such as "${ligatureWords[0].normalize('NFKC')}" fail`,
+    });
+  }
+
+  // A ligature glyph mapped to nothing drops its letters: "office" reads "oce"
+  const dropped = missingWords.filter((word) => /ff|fi|fl/.test(word) && foundWords.has(word.replace(/ffi|ffl|ff|fi|fl/g, '')));
+  if (dropped.length > 0) {
+    issues.push({
+      type: 'glyph-mapping',
+      words: dropped.slice(0, SAMPLE_SIZE),
+      message: `Ligatures lose their letters in the text layer: "${dropped[0]}" reads as "${dropped[0].replace(/ffi|ffl|ff|fi|fl/g, '')}"`,
+    });
+  }
+  return issues;
+}
+
+// Link targets with broken percent-encoding are compared as written
+function decodeLinkTarget(target) {
+  try {
+    return decodeURIComponent(target);
+  } catch (error) {
+    return target;
+  }
+}
+
+function contactIssues(text, expected) {
+  const issues = [];
+  const emails = [...new Set(text.match(EMAIL_PATTERN) || [])];
+  const phones = [...new Set(findPhones(text))];
+
+  const linkTargets = (scheme) => expected.links
+    .filter((href) => href.toLowerCase().startsWith(scheme))
+    .map((href) => decodeLinkTarget(href.slice(scheme.length).split('?')[0]));
+  const expectedEmails = [...new Set([...(expected.text.match(EMAIL_PATTERN) || []), ...linkTargets('mailto:')])];
+  const expectedPhones = [...new Set([...findPhones(expected.text), ...linkTargets('tel:')])];
+
+  const foundEmails = new Set(emails.map((email) => email.toLowerCase()));
+  const missingEmails = expectedEmails.filter((email) => !foundEmails.has(email.toLowerCase()));
+  if (emails.length === 0 || missingEmails.length > 0) {
+    const email = missingEmails[0] || null;
+    issues.push({
+      type: 'contact-missing',
+      field: 'email',
+      expected: email,
+      message: email
+        ? `The email address ${email} is not in the text layer${expected.text.includes(email) ? '' : ' (it is only a link target)'}`
+        : 'No email address found in the text layer',
+    });
+  }
+
+  // Phone numbers are compared by their last seven digits, ignoring formatting
+  const tail = (phone) => digits(phone).slice(-7);
+  const foundPhones = new Set(phones.map(tail));
+  const missingPhones = expectedPhones.filter((phone) => !foundPhones.has(tail(phone)));
+  if (phones.length === 0 || missingPhones.length > 0) {
+    const phone = missingPhones[0] || null;
+    issues.push({
+      type: 'contact-missing',
+      field: 'phone',
+      expected: phone,
+      message: phone ? `The phone number ${phone} is not in the text layer` : 'No phone number found in the text layer',
+    });
+  }
+  return { issues, emails, phones };
+}
+
+// Extract the text layer of a rendered PDF in reading order and check it the
+// way an applicant tracking system would read it, against `expected` from
+// collectAtsExpectations. Resolves with
+//   { passed, text, pages: [{ pageNumber, lines, characters }], coverage,
+//     contact: { emails, phones }, issues: [{ type, message, ... }] }
+// Issue types: missing-text, glyph-mapping, column-order, contact-missing.
+async function checkAtsReadability(pdfBuffer, expected) {
+  const extraction = await extractPdfText(pdfBuffer);
+  const issues = [];
+
+  for (const page of extraction.pages) {
+    if (page.lines.length === 0) {
+      issues.push({
+        type: 'missing-text',
+        pageNumber: page.pageNumber,
+        message: page.images.length > 0
+          ? `Page ${page.pageNumber} has no text layer; its content is drawn as ${page.images.length} image(s)`
+          : `Page ${page.pageNumber} has no text layer`,
+      });
+    }
+  }
+
+  // Words broken by hyphenation at the end of a line count as found
+  const dehyphenated = extraction.text.replace(/(\p{L})-\n(\p{L})/gu, '$1$2');
+  const foundWords = new Set([...words(extraction.text), ...words(dehyphenated)]);
+  const expectedWords = [...new Set(words(expected.text))];
+  const missingWords = expectedWords.filter((word) => !foundWords.has(word));
+  const coverage = expectedWords.length > 0 ? 1 - missingWords.length / expectedWords.length : 1;
+  if (coverage < MIN_COVERAGE) {
+    issues.push({
+      type: 'missing-text',
+      coverage: Math.round(coverage * 1000) / 1000,
+      missingWords: missingWords.slice(0, SAMPLE_SIZE),
+      message: `Only ${Math.round(coverage * 100)}% of the resume's words are in the text layer`,
+    });
+  }
+
+  issues.push(...glyphMappingIssues(extraction, missingWords, foundWords));
+
+  for (const page of extraction.pages) {
+    const columns = findInterleavedColumns(page);
+    if (columns) {
+      issues.push({
+        type: 'column-order',
+        pageNumber: page.pageNumber,
+        lines: columns.lines.length,
+        sample: columns.lines[0].text.slice(0, 120),
+        message: `Page ${page.pageNumber}: ${columns.lines.length} lines run two columns together when read left to right`,
+      });
+    }
+  }
+
+  const contact = contactIssues(dehyphenated, expected);
+  issues.push(...contact.issues);
+
+  return {
+    passed: issues.length === 0,
+    text: extraction.text,
+    pages: extraction.pages.map((page) => ({
+      pageNumber: page.pageNumber,
+      lines: page.lines.length,
+      characters: page.text.length,
+    })),
+    coverage: Math.round(coverage * 1000) / 1000,
+    contact: { emails: contact.emails, phones: contact.phones },
+    issues,
+  };
+}
+
+// One-line summary for the X-Ats-Check header and logs
+function summarizeAtsCheck(ats) {
+  const types = [...new Set(ats.issues.map((issue) => issue.type))];
+  return `issues=${ats.issues.length}; coverage=${ats.coverage}${types.length > 0 ? `; types=${types.join(',')}` : ''}`;
+}
+
+module.exports = {
+  collectAtsExpectations,
+  checkAtsReadability,
+  summarizeAtsCheck,
+};
@@ -0,0 +1,282 @@
+const puppeteer = require('puppeteer-core');
+const chromium = require('@sparticuz/chromium');
+
+// Check if we're in a serverless environment (Render.com, Vercel, etc.)
+const isServerless = !!process.env.RENDER || !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Flags from @sparticuz/chromium's defaults that pooled browsers must not run
+// with. Single-process Chromium crashes when a second browser context opens a
+// page ("Target.createTarget: Target closed"), and the web-security flags would
+// let rendered HTML read cross-origin responses and load http content into
+// https pages around the network policy.
+const EXCLUDED_CHROMIUM_ARGS = [
+  '--single-process',
+  '--disable-web-security',
+  '--allow-running-insecure-content',
+];
+
+// Rendered pages get every http(s) response from applyNetworkPolicy, which
+// fetches it in Node after checking where the host resolves. Chromium itself
+// resolves no host names, and anything it would send past request interception
+// (WebSockets, WebRTC) goes to a proxy on a closed port and fails.
+const NETWORK_ISOLATION_ARGS = [
+  '--host-resolver-rules=MAP * ~NOTFOUND',
+  '--proxy-server=http://127.0.0.1:9',
+  '--proxy-bypass-list=<-loopback>',
+  '--force-webrtc-ip-handling-policy',
+  '--webrtc-ip-handling-policy=disable_non_proxied_udp',
+];
+
+// Launch arguments for @sparticuz/chromium, from its defaults
+function serverlessLaunchArgs(defaultArgs = chromium.args) {
+  return [
+    ...defaultArgs.filter((arg) => !EXCLUDED_CHROMIUM_ARGS.includes(arg)),
+    ...NETWORK_ISOLATION_ARGS,
+    '--disable-gpu',
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--hide-scrollbars',
+  ];
+}
+
+// Launch browser - use @sparticuz/chromium in serverless, regular puppeteer locally
+async function launchBrowser(logger = console) {
+  if (isServerless) {
+    // Production/serverless: Use @sparticuz/chromium
+    const executablePath = await chromium.executablePath();
+    const args = serverlessLaunchArgs();
+
+    logger.log('[PDF Service] Using @sparticuz/chromium at:', executablePath);
+
+    return puppeteer.launch({
+      executablePath,
+      args,
+      headless: true,
+      defaultViewport: {
+        width: 1920,
+        height: 1080,
+      },
+    });
+  }
+
+  // Local development: Use regular puppeteer (includes Chromium), an optional peer dependency
+  let puppeteerFull;
+  try {
+    puppeteerFull = require('puppeteer');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('Rendering outside serverless environments needs the puppeteer package: npm install puppeteer');
+  }
+  logger.log('[PDF Service] Using local puppeteer (development mode)');
+
+  return puppeteerFull.launch({
+    headless: true,
+    args: [
+      ...NETWORK_ISOLATION_ARGS,
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+    ],
+  });
+}
+
+// Keeps warm Chromium instances around and hands out one isolated browser
+// context per render. Browsers are recycled after `maxRendersPerBrowser`
+// renders, when they disconnect, or when a periodic health check fails.
+function createBrowserPool(options = {}) {
+  const size = options.size || readPositiveInt(process.env.BROWSER_POOL_SIZE, 1);
+  const maxRendersPerBrowser =
+    options.maxRendersPerBrowser || readPositiveInt(process.env.BROWSER_MAX_RENDERS, 50);
+  const healthCheckIntervalMs =
+    options.healthCheckIntervalMs || readPositiveInt(process.env.BROWSER_HEALTH_CHECK_MS, 30000);
+  const healthCheckTimeoutMs = options.healthCheckTimeoutMs || 5000;
+  const logger = options.logger || console;
+  const launch = options.launch || (() => launchBrowser(logger));
+
+  let nextId = 1;
+  let entries = [];
+  let healthTimer = null;
+  let destroyed = false;
+
+  const closeEntry = async (entry, reason) => {
+    if (entry.closed) return;
+    entry.closed = true;
+    entries = entries.filter((candidate) => candidate !== entry);
+    logger.log(`[PDF Service] Closing pooled browser #${entry.id} (${reason})`);
+    try {
+      const browser = await entry.ready;
+      await browser.close();
+    } catch (error) {
+      logger.error('[PDF Service] Error closing browser:', error);
+    }
+  };
+
+  const createEntry = () => {
+    const entry = {
+      id: nextId++,
+      browser: null,
+      ready: null,
+      renders: 0,
+      active: 0,
+      retiring: false,
+      closed: false,
+    };
+    entry.ready = launch().then((browser) => {
+      entry.browser = browser;
+      browser.on('disconnected', () => {
+        if (!entry.closed) {
+          logger.warn(`[PDF Service] Pooled browser #${entry.id} disconnected`);
+          entry.closed = true;
+          entries = entries.filter((candidate) => candidate !== entry);
+        }
+      });
+      return browser;
+    });
+    // A failed launch must not poison the pool; the next acquire launches again.
+    entry.ready.catch((error) => {
+      logger.error(`[PDF Service] Failed to launch pooled browser #${entry.id}:`, error);
+      entry.closed = true;
+      entries = entries.filter((candidate) => candidate !== entry);
+    });
+    entries.push(entry);
+    return entry;
+  };
+
+  const retire = (entry, reason) => {
+    entry.retiring = true;
+    if (entry.active === 0) {
+      closeEntry(entry, reason);
+    }
+  };
+
+  const pickEntry = () => {
+    const available = entries.filter(
+      (entry) => !entry.retiring && !entry.closed && entry.renders < maxRendersPerBrowser,
+    );
+    if (available.length < size) {
+      const idle = available.find((entry) => entry.active === 0);
+      return idle || createEntry();
+    }
+    return available.reduce((best, entry) => (entry.active < best.active ? entry : best));
+  };
+
+  // Returns { page, context, browserId, release }. `release` must always be
+  // called, and accepts { failed: true } when the render may have broken the browser.
+  const acquire = async () => {
+    if (destroyed) {
+      throw new Error('Browser pool has been shut down');
+    }
+
+    const entry = pickEntry();
+    entry.active++;
+    entry.renders++;
+
+    let context = null;
+    try {
+      const browser = await entry.ready;
+      context = await browser.createBrowserContext();
+      const page = await context.newPage();
+
+      let released = false;
+      const release = async ({ failed = false } = {}) => {
+        if (released) return;
+        released = true;
+        entry.active--;
+
+        try {
+          await context.close();
+        } catch (error) {
+          logger.error('[PDF Service] Error closing browser context:', error);
+          failed = true;
+        }
+
+        if (failed && !browser.connected) {
+          retire(entry, 'crashed');
+        } else if (entry.renders >= maxRendersPerBrowser) {
+          retire(entry, `reached ${maxRendersPerBrowser} renders`);
+        } else if (entry.retiring && entry.active === 0) {
+          closeEntry(entry, 'retired');
+        }
+      };
+
+      return { page, context, browserId: entry.id, release };
+    } catch (error) {
+      entry.active--;
+      if (context) {
+        context.close().catch(() => {});
+      }
+      retire(entry, 'failed to open page');
+      throw error;
+    }
+  };
+
+  const checkHealth = async () => {
+    for (const entry of [...entries]) {
+      if (!entry.browser || entry.closed || entry.retiring) continue;
+      let timer = null;
+      try {
+        await Promise.race([
+          entry.browser.version(),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Health check timeout')), healthCheckTimeoutMs);
+          }),
+        ]);
+      } catch (error) {
+        logger.warn(`[PDF Service] Pooled browser #${entry.id} failed health check:`, error.message);
+        // No new renders go to it; it closes once the renders in flight are
+        // released, which their deadlines guarantee
+        retire(entry, 'unhealthy');
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+
+  // Launch browsers up front so the first request does not pay the cold start.
+  const warm = async () => {
+    while (entries.filter((entry) => !entry.retiring && !entry.closed).length < size) {
+      createEntry();
+    }
+    await Promise.allSettled(entries.map((entry) => entry.ready));
+  };
+
+  const start = () => {
+    if (healthTimer) return;
+    healthTimer = setInterval(checkHealth, healthCheckIntervalMs);
+    healthTimer.unref();
+  };
+
+  const destroy = async () => {
+    destroyed = true;
+    clearInterval(healthTimer);
+    healthTimer = null;
+    await Promise.all([...entries].map((entry) => closeEntry(entry, 'shutdown')));
+  };
+
+  const stats = () => ({
+    size,
+    maxRendersPerBrowser,
+    browsers: entries.map((entry) => ({
+      id: entry.id,
+      ready: !!entry.browser,
+      connected: entry.browser ? entry.browser.connected : false,
+      renders: entry.renders,
+      active: entry.active,
+      retiring: entry.retiring,
+    })),
+  });
+
+  return { acquire, warm, start, destroy, checkHealth, stats };
+}
+
+module.exports = {
+  isServerless,
+  NETWORK_ISOLATION_ARGS,
+  serverlessLaunchArgs,
+  launchBrowser,
+  createBrowserPool,
+};
@@ -0,0 +1,78 @@
+// Thrown when a render runs past its deadline
+class RenderTimeoutError extends Error {
+  constructor(stage, timeoutMs) {
+    super(`Render timed out after ${timeoutMs}ms during ${stage || 'startup'}`);
+    this.name = 'RenderTimeoutError';
+    this.stage = stage;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Thrown when the client went away before the render finished
+class RenderCancelledError extends Error {
+  constructor(stage) {
+    super(`Render cancelled during ${stage || 'startup'}: the client disconnected`);
+    this.name = 'RenderCancelledError';
+    this.stage = stage;
+  }
+}
+
+// One deadline for a whole render. Expires after `timeoutMs` or when `signal`
+// aborts, whichever comes first; `currentStage()` names the stage in the error.
+//   race(promise)      rejects as soon as the deadline expires
+//   throwIfExpired()   for checkpoints between steps
+//   onExpire(fn)       stop in-flight work (e.g. close the browser context)
+//   clear()            must be called once the render is over
+function createDeadline({ timeoutMs, signal = null, currentStage = () => null }) {
+  let error = null;
+  const listeners = [];
+  let rejectRace = null;
+  const raced = new Promise((_, reject) => { rejectRace = reject; });
+  raced.catch(() => {});
+
+  const expire = (reason) => {
+    if (error) return;
+    error = reason;
+    rejectRace(error);
+    for (const listener of listeners) {
+      try {
+        listener(error);
+      } catch (listenerError) {
+        console.error('[PDF Service] Error while stopping an expired render:', listenerError);
+      }
+    }
+  };
+
+  const timer = setTimeout(() => expire(new RenderTimeoutError(currentStage(), timeoutMs)), timeoutMs);
+  const onAbort = () => expire(new RenderCancelledError(currentStage()));
+  if (signal) {
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  return {
+    get expired() {
+      return error !== null;
+    },
+    race: (promise) => Promise.race([promise, raced]),
+    throwIfExpired() {
+      if (error) throw error;
+    },
+    onExpire(listener) {
+      listeners.push(listener);
+    },
+    clear() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+module.exports = {
+  RenderTimeoutError,
+  RenderCancelledError,
+  createDeadline,
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FONT_FORMATS = {
+  '.woff2': { format: 'woff2', contentType: 'font/woff2' },
+  '.woff': { format: 'woff', contentType: 'font/woff' },
+  '.ttf': { format: 'truetype', contentType: 'font/ttf' },
+  '.otf': { format: 'opentype', contentType: 'font/otf' },
+};
+const FONT_STYLES = ['normal', 'italic'];
+// A CSS unicode-range value; it ends up inside the injected @font-face rule
+const UNICODE_RANGE_PATTERN = /^U\+[0-9A-F?]{1,6}(-[0-9A-F]{1,6})?(\s*,\s*U\+[0-9A-F?]{1,6}(-[0-9A-F]{1,6})?)*$/i;
+const FONT_MAX_FAMILIES = 10;
+
+const isWeight = (value) => Number.isInteger(value) && value >= 1 && value <= 1000;
+
+// Validate a list of { family, weights, styles } requirements, as sent in a
+// request's `fonts` field or listed per template in the manifest.
+// Returns { error } or { fonts }.
+function resolveFontRequirements(value, field = 'fonts') {
+  if (value === undefined || value === null) {
+    return { fonts: null };
+  }
+  if (!Array.isArray(value) || value.length > FONT_MAX_FAMILIES) {
+    return { error: `Invalid ${field}: expected an array of at most ${FONT_MAX_FAMILIES} { family, weights, styles } entries` };
+  }
+
+  const fonts = [];
+  for (const [index, entry] of value.entries()) {
+    const requirement = typeof entry === 'string' ? { family: entry } : entry;
+    if (!requirement || typeof requirement.family !== 'string' || !requirement.family.trim()) {
+      return { error: `Invalid ${field}[${index}].family: expected a non-empty string` };
+    }
+    const weights = requirement.weights === undefined ? [400] : requirement.weights;
+    if (!Array.isArray(weights) || weights.length === 0 || !weights.every(isWeight)) {
+      return { error: `Invalid ${field}[${index}].weights: expected an array of integers between 1 and 1000` };
+    }
+    const styles = requirement.styles === undefined ? ['normal'] : requirement.styles;
+    if (!Array.isArray(styles) || styles.length === 0 || !styles.every((style) => FONT_STYLES.includes(style))) {
+      return { error: `Invalid ${field}[${index}].styles: expected an array of ${FONT_STYLES.join(', ')}` };
+    }
+    fonts.push({ family: requirement.family.trim(), weights, styles });
+  }
+  return { fonts };
+}
+
+// One { family, weight, style } per face, without duplicates
+function expandFontFaces(requirements) {
+  const faces = new Map();
+  for (const { family, weights, styles } of requirements) {
+    for (const weight of weights) {
+      for (const style of styles) {
+        faces.set(`${family.toLowerCase()}|${weight}|${style}`, { family, weight, style });
+      }
+    }
+  }
+  return [...faces.values()];
+}
+
+// Fonts bundled with the service, described by <dir>/manifest.json:
+//   {
+//     "faces": [{ "family": "Raleway", "weight": 400, "style": "normal", "file": "Raleway-Regular.woff2" }],
+//     "templates": { "default": [{ "family": "Raleway", "weights": [400, 500, 700] }] }
+//   }
+// `faces` are served from /fonts and injected into every render that needs
+// their family; `templates` lists the faces each templateId must load. A face
+// split into subset files lists each file with its `unicodeRange`.
+function createFontRegistry(options = {}) {
+  const dir = path.resolve(options.dir || process.env.FONTS_DIR || path.join(__dirname, '..', 'fonts'));
+  const manifestPath = path.join(dir, 'manifest.json');
+  const logger = options.logger || console;
+
+  let manifest = { faces: [], templates: {} };
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    logger.warn(`[PDF Service] No usable font manifest at ${manifestPath}:`, error.message);
+  }
+
+  const faces = [];
+  for (const face of manifest.faces || []) {
+    // Manifest files are plain names inside the fonts directory
+    const file = typeof face.file === 'string' ? path.basename(face.file) : '';
+    const type = FONT_FORMATS[path.extname(file).toLowerCase()];
+    const style = face.style || 'normal';
+    const unicodeRange = face.unicodeRange === undefined ? null : face.unicodeRange;
+    if (typeof face.family !== 'string' || !isWeight(face.weight || 400) || !FONT_STYLES.includes(style) || !type
+      || (unicodeRange !== null && !(typeof unicodeRange === 'string' && UNICODE_RANGE_PATTERN.test(unicodeRange)))) {
+      logger.warn('[PDF Service] Skipping invalid font manifest entry:', face);
+      continue;
+    }
+    if (!fs.existsSync(path.join(dir, file))) {
+      logger.warn(`[PDF Service] Font file missing from ${dir}: ${file}`);
+      continue;
+    }
+    faces.push({ family: face.family, weight: face.weight || 400, style, file, unicodeRange, ...type });
+  }
+
+  const templates = {};
+  for (const [templateId, requirements] of Object.entries(manifest.templates || {})) {
+    const { error, fonts } = resolveFontRequirements(requirements, `templates.${templateId}`);
+    if (error) {
+      logger.warn(`[PDF Service] Ignoring font manifest entry: ${error}`);
+      continue;
+    }
+    templates[templateId] = fonts;
+  }
+
+  // Changes whenever the manifest or a font file does; part of the PDF cache key
+  const fingerprintHash = crypto.createHash('sha256').update(JSON.stringify(manifest));
+  for (const face of faces) {
+    const stat = fs.statSync(path.join(dir, face.file));
+    fingerprintHash.update(`\n${face.file}:${stat.size}:${stat.mtimeMs}`);
+  }
+  const fingerprint = fingerprintHash.digest('hex');
+
+  logger.log(`[PDF Service] Loaded ${faces.length} bundled font faces and ${Object.keys(templates).length} template font lists`);
+
+  const dataUrls = new Map();
+  const dataUrlFor = (face) => {
+    if (!dataUrls.has(face.file)) {
+      const data = fs.readFileSync(path.join(dir, face.file)).toString('base64');
+      dataUrls.set(face.file, `data:${face.contentType};base64,${data}`);
+    }
+    return dataUrls.get(face.file);
+  };
+
+  // Faces a render must load: the request's own list, else its template's, else the default
+  const requiredFaces = (templateId, requested) =>
+    expandFontFaces(requested || templates[templateId] || templates.default || []);
+
+  // @font-face rules for the bundled faces of the given families. Inlined as
+  // data URLs so the page needs no network access to load them.
+  const fontFaceCss = (families) => {
+    const wanted = new Set(families.map((family) => family.toLowerCase()));
+    return faces
+      .filter((face) => wanted.has(face.family.toLowerCase()))
+      .map((face) => `@font-face { font-family: ${JSON.stringify(face.family)}; font-weight: ${face.weight}; font-style: ${face.style}; font-display: block; src: url(${dataUrlFor(face)}) format('${face.format}');${face.unicodeRange ? ` unicode-range: ${face.unicodeRange};` : ''} }`)
+      .join('\n');
+  };
+
+  const findFile = (name) => faces.find((face) => face.file === name) || null;
+
+  const list = () => ({
+    faces: faces.map(({ family, weight, style, file, unicodeRange }) => ({
+      family,
+      weight,
+      style,
+      ...(unicodeRange && { unicodeRange }),
+      url: `/fonts/${encodeURIComponent(file)}`,
+    })),
+    templates,
+  });
+
+  return { dir, fingerprint, requiredFaces, fontFaceCss, findFile, list };
+}
+
+// Thrown by strictFonts renders when required faces did not load
+class MissingFontsError extends Error {
+  constructor(missingFonts) {
+    const names = missingFonts.map((face) => `${face.family} ${face.weight} ${face.style}`);
+    super(`Required fonts failed to load: ${names.join(', ')}`);
+    this.name = 'MissingFontsError';
+    this.missingFonts = missingFonts;
+  }
+}
+
+module.exports = {
+  FONT_STYLES,
+  FONT_MAX_FAMILIES,
+  resolveFontRequirements,
+  createFontRegistry,
+  MissingFontsError,
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// Job stores are async so a shared backend (Redis, a database, object
+// storage for results) can replace the in-memory one without touching the
+// routes. A store must implement:
+//   create(fields) -> job        get(id) -> job | null
+//   update(id, patch) -> job     setResult(id, buffer)
+//   getResult(id) -> Buffer | null
+function createMemoryJobStore(options = {}) {
+  const ttlMs = options.ttlMs || 60 * 60 * 1000; // keep finished jobs for 1 hour
+  const maxJobs = options.maxJobs || 500;
+  const jobs = new Map();
+  const results = new Map();
+
+  const remove = (id) => {
+    jobs.delete(id);
+    results.delete(id);
+  };
+
+  // Drop expired jobs, then the oldest finished ones if we are still over capacity
+  const prune = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.expiresAt && job.expiresAt <= now) {
+        remove(id);
+      }
+    }
+    if (jobs.size < maxJobs) return;
+    for (const [id, job] of jobs) {
+      if (jobs.size < maxJobs) break;
+      if (job.status === 'completed' || job.status === 'failed') {
+        remove(id);
+      }
+    }
+  };
+
+  const pruneTimer = setInterval(prune, Math.min(ttlMs, 60 * 1000));
+  pruneTimer.unref();
+
+  return {
+    async create(fields) {
+      prune();
+      if (jobs.size >= maxJobs) {
+        throw new Error(`Job store is full (${maxJobs} jobs in progress)`);
+      }
+      const now = Date.now();
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        stage: 'queued',
+        stages: [{ name: 'queued', at: new Date(now).toISOString() }],
+        createdAt: new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString(),
+        completedAt: null,
+        expiresAt: null,
+        error: null,
+        resultSize: null,
+        ...fields,
+      };
+      jobs.set(job.id, job);
+      return { ...job };
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      if (!job || (job.expiresAt && job.expiresAt <= Date.now())) {
+        return null;
+      }
+      return { ...job };
+    },
+
+    async update(id, patch) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+      if (job.status === 'completed' || job.status === 'failed') {
+        job.expiresAt = Date.now() + ttlMs;
+      }
+      return { ...job };
+    },
+
+    async setResult(id, buffer) {
+      if (jobs.has(id)) {
+        results.set(id, buffer);
+      }
+    },
+
+    async getResult(id) {
+      return results.get(id) || null;
+    },
+  };
+}
+
+module.exports = {
+  createMemoryJobStore,
+};
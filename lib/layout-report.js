@@ -0,0 +1,179 @@
+// Entries kept per list; the counts still cover everything found
+const REPORT_MAX_ENTRIES = 20;
+
+// Thrown by failOnOverflow renders when content would be clipped in the PDF
+class LayoutOverflowError extends Error {
+  constructor(report) {
+    const { overflow, outsidePrintableArea } = report.counts;
+    super(`Content does not fit the page: ${overflow} page(s) overflow and ${outsidePrintableArea} element(s) are outside the printable area`);
+    this.name = 'LayoutOverflowError';
+    this.report = report;
+  }
+}
+
+// Inspect the laid-out document before it is printed:
+//   overflow              content running below the content area of its page
+//   outsidePrintableArea  elements past the left or right edge of the content area
+//   failedImages          <img> elements that are broken or never loaded
+//   scaledToFit           blocks the paginator shrank to fit an empty page
+// In page mode the .export-page elements are checked against a page of
+// `pageWidthPx` x `pageHeightPx` minus its padding; their CSS height does not
+// matter, since pre-paginated pages may not have one. In continuous mode
+// (`printWidthPx` set) the document is laid out at the print width with print
+// styles, as in measureContentHeight, and only the width is checked.
+// `truncated` is set when anything would be clipped in the PDF.
+async function collectLayoutReport(page, { layout = null, pageWidthPx, pageHeightPx, printWidthPx = null }) {
+  const viewport = page.viewport();
+  if (printWidthPx) {
+    await page.setViewport({ ...viewport, width: printWidthPx });
+    await page.emulateMediaType('print');
+  }
+
+  let found;
+  try {
+    found = await page.evaluate(({ pageWidthPx, pageHeightPx, continuous, maxEntries }) => {
+      const TOLERANCE_PX = 1;
+      const overflow = [];
+      const outsidePrintableArea = [];
+      const failedImages = [];
+      const exportPages = Array.from(document.querySelectorAll('.pages-container .export-page'));
+
+      const describeElement = (el) => ({
+        tag: el.tagName.toLowerCase(),
+        id: el.id || null,
+        className: typeof el.className === 'string' && el.className ? el.className : null,
+        text: (el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+      });
+      const round = (px) => Math.round(px * 10) / 10;
+
+      // Visit every element and text node under `root` with its box. Children
+      // of elements that clip their own overflow are skipped: the clipping
+      // element's box is the one that counts.
+      const visitBoxes = (root, visit) => {
+        const range = document.createRange();
+        const walk = (el) => {
+          for (const child of el.childNodes) {
+            if (child.nodeType === Node.TEXT_NODE) {
+              if (!child.textContent.trim()) continue;
+              range.selectNodeContents(child);
+              visit(child.parentElement, range.getBoundingClientRect());
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+              if (child.matches('.page-running-header, .page-running-footer')) continue;
+              const style = getComputedStyle(child);
+              if (style.display === 'none' || style.position === 'fixed') continue;
+              const rect = child.getBoundingClientRect();
+              if (rect.width > 0 || rect.height > 0) {
+                visit(child, rect);
+              }
+              if (style.overflowX === 'visible' && style.overflowY === 'visible') {
+                walk(child);
+              }
+            }
+          }
+        };
+        walk(root);
+      };
+
+      // One entry per element, for the outermost element past an edge
+      const reported = [];
+      const checkSides = (pageNumber, area) => (el, rect) => {
+        const past = { left: area.left - rect.left, right: rect.right - area.right };
+        const side = past.left > past.right ? 'left' : 'right';
+        if (past[side] <= TOLERANCE_PX) return;
+        if (reported.some((outer) => outer === el || outer.contains(el))) return;
+        reported.push(el);
+        outsidePrintableArea.push({ pageNumber, side, overflowPx: round(past[side]), element: describeElement(el) });
+      };
+
+      if (continuous) {
+        const area = { left: 0, right: document.documentElement.clientWidth };
+        visitBoxes(document.body, checkSides(1, area));
+      } else {
+        exportPages.forEach((pageEl, index) => {
+          const pageNumber = index + 1;
+          const rect = pageEl.getBoundingClientRect();
+          const style = getComputedStyle(pageEl);
+          const area = {
+            left: rect.left + (parseFloat(style.paddingLeft) || 0),
+            right: rect.left + pageWidthPx - (parseFloat(style.paddingRight) || 0),
+            bottom: rect.top + pageHeightPx - (parseFloat(style.paddingBottom) || 0),
+          };
+          const sides = checkSides(pageNumber, area);
+          // The innermost of the lowest elements names the content that overflows
+          let lowest = null;
+          visitBoxes(pageEl, (el, box) => {
+            sides(el, box);
+            const overflowPx = box.bottom - area.bottom;
+            if (overflowPx > TOLERANCE_PX && (!lowest || overflowPx >= lowest.overflowPx)) {
+              lowest = { overflowPx, el };
+            }
+          });
+          if (lowest) {
+            overflow.push({ pageNumber, overflowPx: round(lowest.overflowPx), element: describeElement(lowest.el) });
+          }
+        });
+      }
+
+      for (const img of document.images) {
+        const src = img.currentSrc || img.getAttribute('src') || '';
+        if (!src || (img.complete && img.naturalWidth > 0)) continue;
+        const pageEl = img.closest('.export-page');
+        failedImages.push({
+          pageNumber: pageEl ? exportPages.indexOf(pageEl) + 1 : 1,
+          src: src.slice(0, 200),
+          alt: img.getAttribute('alt') || null,
+          reason: img.complete ? 'broken' : 'not-loaded',
+        });
+      }
+
+      const counts = {
+        overflow: overflow.length,
+        outsidePrintableArea: outsidePrintableArea.length,
+        failedImages: failedImages.length,
+      };
+      return {
+        counts,
+        overflow: overflow.slice(0, maxEntries),
+        outsidePrintableArea: outsidePrintableArea.slice(0, maxEntries),
+        failedImages: failedImages.slice(0, maxEntries),
+      };
+    }, { pageWidthPx, pageHeightPx, continuous: !!printWidthPx, maxEntries: REPORT_MAX_ENTRIES });
+  } finally {
+    if (printWidthPx) {
+      await page.emulateMediaType(null);
+      await page.setViewport(viewport);
+    }
+  }
+
+  const scaledToFit = [];
+  for (const layoutPage of layout ? layout.pages : []) {
+    for (const { scaledToFit: scale, ...block } of layoutPage.blocks) {
+      if (scale) {
+        scaledToFit.push({ pageNumber: layoutPage.pageNumber, scale, block });
+      }
+    }
+  }
+
+  const counts = { ...found.counts, scaledToFit: scaledToFit.length };
+  return {
+    truncated: counts.overflow > 0 || counts.outsidePrintableArea > 0,
+    clean: Object.values(counts).every((count) => count === 0),
+    counts,
+    overflow: found.overflow,
+    outsidePrintableArea: found.outsidePrintableArea,
+    failedImages: found.failedImages,
+    scaledToFit: scaledToFit.slice(0, REPORT_MAX_ENTRIES),
+  };
+}
+
+// One-line summary for the X-Layout-Report header and logs
+function summarizeLayoutReport(report) {
+  const { overflow, outsidePrintableArea, failedImages, scaledToFit } = report.counts;
+  return `overflow=${overflow}; outside-printable-area=${outsidePrintableArea}; failed-images=${failedImages}; scaled-to-fit=${scaledToFit}`;
+}
+
+module.exports = {
+  LayoutOverflowError,
+  collectLayoutReport,
+  summarizeLayoutReport,
+};
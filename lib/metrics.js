@@ -0,0 +1,119 @@
+// Minimal Prometheus text-format registry: labelled counters and histograms.
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values in labelNames order
+  const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => labels[name] ?? ''));
+
+  const counter = (name, help, labelNames = []) => {
+    const series = new Map();
+    const metric = {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + value);
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const [key, value] of series) {
+          lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+        }
+        return lines.join('\n');
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  };
+
+  const histogram = (name, help, labelNames = [], buckets = DURATION_BUCKETS) => {
+    const series = new Map();
+    const metric = {
+      observe(labels = {}, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const [key, entry] of series) {
+          const values = JSON.parse(key);
+          buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+        }
+        return lines.join('\n');
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  };
+
+  const render = () => `${metrics.map((metric) => metric.render()).join('\n\n')}\n`;
+
+  return { counter, histogram, render };
+}
+
+// Times the stages a render reports through onStage: each stage lasts until
+// the next one starts, the last until finish(). Calls through to `next`.
+function createStageTimer(next = () => {}) {
+  const startedAt = process.hrtime.bigint();
+  const stages = [];
+  let current = null;
+
+  const close = (now) => {
+    if (current) {
+      stages.push({ name: current.name, durationMs: Number(now - current.startedAt) / 1e6 });
+      current = null;
+    }
+  };
+
+  return {
+    stages,
+    onStage(name) {
+      const now = process.hrtime.bigint();
+      close(now);
+      current = { name, startedAt: now };
+      next(name);
+    },
+    // Returns the total duration in milliseconds
+    finish() {
+      const now = process.hrtime.bigint();
+      close(now);
+      return Number(now - startedAt) / 1e6;
+    },
+  };
+}
+
+// Server-Timing header value, e.g. "launching;dur=12.3, printing;dur=410.0, total;dur=980.2"
+function formatServerTiming(stages, totalMs) {
+  return [...stages, { name: 'total', durationMs: totalMs }]
+    .map((stage) => `${stage.name};dur=${stage.durationMs.toFixed(1)}`)
+    .join(', ');
+}
+
+module.exports = {
+  createMetricsRegistry,
+  createStageTimer,
+  formatServerTiming,
+};
@@ -0,0 +1,378 @@
+const dns = require('dns').promises;
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const zlib = require('zlib');
+
+const DNS_TIMEOUT_MS = 2000;
+const FETCH_TIMEOUT_MS = 15000;
+const FETCH_MAX_BYTES = 20 * 1024 * 1024;
+const BLOCKED_REPORT_LIMIT = 50;
+const ASSET_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.css': 'text/css; charset=utf-8',
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+};
+
+const splitList = (value) => (value || '').split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+
+// `example.com` matches the host exactly, `*.example.com` matches its subdomains
+const hostMatches = (host, pattern) =>
+  pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+
+// The eight 16-bit groups of an IPv6 address; a trailing dotted IPv4 part
+// (::ffff:127.0.0.1) counts as the last two
+function ipv6Groups(address) {
+  let text = address.toLowerCase();
+  const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map((group) => parseInt(group, 16)) : []);
+  const high = parse(head);
+  const low = parse(tail);
+  return [...high, ...new Array(8 - high.length - low.length).fill(0), ...low];
+}
+
+const embeddedIPv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges, and IPv6
+// addresses that embed one of them
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b, c] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 192 && b === 0 && (c === 0 || c === 2)) // protocol assignments, TEST-NET-1
+      || (a === 198 && (b === 18 || b === 19)) // benchmarking 198.18.0.0/15
+      || (a === 198 && b === 51 && c === 100) // TEST-NET-2
+      || (a === 203 && b === 0 && c === 113); // TEST-NET-3
+  }
+  if (net.isIPv6(address)) {
+    const groups = ipv6Groups(address);
+    const [first, second] = groups;
+    // IPv4-mapped ::ffff:0:0/96 and IPv4-compatible ::/96, which covers :: and ::1
+    if (groups.slice(0, 5).every((group) => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) {
+      return isPrivateAddress(embeddedIPv4(groups[6], groups[7]));
+    }
+    // NAT64 64:ff9b::/96 and 6to4 2002::/16 reach the IPv4 address they embed
+    if (first === 0x64 && second === 0xff9b && groups.slice(2, 6).every((group) => group === 0)) {
+      return isPrivateAddress(embeddedIPv4(groups[6], groups[7]));
+    }
+    if (first === 0x2002) {
+      return isPrivateAddress(embeddedIPv4(groups[1], groups[2]));
+    }
+    return (first & 0xfe00) === 0xfc00 // unique local fc00::/7
+      || (first & 0xffc0) === 0xfe80 // link-local fe80::/10
+      || (first & 0xffc0) === 0xfec0 // site-local fec0::/10
+      || (first & 0xff00) === 0xff00 // multicast
+      || (first === 0x2001 && (second === 0 || second === 0x0db8)); // Teredo, documentation
+  }
+  return false;
+}
+
+// A dns.lookup stand-in for http.request that answers with addresses resolved earlier
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  if (options.all) {
+    callback(null, addresses);
+  } else {
+    callback(null, addresses[0].address, addresses[0].family);
+  }
+};
+
+// GET (or POST) a URL without following redirects. Resolves with
+// { status, headers, body }; compressed bodies are decoded.
+function fetchUrl(rawUrl, { method = 'GET', headers = {}, body, lookup, timeoutMs = FETCH_TIMEOUT_MS, maxBytes = FETCH_MAX_BYTES }) {
+  const url = new URL(rawUrl);
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    let timer;
+    const request = client.request(url, { method, headers: { ...headers, 'accept-encoding': 'gzip, deflate, br' }, lookup }, (response) => {
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          request.destroy(new Error(`Response is larger than ${maxBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        clearTimeout(timer);
+        try {
+          const encoding = (response.headers['content-encoding'] || '').toLowerCase();
+          const raw = Buffer.concat(chunks);
+          const decoded = encoding === 'gzip' ? zlib.gunzipSync(raw)
+            : encoding === 'deflate' ? zlib.inflateSync(raw)
+              : encoding === 'br' ? zlib.brotliDecompressSync(raw)
+                : raw;
+          const responseHeaders = { ...response.headers };
+          delete responseHeaders['content-encoding'];
+          resolve({ status: response.statusCode, headers: responseHeaders, body: decoded });
+        } catch (error) {
+          reject(error);
+        }
+      });
+      response.on('error', reject);
+    });
+    timer = setTimeout(() => request.destroy(new Error(`Request timed out after ${timeoutMs} ms`)), timeoutMs);
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+// Which outbound requests a rendered page may make. Configured with:
+//   NETWORK_ALLOWED_SCHEMES  schemes pages may load (default http, https, data, blob)
+//   NETWORK_ALLOW_HOSTS      when set, only these hosts (and asset URLs) are allowed
+//   NETWORK_DENY_HOSTS       always blocked, even when allowlisted
+//   NETWORK_ALLOW_PRIVATE    "true" to allow hosts resolving to private addresses
+function createNetworkPolicy(options = {}) {
+  const allowedSchemes = options.allowedSchemes
+    || (splitList(process.env.NETWORK_ALLOWED_SCHEMES).length > 0
+      ? splitList(process.env.NETWORK_ALLOWED_SCHEMES)
+      : ['http', 'https', 'data', 'blob']);
+  const allowHosts = options.allowHosts || splitList(process.env.NETWORK_ALLOW_HOSTS);
+  const denyHosts = options.denyHosts || splitList(process.env.NETWORK_DENY_HOSTS);
+  const allowPrivate = options.allowPrivate !== undefined
+    ? options.allowPrivate
+    : process.env.NETWORK_ALLOW_PRIVATE === 'true';
+  const lookup = options.lookup || ((host) => dns.lookup(host, { all: true }));
+
+  // [{ address, family }] for a host name
+  const resolveHost = async (host) => {
+    let timer;
+    try {
+      const addresses = await Promise.race([
+        lookup(host),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('DNS lookup timed out')), DNS_TIMEOUT_MS);
+        }),
+      ]);
+      return addresses.map(({ address }) => ({ address, family: net.isIPv6(address) ? 6 : 4 }));
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  // Resolves with { reason } when the URL is blocked, otherwise { addresses }:
+  // what the host resolved to when it was checked (null if nothing was looked
+  // up), so a fetch connects there instead of asking DNS again and getting a
+  // different, private answer
+  const evaluate = async (rawUrl) => {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      return { reason: 'invalid-url' };
+    }
+
+    const scheme = url.protocol.replace(/:$/, '');
+    // Never allowed, whatever NETWORK_ALLOWED_SCHEMES says: request
+    // interception can't see WebSocket traffic, so browsers can't open any
+    if (scheme === 'ws' || scheme === 'wss') return { reason: 'websocket' };
+    if (!allowedSchemes.includes(scheme)) return { reason: 'scheme' };
+    if (scheme !== 'http' && scheme !== 'https') return { addresses: null };
+
+    const host = url.hostname.toLowerCase();
+    if (denyHosts.some((pattern) => hostMatches(host, pattern))) return { reason: 'denied-host' };
+    if (allowHosts.length > 0 && !allowHosts.some((pattern) => hostMatches(host, pattern))) return { reason: 'not-allowlisted' };
+    if (allowPrivate) return { addresses: null };
+
+    const bare = host.replace(/^\[|\]$/g, '');
+    if (net.isIP(bare)) return isPrivateAddress(bare) ? { reason: 'private-address' } : { addresses: null };
+    if (bare === 'localhost' || bare.endsWith('.localhost')) return { reason: 'private-address' };
+    let addresses;
+    try {
+      addresses = await resolveHost(bare);
+    } catch (error) {
+      return { reason: 'dns-failed' };
+    }
+    if (addresses.length === 0) return { reason: 'dns-failed' };
+    if (addresses.some(({ address }) => isPrivateAddress(address))) return { reason: 'private-address' };
+    return { addresses };
+  };
+
+  // Resolves with null when the URL may be loaded, otherwise the reason it is blocked
+  const check = async (rawUrl) => (await evaluate(rawUrl)).reason || null;
+
+  // Fetch an http(s) URL if the policy allows it, connecting only to the
+  // addresses it was checked against. Resolves with { blocked: reason } or
+  // fetchUrl's response; redirects come back as they are, so every hop is checked.
+  const fetch = async (rawUrl, options = {}) => {
+    const { reason, addresses } = await evaluate(rawUrl);
+    if (reason) return { blocked: reason };
+    return fetchUrl(rawUrl, { ...options, lookup: addresses ? pinnedLookup(addresses) : undefined });
+  };
+
+  const describe = () => ({ allowedSchemes, allowHosts, denyHosts, allowPrivate });
+
+  return { check, fetch, describe };
+}
+
+// Images, CSS and fonts served to rendered pages from disk. Files in
+// ASSETS_DIR are reachable under ASSET_BASE_URL, and <dir>/manifest.json may
+// map other stable URLs (e.g. a CDN logo) onto files:
+//   { "urls": { "https://cdn.example.com/logo.png": "logo.png" } }
+function createAssetRegistry(options = {}) {
+  const dir = path.resolve(options.dir || process.env.ASSETS_DIR || path.join(__dirname, '..', 'assets'));
+  const baseUrl = options.baseUrl || process.env.ASSET_BASE_URL || 'https://assets.resume-pdf.local/';
+  const logger = options.logger || console;
+
+  let urls = {};
+  try {
+    urls = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8')).urls || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('[PDF Service] Ignoring unreadable asset manifest:', error.message);
+    }
+  }
+
+  // Only files inside the assets directory with a known type are ever served
+  const fileFor = (relativePath) => {
+    const filePath = path.resolve(dir, relativePath);
+    const contentType = ASSET_CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+    if (!contentType || !filePath.startsWith(dir + path.sep) || !fs.existsSync(filePath)) {
+      return null;
+    }
+    return { filePath, contentType };
+  };
+
+  const resolve = (rawUrl) => {
+    const url = rawUrl.split('#')[0];
+    if (urls[url]) {
+      return fileFor(urls[url]);
+    }
+    if (url.startsWith(baseUrl)) {
+      const relativePath = decodeURIComponent(url.slice(baseUrl.length).split('?')[0]);
+      return fileFor(relativePath);
+    }
+    return null;
+  };
+
+  return { dir, baseUrl, resolve };
+}
+
+// Headers of a browser request worth passing on; Node sets the connection
+// headers itself, and conditional ones would only earn a 304
+const SKIPPED_REQUEST_HEADERS = ['host', 'connection', 'content-length', 'accept-encoding', 'if-none-match', 'if-modified-since'];
+const SKIPPED_RESPONSE_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'set-cookie'];
+
+const forwardedHeaders = (headers) => Object.fromEntries(
+  Object.entries(headers).filter(([name]) => !SKIPPED_REQUEST_HEADERS.includes(name.toLowerCase()))
+);
+
+// Response headers as the browser expects them from request.respond: one
+// string per header, redirect targets absolute
+function fulfilledHeaders(headers, url) {
+  const fulfilled = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!SKIPPED_RESPONSE_HEADERS.includes(name)) {
+      fulfilled[name] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+  }
+  if (fulfilled.location) {
+    fulfilled.location = new URL(fulfilled.location, url).href;
+  }
+  return fulfilled;
+}
+
+// Intercept every request the page makes: registry assets are answered from
+// disk, http(s) requests the policy allows are fetched from Node, and other
+// schemes (data:, blob:) go through the policy. Returns the live report
+// { blocked: [{ url, reason, resourceType }], blockedCount, assetsServed, allowed }.
+async function applyNetworkPolicy(page, { policy, assets }) {
+  const report = { blocked: [], blockedCount: 0, assetsServed: 0, allowed: 0 };
+  const block = (request, reason) => {
+    report.blockedCount++;
+    if (report.blocked.length < BLOCKED_REPORT_LIMIT) {
+      // data: URLs can be huge; the scheme is enough to identify them
+      const url = request.url().startsWith('data:') ? 'data:…' : request.url();
+      report.blocked.push({ url, reason, resourceType: request.resourceType() });
+    }
+    return request.abort('blockedbyclient');
+  };
+
+  await page.setRequestInterception(true);
+  page.on('request', async (request) => {
+    try {
+      // The HTML is set directly; navigating away would replace it
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        return await block(request, 'navigation');
+      }
+
+      const asset = assets.resolve(request.url());
+      if (asset) {
+        report.assetsServed++;
+        return await request.respond({
+          status: 200,
+          contentType: asset.contentType,
+          // setContent pages have an opaque origin, and fonts are fetched with CORS
+          headers: { 'Access-Control-Allow-Origin': '*' },
+          body: await fs.promises.readFile(asset.filePath),
+        });
+      }
+
+      const url = request.url();
+      if (!/^https?:/i.test(url)) {
+        const reason = await policy.check(url);
+        if (reason) {
+          return await block(request, reason);
+        }
+        report.allowed++;
+        return await request.continue();
+      }
+
+      // Fetched here, pinned to the checked addresses: the browser resolves
+      // no host names itself (see NETWORK_ISOLATION_ARGS in browser-pool)
+      const response = await policy.fetch(url, {
+        method: request.method(),
+        headers: forwardedHeaders(request.headers()),
+        body: request.postData(),
+      });
+      if (response.blocked) {
+        return await block(request, response.blocked);
+      }
+      report.allowed++;
+      return await request.respond({
+        status: response.status,
+        headers: fulfilledHeaders(response.headers, url),
+        body: response.body,
+      });
+    } catch (error) {
+      // The page may already be closing; the request is gone either way
+      if (!request.isInterceptResolutionHandled()) {
+        request.abort('failed').catch(() => {});
+      }
+    }
+  });
+
+  return report;
+}
+
+module.exports = {
+  isPrivateAddress,
+  fetchUrl,
+  createNetworkPolicy,
+  createAssetRegistry,
+  applyNetworkPolicy,
+};
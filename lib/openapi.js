@@ -0,0 +1,367 @@
+const { toJsonSchema } = require('./schema');
+
+const json = (schema, description = 'OK') => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (description) => json(ref('ErrorResponse'), description);
+
+const RENDER_ERRORS = {
+  400: errorResponse('The request body is invalid; `details` lists every problem'),
+  401: errorResponse('Missing or invalid API key'),
+  403: errorResponse('The API key lacks the required scope'),
+  422: errorResponse('Required fonts failed to load (strictFonts), or content would be clipped (failOnOverflow)'),
+  429: errorResponse('Rate limit or daily quota exceeded'),
+  499: errorResponse('The client disconnected before the render finished'),
+  500: errorResponse('The render failed'),
+  504: errorResponse('The render ran past its deadline'),
+};
+
+const ADMIN_ERRORS = {
+  401: RENDER_ERRORS[401],
+  403: RENDER_ERRORS[403],
+};
+
+// OpenAPI 3.1 description of the HTTP API. The request bodies come from the
+// same schemas the routes validate with, so the two cannot drift apart.
+function buildOpenApiDocument({ version, requestSchema, bundleRequestSchema, imageRequestProperties, jobRequestProperties, pageSizes }) {
+  const renderRequest = toJsonSchema(requestSchema);
+  const withProperties = (properties) => ({
+    ...renderRequest,
+    properties: { ...renderRequest.properties, ...toJsonSchema({ properties }).properties },
+  });
+  // Bundle parts reference the render request instead of repeating it
+  const bundleRequest = toJsonSchema(bundleRequestSchema);
+  const [documentPart, pdfPart] = bundleRequest.properties.parts.items.oneOf;
+  bundleRequest.properties.parts.items = { oneOf: [ref('BundleDocumentPart'), ref('BundlePdfPart')] };
+  const body = (name) => ({ required: true, content: { 'application/json': { schema: ref(name) } } });
+  const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Resume PDF Service',
+      version,
+      description: 'Renders HTML or JSON Resume documents to paginated PDFs with headless Chrome. '
+        + `Page sizes: ${Object.keys(pageSizes).join(', ')} or a custom { widthMm, heightMm }.`,
+    },
+    security: [{ apiKey: [] }, { bearer: [] }],
+    paths: {
+      '/render': {
+        post: {
+          summary: 'Render a PDF',
+          requestBody: body('RenderRequest'),
+          parameters: [
+            { name: 'If-None-Match', in: 'header', schema: { type: 'string' }, description: 'ETag of a PDF the client already has' },
+            { name: 'Cache-Control', in: 'header', schema: { type: 'string' }, description: '`no-cache` skips the PDF cache' },
+            {
+              name: 'report',
+              in: 'query',
+              schema: { type: 'boolean' },
+              description: 'Return the PDF, the layout report and the ATS check (atsCheck) as multipart/form-data',
+            },
+          ],
+          responses: {
+            200: {
+              description: 'The PDF, with X-Page-Count, X-Layout-Report, X-Ats-Check, ETag, X-Cache and Server-Timing headers',
+              content: {
+                'application/pdf': { schema: { type: 'string', contentMediaType: 'application/pdf' } },
+                'multipart/form-data': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      report: ref('LayoutReport'),
+                      ats: ref('AtsCheck'),
+                      pdf: { type: 'string', contentMediaType: 'application/pdf' },
+                    },
+                  },
+                },
+              },
+            },
+            304: { description: 'The PDF matching If-None-Match has not changed' },
+            ...RENDER_ERRORS,
+          },
+        },
+      },
+      '/render/bundle': {
+        post: {
+          summary: 'Render documents and merge them with existing PDFs into one PDF',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': { schema: ref('BundleRequest') },
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['bundle'],
+                  properties: {
+                    bundle: ref('BundleRequest'),
+                  },
+                  additionalProperties: { type: 'string', contentMediaType: 'application/pdf' },
+                  description: 'The request in `bundle`; PDF parts name their file field in `file`',
+                },
+              },
+            },
+          },
+          parameters: [
+            {
+              name: 'report',
+              in: 'query',
+              schema: { type: 'boolean' },
+              description: "Return the PDF and every part's page range, layout report and ATS check as multipart/form-data",
+            },
+          ],
+          responses: {
+            200: {
+              description: 'The merged PDF, with X-Page-Count, X-Part-Pages (page range of each part) and Server-Timing headers',
+              content: {
+                'application/pdf': { schema: { type: 'string', contentMediaType: 'application/pdf' } },
+                'multipart/form-data': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      parts: { type: 'array', items: ref('BundlePart') },
+                      pdf: { type: 'string', contentMediaType: 'application/pdf' },
+                    },
+                  },
+                },
+              },
+            },
+            ...RENDER_ERRORS,
+          },
+        },
+      },
+      '/render/images': {
+        post: {
+          summary: 'Render every page as an image',
+          requestBody: body('ImageRenderRequest'),
+          responses: {
+            200: {
+              description: 'One part per page, named page-<n>',
+              content: { 'multipart/form-data': { schema: { type: 'object' } } },
+            },
+            ...RENDER_ERRORS,
+          },
+        },
+      },
+      '/layout': {
+        post: {
+          summary: 'Compute the pagination without printing',
+          requestBody: body('RenderRequest'),
+          responses: {
+            200: json({ type: 'object', description: 'Pages, break points, anchors and fit results' }),
+            ...RENDER_ERRORS,
+          },
+        },
+      },
+      '/jobs': {
+        post: {
+          summary: 'Queue an asynchronous render',
+          requestBody: body('JobRequest'),
+          responses: {
+            202: json(ref('Job'), 'The job was queued'),
+            ...RENDER_ERRORS,
+          },
+        },
+      },
+      '/jobs/{id}': {
+        get: {
+          summary: 'Job status and progress',
+          parameters: [idParameter],
+          responses: {
+            200: json(ref('Job')),
+            404: errorResponse('Unknown or expired job'),
+          },
+        },
+      },
+      '/jobs/{id}/result': {
+        get: {
+          summary: 'The PDF of a completed job',
+          parameters: [idParameter],
+          responses: {
+            200: { description: 'The PDF', content: { 'application/pdf': { schema: { type: 'string' } } } },
+            404: errorResponse('Unknown job or expired result'),
+            409: errorResponse('The job has not completed yet'),
+            410: errorResponse('The job failed'),
+          },
+        },
+      },
+      '/templates': {
+        get: {
+          summary: 'Templates available for resume requests',
+          responses: { 200: json({ type: 'object' }) },
+        },
+      },
+      '/fonts': {
+        get: {
+          summary: 'Bundled font families and templates',
+          responses: { 200: json({ type: 'object' }) },
+        },
+      },
+      '/fonts/{file}': {
+        get: {
+          summary: 'A bundled font file',
+          security: [],
+          parameters: [{ name: 'file', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'The font file' },
+            404: errorResponse('Unknown font file'),
+          },
+        },
+      },
+      '/health': {
+        get: {
+          summary: 'Service and browser pool status',
+          security: [],
+          responses: { 200: json({ type: 'object' }) },
+        },
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          security: [],
+          responses: { 200: json({ type: 'object' }) },
+        },
+      },
+      '/metrics': {
+        get: {
+          summary: 'Prometheus metrics (metrics or admin scope)',
+          responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': {} } }, ...ADMIN_ERRORS },
+        },
+      },
+      '/admin/keys': {
+        get: {
+          summary: 'API keys with their scopes, limits and usage (admin scope)',
+          responses: { 200: json({ type: 'object' }), ...ADMIN_ERRORS },
+        },
+      },
+      '/admin/cache': {
+        get: {
+          summary: 'PDF cache size and settings (admin scope)',
+          responses: { 200: json({ type: 'object' }), ...ADMIN_ERRORS },
+        },
+        delete: {
+          summary: 'Purge the PDF cache (admin scope)',
+          responses: { 200: json({ type: 'object', properties: { purged: { type: 'integer' } } }), ...ADMIN_ERRORS },
+        },
+      },
+      '/admin/cache/{key}': {
+        delete: {
+          summary: 'Purge one cached PDF by its ETag (admin scope)',
+          parameters: [{ name: 'key', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: json({ type: 'object', properties: { purged: { type: 'integer' } } }),
+            404: errorResponse('No cached PDF with this key'),
+            ...ADMIN_ERRORS,
+          },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer' },
+      },
+      schemas: {
+        RenderRequest: renderRequest,
+        ImageRenderRequest: withProperties(imageRequestProperties),
+        BundleRequest: bundleRequest,
+        BundleDocumentPart: documentPart,
+        BundlePdfPart: pdfPart,
+        BundlePart: {
+          type: 'object',
+          description: 'Where a part landed in the bundle',
+          properties: {
+            title: { type: 'string' },
+            source: { type: 'string', enum: ['html', 'pdf'] },
+            startPage: { type: 'integer' },
+            pageCount: { type: 'integer' },
+            viewMode: { type: ['string', 'null'] },
+            warnings: { type: 'array', items: { type: 'string' } },
+            report: { oneOf: [ref('LayoutReport'), { type: 'null' }] },
+            ats: { oneOf: [ref('AtsCheck'), { type: 'null' }] },
+          },
+        },
+        JobRequest: withProperties(jobRequestProperties),
+        Job: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+            stage: { type: ['string', 'null'] },
+            report: { oneOf: [ref('LayoutReport'), { type: 'null' }] },
+            ats: { oneOf: [ref('AtsCheck'), { type: 'null' }] },
+            resultUrl: { type: ['string', 'null'] },
+          },
+        },
+        LayoutReport: {
+          type: 'object',
+          description: 'Content the PDF clips or renders badly; lists hold at most 20 entries, counts cover all',
+          properties: {
+            truncated: { type: 'boolean', description: 'Content overflows a page or lies outside the printable area' },
+            clean: { type: 'boolean' },
+            counts: {
+              type: 'object',
+              properties: Object.fromEntries(['overflow', 'outsidePrintableArea', 'failedImages', 'scaledToFit']
+                .map((name) => [name, { type: 'integer' }])),
+            },
+            overflow: { type: 'array', items: { type: 'object' } },
+            outsidePrintableArea: { type: 'array', items: { type: 'object' } },
+            failedImages: { type: 'array', items: { type: 'object' } },
+            scaledToFit: { type: 'array', items: { type: 'object' } },
+          },
+        },
+        AtsCheck: {
+          type: 'object',
+          description: 'The text layer of the PDF in reading order, and what would trip up an applicant tracking system',
+          properties: {
+            passed: { type: 'boolean' },
+            text: { type: 'string' },
+            pages: { type: 'array', items: { type: 'object' } },
+            coverage: { type: 'number', description: "Share of the resume's words found in the text layer" },
+            contact: {
+              type: 'object',
+              properties: {
+                emails: { type: 'array', items: { type: 'string' } },
+                phones: { type: 'array', items: { type: 'string' } },
+              },
+            },
+            issues: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['type', 'message'],
+                properties: {
+                  type: { type: 'string', enum: ['missing-text', 'glyph-mapping', 'column-order', 'contact-missing'] },
+                  message: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        ErrorResponse: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' },
+            message: { type: 'string' },
+            report: ref('LayoutReport'),
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['path', 'message'],
+                properties: { path: { type: 'string' }, message: { type: 'string' } },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument,
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Bump when a change to the render pipeline should invalidate cached PDFs
+const CACHE_KEY_VERSION = 2;
+
+// JSON with object keys sorted, so equal requests always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Content address of a render: a SHA-256 of every resolved option that can
+// change the PDF, plus the fingerprint of the fonts it may load
+function pdfCacheKey(options, fontFingerprint) {
+  const { html, templateId, viewMode, pageDimensions, marginMm, pagePaddingMm, candidateName, metadata, outline,
+    fitToPages, breakRules, requiredFonts, strictFonts, failOnOverflow, atsCheck, headerFooter } = options;
+  return crypto.createHash('sha256').update(stableStringify({
+    version: CACHE_KEY_VERSION,
+    html,
+    templateId,
+    viewMode,
+    pageDimensions,
+    marginMm,
+    pagePaddingMm,
+    candidateName,
+    metadata,
+    outline,
+    fitToPages,
+    breakRules,
+    requiredFonts,
+    strictFonts,
+    failOnOverflow,
+    atsCheck,
+    headerFooter,
+    fontFingerprint,
+  })).digest('hex');
+}
+
+// PDF cache stores are async so a shared backend can replace these without
+// touching the routes. Entries are { buffer, meta, createdAt }. A store must implement:
+//   get(key) -> entry | null     set(key, { buffer, meta })
+//   delete(key) -> boolean       clear() -> number of entries removed
+//   stats() -> { entries, bytes, maxEntries, maxBytes }
+// Both stores below evict the least recently used entries beyond `maxEntries`
+// or `maxBytes`, and treat entries older than `ttlMs` as missing.
+function createLruIndex({ maxEntries, maxBytes, onEvict }) {
+  const entries = new Map(); // key -> { size, createdAt }, least recently used first
+  let bytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    bytes -= entry.size;
+    return true;
+  };
+
+  return {
+    entries,
+    get bytes() { return bytes; },
+    touch(key) {
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+    },
+    add(key, size, createdAt) {
+      remove(key);
+      entries.set(key, { size, createdAt });
+      bytes += size;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && bytes <= maxBytes) break;
+        remove(oldest);
+        onEvict(oldest);
+      }
+    },
+    remove,
+  };
+}
+
+function createMemoryPdfCacheStore(options = {}) {
+  const maxEntries = options.maxEntries || 200;
+  const maxBytes = options.maxBytes || 100 * 1024 * 1024;
+  const ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+  const values = new Map();
+  const index = createLruIndex({ maxEntries, maxBytes, onEvict: (key) => values.delete(key) });
+
+  return {
+    async get(key) {
+      const value = values.get(key);
+      if (!value) return null;
+      if (Date.now() - value.createdAt > ttlMs) {
+        index.remove(key);
+        values.delete(key);
+        return null;
+      }
+      index.touch(key);
+      return value;
+    },
+
+    async set(key, { buffer, meta }) {
+      // A PDF larger than the whole cache would only evict everything else
+      if (buffer.length > maxBytes) return;
+      const value = { buffer, meta, createdAt: Date.now() };
+      values.set(key, value);
+      index.add(key, buffer.length, value.createdAt);
+    },
+
+    async delete(key) {
+      values.delete(key);
+      return index.remove(key);
+    },
+
+    async clear() {
+      const count = values.size;
+      for (const key of [...values.keys()]) {
+        index.remove(key);
+      }
+      values.clear();
+      return count;
+    },
+
+    async stats() {
+      return { store: 'memory', entries: values.size, bytes: index.bytes, maxEntries, maxBytes, ttlMs };
+    },
+  };
+}
+
+// Stores each entry as <key>.pdf plus <key>.json metadata in `dir`, so the
+// cache survives restarts. The LRU order is rebuilt from file times on start.
+function createDiskPdfCacheStore(options = {}) {
+  const dir = path.resolve(options.dir);
+  const maxEntries = options.maxEntries || 1000;
+  const maxBytes = options.maxBytes || 500 * 1024 * 1024;
+  const ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+  fs.mkdirSync(dir, { recursive: true });
+
+  const pdfPath = (key) => path.join(dir, `${key}.pdf`);
+  const metaPath = (key) => path.join(dir, `${key}.json`);
+  const removeFiles = (key) => {
+    for (const file of [pdfPath(key), metaPath(key)]) {
+      fs.promises.rm(file, { force: true }).catch((error) => {
+        console.warn(`[PDF Service] Failed to remove cached file ${file}:`, error.message);
+      });
+    }
+  };
+  const index = createLruIndex({ maxEntries, maxBytes, onEvict: removeFiles });
+
+  const existing = fs.readdirSync(dir)
+    .filter((file) => /^[0-9a-f]{64}\.pdf$/.test(file))
+    .map((file) => ({ key: file.slice(0, -4), stat: fs.statSync(path.join(dir, file)) }))
+    .sort((a, b) => a.stat.atimeMs - b.stat.atimeMs);
+  for (const { key, stat } of existing) {
+    index.add(key, stat.size, stat.mtimeMs);
+  }
+  console.log(`[PDF Service] PDF cache at ${dir} holds ${index.entries.size} entries`);
+
+  const isKey = (key) => /^[0-9a-f]{64}$/.test(key);
+
+  return {
+    async get(key) {
+      const entry = isKey(key) && index.entries.get(key);
+      if (!entry) return null;
+      if (Date.now() - entry.createdAt > ttlMs) {
+        index.remove(key);
+        removeFiles(key);
+        return null;
+      }
+      try {
+        const [buffer, meta] = await Promise.all([
+          fs.promises.readFile(pdfPath(key)),
+          fs.promises.readFile(metaPath(key), 'utf8'),
+        ]);
+        index.touch(key);
+        return { buffer, meta: JSON.parse(meta), createdAt: entry.createdAt };
+      } catch (error) {
+        // Removed or corrupted behind our back; treat as a miss
+        index.remove(key);
+        removeFiles(key);
+        return null;
+      }
+    },
+
+    async set(key, { buffer, meta }) {
+      if (!isKey(key) || buffer.length > maxBytes) return;
+      // Write the metadata first: an entry without its PDF is never listed on restart
+      await fs.promises.writeFile(metaPath(key), JSON.stringify(meta));
+      await fs.promises.writeFile(pdfPath(key), buffer);
+      index.add(key, buffer.length, Date.now());
+    },
+
+    async delete(key) {
+      if (!isKey(key) || !index.remove(key)) return false;
+      removeFiles(key);
+      return true;
+    },
+
+    async clear() {
+      const keys = [...index.entries.keys()];
+      for (const key of keys) {
+        index.remove(key);
+        removeFiles(key);
+      }
+      return keys.length;
+    },
+
+    async stats() {
+      return { store: 'disk', dir, entries: index.entries.size, bytes: index.bytes, maxEntries, maxBytes, ttlMs };
+    },
+  };
+}
+
+module.exports = {
+  pdfCacheKey,
+  createMemoryPdfCacheStore,
+  createDiskPdfCacheStore,
+};
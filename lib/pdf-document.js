@@ -0,0 +1,396 @@
+const {
+  PDFDocument,
+  PDFName,
+  PDFHexString,
+  PDFString,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRef,
+  EncryptedPDFError,
+} = require('pdf-lib');
+
+const PX_TO_PT = 0.75; // Chromium prints 96 CSS px per 72pt inch
+const MM_TO_PT = 72 / 25.4;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// XMP packet mirroring the Info dictionary; some ATS parsers only read XMP
+function buildXmpPacket(metadata, now) {
+  const iso = now.toISOString();
+  const keywords = metadata.keywords.join(', ');
+  const alt = (value) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+      <dc:format>application/pdf</dc:format>
+${metadata.title ? `      <dc:title>${alt(metadata.title)}</dc:title>\n` : ''}\
+${metadata.author ? `      <dc:creator><rdf:Seq><rdf:li>${escapeXml(metadata.author)}</rdf:li></rdf:Seq></dc:creator>\n` : ''}\
+${metadata.subject ? `      <dc:description>${alt(metadata.subject)}</dc:description>\n` : ''}\
+${keywords ? `      <dc:subject><rdf:Bag>${metadata.keywords.map((keyword) => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>\n      <pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>\n` : ''}\
+${metadata.language ? `      <dc:language><rdf:Bag><rdf:li>${escapeXml(metadata.language)}</rdf:li></rdf:Bag></dc:language>\n` : ''}\
+      <pdf:Producer>${escapeXml(metadata.producer)}</pdf:Producer>
+      <xmp:CreatorTool>${escapeXml(metadata.creator)}</xmp:CreatorTool>
+      <xmp:CreateDate>${iso}</xmp:CreateDate>
+      <xmp:ModifyDate>${iso}</xmp:ModifyDate>
+      <xmp:MetadataDate>${iso}</xmp:MetadataDate>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// Map a box measured in the browser onto a PDF page.
+// Boxes inside an .export-page are relative to that page; when every export
+// page printed as exactly one PDF page they map 1:1. Otherwise (continuous
+// mode, or pages that spilled) the box is placed by its document offset.
+function createBoxMapper(pdfDoc, geometry) {
+  const pages = pdfDoc.getPages();
+  const pagesMatch = geometry.exportPageCount > 0 && geometry.exportPageCount === pages.length;
+  const margin = {
+    top: geometry.marginMm.top * MM_TO_PT,
+    bottom: geometry.marginMm.bottom * MM_TO_PT,
+    left: geometry.marginMm.left * MM_TO_PT,
+  };
+
+  return (box) => {
+    if (pagesMatch && box.exportPageIndex >= 0) {
+      const page = pages[box.exportPageIndex];
+      const height = page.getHeight();
+      return {
+        page,
+        x: box.pageX * PX_TO_PT,
+        top: height - box.pageY * PX_TO_PT,
+        width: box.width * PX_TO_PT,
+        height: box.height * PX_TO_PT,
+      };
+    }
+
+    const firstPage = pages[0];
+    const contentHeight = firstPage.getHeight() - margin.top - margin.bottom;
+    const offset = box.documentY * PX_TO_PT;
+    const pageIndex = Math.min(Math.max(Math.floor(offset / contentHeight), 0), pages.length - 1);
+    const page = pages[pageIndex];
+    return {
+      page,
+      x: margin.left + box.documentX * PX_TO_PT,
+      top: page.getHeight() - margin.top - (offset - pageIndex * contentHeight),
+      width: box.width * PX_TO_PT,
+      height: box.height * PX_TO_PT,
+    };
+  };
+}
+
+// Build a nested /Outlines tree from [{ title, level, box }] in document order
+function addOutline(pdfDoc, entries, mapBox) {
+  const { context } = pdfDoc;
+  const root = { children: [] };
+  const stack = [{ level: 0, node: root }];
+
+  for (const entry of entries) {
+    while (stack[stack.length - 1].level >= entry.level) {
+      stack.pop();
+    }
+    const node = { ...entry, ref: context.nextRef(), children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ level: entry.level, node });
+  }
+
+  const countDescendants = (node) =>
+    node.children.reduce((sum, child) => sum + 1 + countDescendants(child), 0);
+
+  const writeChildren = (parent, parentRef) => {
+    parent.children.forEach((node, index) => {
+      const target = mapBox(node.box);
+      const dict = context.obj({
+        Title: PDFHexString.fromText(node.title),
+        Parent: parentRef,
+        Dest: [target.page.ref, 'XYZ', null, target.top, null],
+      });
+      if (index > 0) dict.set(PDFName.of('Prev'), parent.children[index - 1].ref);
+      if (index < parent.children.length - 1) dict.set(PDFName.of('Next'), parent.children[index + 1].ref);
+      if (node.children.length > 0) {
+        dict.set(PDFName.of('First'), node.children[0].ref);
+        dict.set(PDFName.of('Last'), node.children[node.children.length - 1].ref);
+        dict.set(PDFName.of('Count'), context.obj(countDescendants(node)));
+      }
+      context.assign(node.ref, dict);
+      writeChildren(node, node.ref);
+    });
+  };
+
+  if (root.children.length === 0) return;
+
+  const outlinesRef = context.nextRef();
+  writeChildren(root, outlinesRef);
+  context.assign(outlinesRef, context.obj({
+    Type: 'Outlines',
+    First: root.children[0].ref,
+    Last: root.children[root.children.length - 1].ref,
+    Count: countDescendants(root),
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+function existingLinkUris(page) {
+  const uris = new Set();
+  const annots = page.node.Annots();
+  if (!annots) return uris;
+
+  for (let index = 0; index < annots.size(); index++) {
+    const annot = annots.lookup(index);
+    if (!(annot instanceof PDFDict)) continue;
+    const action = annot.lookup(PDFName.of('A'));
+    const uri = action instanceof PDFDict ? action.lookup(PDFName.of('URI')) : null;
+    if (uri && typeof uri.decodeText === 'function') {
+      uris.add(uri.decodeText());
+    }
+  }
+  return uris;
+}
+
+// Chromium already emits link annotations for most anchors; add any it missed
+// so external and mailto links stay clickable after pagination cloned the DOM.
+function ensureLinkAnnotations(pdfDoc, links, mapBox) {
+  const { context } = pdfDoc;
+  const existing = new Map();
+  let added = 0;
+
+  for (const link of links) {
+    for (const box of link.boxes) {
+      const target = mapBox(box);
+      if (!existing.has(target.page)) {
+        existing.set(target.page, existingLinkUris(target.page));
+      }
+      if (existing.get(target.page).has(link.href)) continue;
+
+      const annot = context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [target.x, target.top - target.height, target.x + target.width, target.top],
+        Border: [0, 0, 0],
+        A: { Type: 'Action', S: 'URI', URI: PDFString.of(link.href) },
+      });
+      target.page.node.addAnnot(context.register(annot));
+      added++;
+    }
+  }
+  return added;
+}
+
+// Write document metadata, the outline and missing link annotations into a
+// Chromium-generated PDF.
+//   metadata: { title, author, subject, keywords[], language, creator, producer }
+//   anchors:  { exportPageCount, outline: [{ title, level, box }], links: [{ href, boxes }] }
+//   marginMm: print margins, used to place boxes in continuous mode
+async function finalizePdfDocument(pdfBuffer, { metadata, anchors, marginMm, outline = true }) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const now = new Date();
+
+  if (metadata.title) pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  if (metadata.author) pdfDoc.setAuthor(metadata.author);
+  if (metadata.subject) pdfDoc.setSubject(metadata.subject);
+  if (metadata.keywords.length > 0) pdfDoc.setKeywords(metadata.keywords);
+  if (metadata.language) pdfDoc.setLanguage(metadata.language);
+  pdfDoc.setCreator(metadata.creator);
+  pdfDoc.setProducer(metadata.producer);
+  pdfDoc.setCreationDate(now);
+  pdfDoc.setModificationDate(now);
+
+  const xmp = pdfDoc.context.stream(Buffer.from(buildXmpPacket(metadata, now), 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML',
+  });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmp));
+
+  let addedLinks = 0;
+  if (anchors && pdfDoc.getPageCount() > 0) {
+    const mapBox = createBoxMapper(pdfDoc, { exportPageCount: anchors.exportPageCount, marginMm });
+    if (outline) {
+      addOutline(pdfDoc, anchors.outline, mapBox);
+    }
+    addedLinks = ensureLinkAnnotations(pdfDoc, anchors.links, mapBox);
+  }
+
+  const bytes = await pdfDoc.save();
+  return {
+    buffer: Buffer.from(bytes),
+    pageCount: pdfDoc.getPageCount(),
+    outlineEntries: outline && anchors ? anchors.outline.length : 0,
+    addedLinks,
+  };
+}
+
+// Number of pages in a printed PDF
+async function countPdfPages(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  return pdfDoc.getPageCount();
+}
+
+// Check that an uploaded file is a PDF that can be merged. Resolves with
+// { pageCount } or { error } saying what is wrong with it.
+async function inspectPdfUpload(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return { error: 'is empty' };
+  }
+  if (!buffer.subarray(0, 1024).includes('%PDF-')) {
+    return { error: 'is not a PDF' };
+  }
+
+  // pdf-lib loads broken files leniently; they fail once the page tree is read
+  let pageCount;
+  try {
+    const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+    pageCount = pdfDoc.getPageCount();
+  } catch (error) {
+    return { error: error instanceof EncryptedPDFError ? 'is encrypted' : 'is damaged and could not be read' };
+  }
+  return pageCount > 0 ? { pageCount } : { error: 'has no pages' };
+}
+
+// A named destination from the catalog's /Dests dictionary (name objects) or
+// the /Dests name tree (strings)
+function lookupNamedDestination(pdfDoc, name) {
+  if (name instanceof PDFName) {
+    const dests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+    return dests instanceof PDFDict ? dests.lookup(name) : null;
+  }
+
+  const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+  const key = name.decodeText();
+  const search = (node, depth) => {
+    if (!(node instanceof PDFDict) || depth > 32) return null;
+    const entries = node.lookup(PDFName.of('Names'));
+    if (entries instanceof PDFArray) {
+      for (let index = 0; index + 1 < entries.size(); index += 2) {
+        const entry = entries.lookup(index);
+        if (typeof entry?.decodeText === 'function' && entry.decodeText() === key) {
+          return entries.lookup(index + 1);
+        }
+      }
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    for (let index = 0; kids instanceof PDFArray && index < kids.size(); index++) {
+      const found = search(kids.lookup(index), depth + 1);
+      if (found) return found;
+    }
+    return null;
+  };
+  return search(names instanceof PDFDict ? names.lookup(PDFName.of('Dests')) : null, 0);
+}
+
+// Where an outline item points, as { pageRef, top }: an explicit
+// [page /XYZ left top zoom] destination, a named one or a GoTo action.
+// `top` is null for destinations that show the whole page.
+function resolveDestination(pdfDoc, item) {
+  let dest = item.lookup(PDFName.of('Dest'));
+  const action = item.lookup(PDFName.of('A'));
+  if (!dest && action instanceof PDFDict && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+    dest = action.lookup(PDFName.of('D'));
+  }
+  if (dest instanceof PDFName || dest instanceof PDFString || dest instanceof PDFHexString) {
+    dest = lookupNamedDestination(pdfDoc, dest);
+  }
+  if (dest instanceof PDFDict) {
+    dest = dest.lookup(PDFName.of('D'));
+  }
+  if (!(dest instanceof PDFArray) || !(dest.get(0) instanceof PDFRef)) return null;
+
+  const type = dest.lookup(1);
+  const top = type === PDFName.of('XYZ') ? dest.lookup(3)
+    : type === PDFName.of('FitH') || type === PDFName.of('FitBH') ? dest.lookup(2)
+      : null;
+  return { pageRef: dest.get(0), top: top instanceof PDFNumber ? top.asNumber() : null };
+}
+
+// The bookmarks of a PDF in document order as [{ title, level, pageIndex, top }].
+// Items that do not point at one of its pages are left out; their children stay.
+function readOutline(pdfDoc) {
+  const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) return [];
+
+  const pageIndexes = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index]));
+  const entries = [];
+  const visited = new Set();
+  const walk = (parent, level) => {
+    let ref = parent.get(PDFName.of('First'));
+    while (ref instanceof PDFRef && !visited.has(ref.toString())) {
+      visited.add(ref.toString());
+      const item = pdfDoc.context.lookup(ref);
+      if (!(item instanceof PDFDict)) break;
+
+      const title = item.lookup(PDFName.of('Title'));
+      const dest = resolveDestination(pdfDoc, item);
+      const pageIndex = dest ? pageIndexes.get(dest.pageRef.toString()) : undefined;
+      if (typeof title?.decodeText === 'function' && pageIndex !== undefined) {
+        entries.push({ title: title.decodeText(), level, pageIndex, top: dest.top });
+      }
+      walk(item, level + 1);
+      ref = item.get(PDFName.of('Next'));
+    }
+  };
+  walk(outlines, 1);
+  return entries;
+}
+
+// Concatenate PDFs into one document. `parts` are [{ title, buffer }] in
+// order; each part gets a bookmark on its first page, with the part's own
+// bookmarks nested under it. Parts without a title use their document title.
+// The metadata title and author default to the first part's.
+// Resolves with { buffer, pageCount, parts: [{ title, startPage, pageCount }] }.
+async function mergePdfDocuments(parts, { metadata, outline = true }) {
+  const merged = await PDFDocument.create({ updateMetadata: false });
+  const entries = [];
+  const ranges = [];
+  let author = null;
+
+  for (const [index, part] of parts.entries()) {
+    const source = await PDFDocument.load(part.buffer, { updateMetadata: false });
+    const startPage = merged.getPageCount() + 1;
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach((page) => merged.addPage(page));
+
+    const title = part.title || source.getTitle() || `Part ${index + 1}`;
+    author = author || source.getAuthor() || null;
+    entries.push({ title, level: 1, box: { page: pages[0], top: pages[0].getHeight() } });
+    for (const entry of readOutline(source)) {
+      const page = pages[entry.pageIndex];
+      entries.push({ title: entry.title, level: entry.level + 1, box: { page, top: entry.top ?? page.getHeight() } });
+    }
+    ranges.push({ title, startPage, pageCount: pages.length });
+  }
+
+  // Boxes are already { page, top } on the merged pages
+  if (outline) {
+    addOutline(merged, entries, (box) => box);
+  }
+
+  const finalized = await finalizePdfDocument(Buffer.from(await merged.save()), {
+    metadata: {
+      ...metadata,
+      title: metadata.title || ranges[0].title,
+      author: metadata.author || author || undefined,
+    },
+    anchors: null,
+  });
+  return { buffer: finalized.buffer, pageCount: finalized.pageCount, parts: ranges };
+}
+
+module.exports = {
+  finalizePdfDocument,
+  countPdfPages,
+  inspectPdfUpload,
+  mergePdfDocuments,
+};
@@ -0,0 +1,548 @@
+const {
+  PDFDocument,
+  PDFName,
+  PDFArray,
+  PDFDict,
+  PDFNumber,
+  PDFStream,
+  PDFRawStream,
+  decodePDFRawStream,
+} = require('pdf-lib');
+
+// Reads the text layer of a PDF the way a text-based parser (such as an
+// applicant tracking system) sees it: glyphs are mapped to Unicode through
+// the fonts' ToUnicode CMaps (and /ActualText spans, which Chromium writes for
+// ligatures), then grouped into lines top to bottom and left to right. Only
+// what Chromium and common producers emit is supported: no vertical writing,
+// no Type3 glyph procedures, no encrypted documents.
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[1] * n[2],
+  m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2],
+  m[2] * n[1] + m[3] * n[3],
+  m[4] * n[0] + m[5] * n[2] + n[4],
+  m[4] * n[1] + m[5] * n[3] + n[5],
+];
+
+function streamBytes(stream) {
+  return stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getUnencodedContents();
+}
+
+const asNumber = (value, fallback = 0) => (value instanceof PDFNumber ? value.asNumber() : fallback);
+const asName = (value) => (value instanceof PDFName ? value.decodeText() : null);
+
+// UTF-16BE with a byte order mark, otherwise (close enough to) PDFDocEncoding
+function decodeTextBytes(bytes) {
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    let text = '';
+    for (let i = 2; i + 1 < bytes.length; i += 2) {
+      text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+    }
+    return text;
+  }
+  return String.fromCharCode(...bytes);
+}
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set(Array.from('()<>[]{}/%', (char) => char.charCodeAt(0)));
+const isRegular = (byte) => !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+
+// Tokenize a content stream and call `onOperator(operator, operands)` for every
+// operator. Strings are { bytes }, names { name }, dictionaries { dict }.
+function parseContentStream(bytes, onOperator) {
+  let pos = 0;
+  let operands = [];
+  const containers = [];
+
+  const push = (value) => {
+    const top = containers[containers.length - 1];
+    if (top) {
+      top.push(value);
+    } else {
+      operands.push(value);
+    }
+  };
+
+  const readLiteralString = () => {
+    const out = [];
+    let depth = 1;
+    pos++;
+    while (pos < bytes.length) {
+      const byte = bytes[pos++];
+      if (byte === 0x5c) {
+        const next = bytes[pos++];
+        const escapes = { 0x6e: 10, 0x72: 13, 0x74: 9, 0x62: 8, 0x66: 12 };
+        if (escapes[next] !== undefined) {
+          out.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+          let octal = next - 0x30;
+          for (let i = 0; i < 2 && bytes[pos] >= 0x30 && bytes[pos] <= 0x37; i++) {
+            octal = octal * 8 + (bytes[pos++] - 0x30);
+          }
+          out.push(octal & 0xff);
+        } else if (next === 0x0d) {
+          if (bytes[pos] === 0x0a) pos++;
+        } else if (next !== 0x0a) {
+          out.push(next);
+        }
+      } else if (byte === 0x28) {
+        depth++;
+        out.push(byte);
+      } else if (byte === 0x29) {
+        depth--;
+        if (depth === 0) break;
+        out.push(byte);
+      } else {
+        out.push(byte);
+      }
+    }
+    return { bytes: out };
+  };
+
+  const readHexString = () => {
+    let hex = '';
+    pos++;
+    while (pos < bytes.length && bytes[pos] !== 0x3e) {
+      const char = String.fromCharCode(bytes[pos++]);
+      if (/[0-9a-f]/i.test(char)) hex += char;
+    }
+    pos++;
+    if (hex.length % 2) hex += '0';
+    const out = [];
+    for (let i = 0; i < hex.length; i += 2) {
+      out.push(parseInt(hex.slice(i, i + 2), 16));
+    }
+    return { bytes: out };
+  };
+
+  const readToken = () => {
+    const start = pos;
+    while (pos < bytes.length && isRegular(bytes[pos])) pos++;
+    return String.fromCharCode(...bytes.subarray(start, pos));
+  };
+
+  // Inline image data runs from ID to the next EI surrounded by whitespace
+  const skipInlineImage = () => {
+    while (pos < bytes.length) {
+      if (bytes[pos] === 0x45 && bytes[pos + 1] === 0x49 && WHITESPACE.has(bytes[pos - 1])
+        && (pos + 2 >= bytes.length || WHITESPACE.has(bytes[pos + 2]))) {
+        pos += 2;
+        return;
+      }
+      pos++;
+    }
+  };
+
+  while (pos < bytes.length) {
+    const byte = bytes[pos];
+    if (WHITESPACE.has(byte)) {
+      pos++;
+    } else if (byte === 0x25) {
+      while (pos < bytes.length && bytes[pos] !== 0x0a && bytes[pos] !== 0x0d) pos++;
+    } else if (byte === 0x28) {
+      push(readLiteralString());
+    } else if (byte === 0x3c && bytes[pos + 1] === 0x3c) {
+      pos += 2;
+      containers.push([]);
+      containers[containers.length - 1].isDict = true;
+    } else if (byte === 0x3e && bytes[pos + 1] === 0x3e) {
+      pos += 2;
+      const entries = containers.pop() || [];
+      const dict = {};
+      for (let i = 0; i + 1 < entries.length; i += 2) {
+        if (entries[i] && entries[i].name) dict[entries[i].name] = entries[i + 1];
+      }
+      push({ dict });
+    } else if (byte === 0x3c) {
+      push(readHexString());
+    } else if (byte === 0x5b) {
+      pos++;
+      containers.push([]);
+    } else if (byte === 0x5d) {
+      pos++;
+      const array = containers.pop() || [];
+      push(array);
+    } else if (byte === 0x2f) {
+      pos++;
+      push({ name: readToken().replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))) });
+    } else if (byte === 0x7b || byte === 0x7d) {
+      pos++;
+    } else {
+      const token = readToken();
+      if (!token) {
+        pos++;
+      } else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+        push(Number(token));
+      } else if (token === 'true' || token === 'false') {
+        push(token === 'true');
+      } else if (token === 'null') {
+        push(null);
+      } else if (containers.length > 0) {
+        // Malformed; drop the open containers rather than misreading operands
+        containers.length = 0;
+        operands = [];
+      } else {
+        if (token === 'ID') {
+          pos++;
+          skipInlineImage();
+        }
+        onOperator(token, operands);
+        operands = [];
+      }
+    }
+  }
+}
+
+// { map: Map<code, text>, codeLength } from a ToUnicode CMap stream
+function parseToUnicode(stream) {
+  const source = Buffer.from(streamBytes(stream)).toString('latin1');
+  const map = new Map();
+  const utf16 = (hex) => {
+    let text = '';
+    for (let i = 0; i + 3 < hex.length; i += 4) {
+      text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    }
+    return text;
+  };
+
+  const codespace = source.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+  const codeLength = codespace ? codespace[1].length / 2 : 2;
+
+  for (const [, block] of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, text] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(parseInt(code, 16), utf16(text));
+    }
+  }
+  for (const [, block] of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target, list] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]*)>|\[([^\]]*)\])/gi)) {
+      const first = parseInt(low, 16);
+      const last = parseInt(high, 16);
+      if (list !== undefined) {
+        const targets = Array.from(list.matchAll(/<([0-9a-f]*)>/gi), (match) => match[1]);
+        targets.forEach((hex, index) => map.set(first + index, utf16(hex)));
+      } else if (last - first <= 0xffff) {
+        // The last UTF-16 unit counts up through the range
+        const base = utf16(target);
+        for (let code = first; code <= last; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - first));
+        }
+      }
+    }
+  }
+  return { map, codeLength };
+}
+
+// Glyph names used by /Differences in simple fonts without a ToUnicode CMap
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+  period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?',
+  at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_', bar: '|',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”',
+  endash: '–', emdash: '—', bullet: '•', ellipsis: '…',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+};
+
+function glyphNameToText(name) {
+  if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+  const uni = name.match(/^uni([0-9A-F]{4})$/);
+  return uni ? String.fromCharCode(parseInt(uni[1], 16)) : null;
+}
+
+// What the extractor needs from a font: its name, how many bytes a code takes,
+// the Unicode text and advance width (in text space) of each code
+function loadFont(dict) {
+  const subtype = asName(dict.lookup(PDFName.of('Subtype')));
+  const name = (asName(dict.lookup(PDFName.of('BaseFont'))) || 'unnamed').replace(/^[A-Z]{6}\+/, '');
+  const toUnicodeStream = dict.lookup(PDFName.of('ToUnicode'));
+  const toUnicode = toUnicodeStream instanceof PDFStream ? parseToUnicode(toUnicodeStream) : null;
+
+  const widths = new Map();
+  let defaultWidth = 0;
+  let scale = 1 / 1000;
+  let codeLength = 1;
+  const differences = new Map();
+
+  if (subtype === 'Type0') {
+    codeLength = 2;
+    const descendants = dict.lookup(PDFName.of('DescendantFonts'));
+    const descendant = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+    if (descendant instanceof PDFDict) {
+      defaultWidth = asNumber(descendant.lookup(PDFName.of('DW')), 1000);
+      const w = descendant.lookup(PDFName.of('W'));
+      for (let i = 0; w instanceof PDFArray && i < w.size(); ) {
+        const first = asNumber(w.lookup(i));
+        const next = w.lookup(i + 1);
+        if (next instanceof PDFArray) {
+          for (let j = 0; j < next.size(); j++) widths.set(first + j, asNumber(next.lookup(j)));
+          i += 2;
+        } else {
+          const last = asNumber(next);
+          const width = asNumber(w.lookup(i + 2));
+          for (let code = first; code <= last; code++) widths.set(code, width);
+          i += 3;
+        }
+      }
+    }
+  } else {
+    const firstChar = asNumber(dict.lookup(PDFName.of('FirstChar')));
+    const widthArray = dict.lookup(PDFName.of('Widths'));
+    for (let i = 0; widthArray instanceof PDFArray && i < widthArray.size(); i++) {
+      widths.set(firstChar + i, asNumber(widthArray.lookup(i)));
+    }
+    defaultWidth = 500;
+    const fontMatrix = dict.lookup(PDFName.of('FontMatrix'));
+    if (subtype === 'Type3' && fontMatrix instanceof PDFArray) {
+      scale = asNumber(fontMatrix.lookup(0), 0.001);
+    }
+    const encoding = dict.lookup(PDFName.of('Encoding'));
+    const diffs = encoding instanceof PDFDict ? encoding.lookup(PDFName.of('Differences')) : null;
+    for (let i = 0, code = 0; diffs instanceof PDFArray && i < diffs.size(); i++) {
+      const entry = diffs.lookup(i);
+      if (entry instanceof PDFNumber) {
+        code = entry.asNumber();
+      } else {
+        differences.set(code++, asName(entry));
+      }
+    }
+  }
+  if (toUnicode) {
+    codeLength = subtype === 'Type0' ? toUnicode.codeLength : 1;
+  }
+
+  return {
+    name,
+    codeLength,
+    width: (code) => (widths.has(code) ? widths.get(code) : defaultWidth) * scale,
+    // null when the code has no Unicode mapping; simple fonts fall back to their encoding
+    text(code) {
+      if (toUnicode && toUnicode.map.has(code)) return toUnicode.map.get(code);
+      if (subtype === 'Type0') return null;
+      if (differences.has(code)) return glyphNameToText(differences.get(code));
+      return String.fromCharCode(code);
+    },
+  };
+}
+
+// Run a page's content streams and collect every glyph with its Unicode text
+// and position in PDF points (origin bottom left)
+function collectGlyphs(pdfDoc, page) {
+  const glyphs = [];
+  const images = [];
+  const fontCache = new Map();
+  const markedContent = [];
+
+  const lookupResource = (resources, category, name) => {
+    if (!name) return null;
+    const dict = resources && resources.lookup(PDFName.of(category));
+    return dict instanceof PDFDict ? dict.lookup(PDFName.of(name)) : null;
+  };
+  const fontFor = (resources, name) => {
+    const dict = lookupResource(resources, 'Font', name);
+    if (!(dict instanceof PDFDict)) return null;
+    // pdf-lib returns the same dictionary object for every reference to it
+    if (!fontCache.has(dict)) fontCache.set(dict, loadFont(dict));
+    return fontCache.get(dict);
+  };
+
+  const run = (bytes, resources, initialCtm) => {
+    let gs = { ctm: initialCtm, font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, hScale: 1, leading: 0, rise: 0 };
+    const stack = [];
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+
+    const moveText = (tx, ty) => {
+      tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+      tm = tlm;
+    };
+
+    const showString = (string) => {
+      const { font, fontSize, hScale } = gs;
+      if (!font) return;
+      const bytes = string.bytes;
+      for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+        let code = 0;
+        for (let j = 0; j < font.codeLength; j++) code = (code << 8) | bytes[i + j];
+        const matrix = multiply(tm, gs.ctm);
+        const renderMatrix = multiply([fontSize * hScale, 0, 0, fontSize, 0, gs.rise], matrix);
+        const advance = font.width(code) * fontSize;
+        const text = font.text(code);
+        glyphs.push({
+          text: text === null ? '' : text,
+          unmapped: text === null,
+          font: font.name,
+          x: renderMatrix[4],
+          y: renderMatrix[5],
+          width: advance * hScale * Math.hypot(matrix[0], matrix[1]),
+          size: Math.hypot(renderMatrix[2], renderMatrix[3]),
+        });
+        const spacing = gs.charSpacing + (font.codeLength === 1 && code === 32 ? gs.wordSpacing : 0);
+        tm = multiply([1, 0, 0, 1, (advance + spacing) * hScale, 0], tm);
+      }
+    };
+
+    parseContentStream(bytes, (operator, operands) => {
+      const [a, b] = operands;
+      switch (operator) {
+        case 'q': stack.push({ ...gs }); break;
+        case 'Q': if (stack.length > 0) gs = stack.pop(); break;
+        case 'cm': if (operands.length === 6) gs.ctm = multiply(operands, gs.ctm); break;
+        case 'BT': tm = IDENTITY; tlm = IDENTITY; break;
+        case 'Tf': gs.font = fontFor(resources, a && a.name); gs.fontSize = b || 0; break;
+        case 'Tc': gs.charSpacing = a || 0; break;
+        case 'Tw': gs.wordSpacing = a || 0; break;
+        case 'Tz': gs.hScale = (a ?? 100) / 100; break;
+        case 'TL': gs.leading = a || 0; break;
+        case 'Ts': gs.rise = a || 0; break;
+        case 'Td': moveText(a || 0, b || 0); break;
+        case 'TD': gs.leading = -(b || 0); moveText(a || 0, b || 0); break;
+        case 'Tm': if (operands.length === 6) { tlm = operands; tm = operands; } break;
+        case 'T*': moveText(0, -gs.leading); break;
+        case 'Tj': if (a && a.bytes) showString(a); break;
+        case "'": moveText(0, -gs.leading); if (a && a.bytes) showString(a); break;
+        case '"':
+          gs.wordSpacing = a || 0;
+          gs.charSpacing = b || 0;
+          moveText(0, -gs.leading);
+          if (operands[2] && operands[2].bytes) showString(operands[2]);
+          break;
+        case 'TJ':
+          for (const item of Array.isArray(a) ? a : []) {
+            if (typeof item === 'number') {
+              tm = multiply([1, 0, 0, 1, (-item / 1000) * gs.fontSize * gs.hScale, 0], tm);
+            } else if (item && item.bytes) {
+              showString(item);
+            }
+          }
+          break;
+        case 'BMC':
+          markedContent.push({ actualText: null, start: glyphs.length });
+          break;
+        case 'BDC': {
+          // Properties are inline, or named in the resources
+          let actualText = null;
+          if (b && b.dict && b.dict.ActualText && b.dict.ActualText.bytes) {
+            actualText = decodeTextBytes(b.dict.ActualText.bytes);
+          } else if (b && b.name) {
+            const named = lookupResource(resources, 'Properties', b.name);
+            const value = named instanceof PDFDict ? named.lookup(PDFName.of('ActualText')) : null;
+            if (value && typeof value.decodeText === 'function') actualText = value.decodeText();
+          }
+          markedContent.push({ actualText, start: glyphs.length });
+          break;
+        }
+        case 'EMC': {
+          // The glyphs of an /ActualText span read as its text (e.g. a ligature)
+          const span = markedContent.pop();
+          if (span && span.actualText !== null && glyphs.length > span.start) {
+            const spanGlyphs = glyphs.splice(span.start);
+            const first = spanGlyphs[0];
+            const last = spanGlyphs[spanGlyphs.length - 1];
+            glyphs.push({ ...first, text: span.actualText, unmapped: false, width: last.x + last.width - first.x });
+          }
+          break;
+        }
+        case 'Do': {
+          const xObject = lookupResource(resources, 'XObject', a && a.name);
+          if (!xObject || !xObject.dict) break;
+          const subtype = asName(xObject.dict.lookup(PDFName.of('Subtype')));
+          if (subtype === 'Image') {
+            const [m0, m1, m2, m3] = gs.ctm;
+            images.push({ area: Math.abs(m0 * m3 - m1 * m2) });
+          } else if (subtype === 'Form') {
+            const matrix = xObject.dict.lookup(PDFName.of('Matrix'));
+            const formMatrix = matrix instanceof PDFArray ? matrix.asArray().map((value) => asNumber(value)) : IDENTITY;
+            const formResources = xObject.dict.lookup(PDFName.of('Resources'));
+            run(streamBytes(xObject), formResources instanceof PDFDict ? formResources : resources, multiply(formMatrix, gs.ctm));
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    });
+  };
+
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => pdfDoc.context.lookup(ref))
+    : [contents].filter(Boolean);
+  const bytes = Buffer.concat(streams.map((stream) => Buffer.concat([Buffer.from(streamBytes(stream)), Buffer.from('\n')])));
+  run(bytes, page.node.Resources(), IDENTITY);
+  return { glyphs, images };
+}
+
+// Group glyphs into lines, top to bottom, each left to right. A space is
+// inserted where the gap between glyphs is wider than a fifth of the font
+// size; gaps wider than COLUMN_GAP_EM font sizes also start a new segment.
+const COLUMN_GAP_EM = 1.5;
+
+function assembleLines(glyphs) {
+  const sorted = glyphs
+    .filter((glyph) => glyph.text !== '' || glyph.unmapped)
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  for (const glyph of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - glyph.y) <= Math.max(line.size, glyph.size) * 0.4) {
+      line.glyphs.push(glyph);
+      line.size = Math.max(line.size, glyph.size);
+    } else {
+      lines.push({ y: glyph.y, size: glyph.size, glyphs: [glyph] });
+    }
+  }
+
+  return lines.map((line) => {
+    const segments = [];
+    let segment = null;
+    let previous = null;
+    for (const glyph of line.glyphs.sort((a, b) => a.x - b.x)) {
+      const gap = previous ? glyph.x - (previous.x + previous.width) : 0;
+      if (!segment || gap > COLUMN_GAP_EM * line.size) {
+        segment = { x: glyph.x, endX: glyph.x + glyph.width, text: '' };
+        segments.push(segment);
+      } else if (gap > line.size * 0.2 && !/\s$/.test(segment.text) && !/^\s/.test(glyph.text)) {
+        segment.text += ' ';
+      }
+      segment.text += glyph.unmapped ? '\uFFFD' : glyph.text;
+      segment.endX = Math.max(segment.endX, glyph.x + glyph.width);
+      previous = glyph;
+    }
+    for (const part of segments) {
+      part.text = part.text.replace(/\s+/g, ' ').trim();
+    }
+    const kept = segments.filter((part) => part.text);
+    return { y: line.y, size: line.size, segments: kept, text: kept.map((part) => part.text).join(' ') };
+  }).filter((line) => line.text);
+}
+
+// Extract the text of every page:
+//   { text, pages: [{ pageNumber, width, height, text, lines, glyphs, images }] }
+// `lines` are { y, size, text, segments: [{ x, endX, text }] } in reading
+// order; `glyphs` keep the font and Unicode mapping of every glyph drawn.
+async function extractPdfText(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const pages = pdfDoc.getPages().map((page, index) => {
+    const { glyphs, images } = collectGlyphs(pdfDoc, page);
+    const lines = assembleLines(glyphs);
+    return {
+      pageNumber: index + 1,
+      width: page.getWidth(),
+      height: page.getHeight(),
+      text: lines.map((line) => line.text).join('\n'),
+      lines,
+      glyphs,
+      images,
+    };
+  });
+  return { text: pages.map((page) => page.text).join('\n\n'), pages };
+}
+
+module.exports = {
+  extractPdfText,
+};
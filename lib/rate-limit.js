@@ -0,0 +1,252 @@
+const net = require('net');
+
+// Sliding-window counter: the previous fixed window's count is weighted by how
+// much of it still overlaps the sliding window, plus the current window's count.
+//   previous, current: requests already counted; now: ms timestamp
+// Returns { allowed, limit, remaining, resetMs, retryAfterMs }.
+function evaluateWindow({ previous, current, now, windowMs, limit }) {
+  const elapsed = now % windowMs;
+  const untilWindowEnd = windowMs - elapsed;
+  const estimated = previous * (1 - elapsed / windowMs) + current;
+  const allowed = estimated + 1 <= limit;
+
+  let retryAfterMs = 0;
+  if (!allowed) {
+    // Wait until enough of the previous window has slid out, or for the next window
+    retryAfterMs = current + 1 > limit || previous === 0
+      ? untilWindowEnd
+      : Math.min(untilWindowEnd, Math.ceil(((estimated + 1 - limit) / previous) * windowMs));
+  }
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - estimated - (allowed ? 1 : 0))),
+    resetMs: untilWindowEnd,
+    retryAfterMs,
+  };
+}
+
+// Rate limit stores implement one async method:
+//   hit(id, { limit, windowMs }) -> { allowed, limit, remaining, resetMs, retryAfterMs }
+// counting the request only when it is allowed.
+
+// In-process store. Entries idle for two windows are swept, and the least
+// recently used entries are evicted beyond `maxEntries`.
+function createMemoryRateLimitStore(options = {}) {
+  const maxEntries = options.maxEntries || 10000;
+  const entries = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [id, entry] of entries) {
+      if (now - entry.touchedAt > entry.windowMs * 2) {
+        entries.delete(id);
+      }
+    }
+  };
+  const sweepTimer = setInterval(sweep, options.sweepIntervalMs || 60 * 1000);
+  sweepTimer.unref();
+
+  return {
+    async hit(id, { limit, windowMs }) {
+      const now = Date.now();
+      const windowIndex = Math.floor(now / windowMs);
+      let entry = entries.get(id);
+      if (!entry || entry.windowMs !== windowMs) {
+        entry = { windowIndex, windowMs, previous: 0, current: 0, touchedAt: now };
+      } else if (entry.windowIndex !== windowIndex) {
+        entry.previous = entry.windowIndex === windowIndex - 1 ? entry.current : 0;
+        entry.current = 0;
+        entry.windowIndex = windowIndex;
+      }
+
+      const result = evaluateWindow({ previous: entry.previous, current: entry.current, now, windowMs, limit });
+      if (result.allowed) {
+        entry.current++;
+      }
+      entry.touchedAt = now;
+
+      // Re-insert so Map order is least recently used first
+      entries.delete(id);
+      entries.set(id, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return result;
+    },
+
+    size: () => entries.size,
+    close: async () => clearInterval(sweepTimer),
+  };
+}
+
+// Store backed by any server speaking the Redis protocol (Redis, Valkey,
+// KeyDB, or a local stand-in). `client.command(args)` sends one command and
+// resolves with the reply. Window counters expire on their own, so nothing
+// needs sweeping.
+function createRedisRateLimitStore(client, options = {}) {
+  const prefix = options.prefix || 'resume-pdf:ratelimit:';
+
+  return {
+    async hit(id, { limit, windowMs }) {
+      const now = Date.now();
+      const windowIndex = Math.floor(now / windowMs);
+      const currentKey = `${prefix}${id}:${windowMs}:${windowIndex}`;
+      const previousKey = `${prefix}${id}:${windowMs}:${windowIndex - 1}`;
+
+      // INCR first so concurrent requests from several instances can't all slip through
+      const counted = Number(await client.command(['INCR', currentKey]));
+      if (counted === 1) {
+        await client.command(['PEXPIRE', currentKey, String(windowMs * 2)]);
+      }
+      const previous = Number(await client.command(['GET', previousKey])) || 0;
+
+      const result = evaluateWindow({ previous, current: counted - 1, now, windowMs, limit });
+      if (!result.allowed) {
+        await client.command(['DECR', currentKey]);
+      }
+      return result;
+    },
+
+    close: async () => client.close(),
+  };
+}
+
+// Minimal Redis protocol (RESP2) client: enough for the rate limit store.
+// Commands are pipelined over one connection that is reopened on demand.
+function createRespClient(url, options = {}) {
+  const target = new URL(url);
+  const timeoutMs = options.timeoutMs || 2000;
+  // The open connection: its socket, unparsed reply bytes and the commands
+  // waiting for a reply, in order. A reconnect starts a new one, so a stale
+  // socket's late events only touch its own state.
+  let connection = null;
+
+  const failAll = (conn, error) => {
+    const waiting = conn.pending;
+    conn.pending = [];
+    waiting.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  };
+
+  // Parse one reply at `offset`; returns { value, next } or null if incomplete
+  const parseReply = (buffer, offset) => {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    if (type === '+') return { value: line, next };
+    if (type === '-') return { value: new Error(line), next };
+    if (type === ':') return { value: Number(line), next };
+    if (type === '$') {
+      const length = Number(line);
+      if (length === -1) return { value: null, next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+    }
+    if (type === '*') {
+      const count = Number(line);
+      if (count === -1) return { value: null, next };
+      const values = [];
+      let cursor = next;
+      for (let index = 0; index < count; index++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        values.push(item.value);
+        cursor = item.next;
+      }
+      return { value: values, next: cursor };
+    }
+    throw new Error(`Unexpected Redis reply type ${JSON.stringify(type)}`);
+  };
+
+  const onData = (conn, chunk) => {
+    conn.buffer = Buffer.concat([conn.buffer, chunk]);
+    let reply;
+    while (conn.pending.length > 0 && (reply = parseReply(conn.buffer, 0))) {
+      conn.buffer = conn.buffer.subarray(reply.next);
+      const { resolve, reject, timer } = conn.pending.shift();
+      clearTimeout(timer);
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  };
+
+  const encode = (args) =>
+    `*${args.length}\r\n${args.map((arg) => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('')}`;
+
+  const send = (conn, args) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      // A reply that never comes would shift every later reply; start over
+      conn.socket.destroy(new Error('Redis command timed out'));
+    }, timeoutMs);
+    conn.pending.push({ resolve, reject, timer });
+    conn.socket.write(encode(args));
+  });
+
+  const connect = () => {
+    const conn = {
+      socket: net.createConnection({ host: target.hostname, port: Number(target.port) || 6379 }),
+      buffer: Buffer.alloc(0),
+      pending: [],
+    };
+    conn.socket.setNoDelay(true);
+    conn.socket.on('data', (chunk) => onData(conn, chunk));
+    conn.socket.on('error', (error) => failAll(conn, error));
+    conn.socket.on('close', () => {
+      // Only forget the connection if no newer one has replaced it
+      if (connection === conn) {
+        connection = null;
+      }
+      failAll(conn, new Error('Redis connection closed'));
+    });
+    connection = conn;
+
+    const setup = [];
+    if (target.password) {
+      setup.push(target.username
+        ? ['AUTH', decodeURIComponent(target.username), decodeURIComponent(target.password)]
+        : ['AUTH', decodeURIComponent(target.password)]);
+    }
+    const database = target.pathname.replace('/', '');
+    if (database) {
+      setup.push(['SELECT', database]);
+    }
+    // Setup replies are queued ahead of the first real command
+    for (const args of setup) {
+      send(conn, args).catch((error) => console.error('[PDF Service] Redis setup failed:', error.message));
+    }
+  };
+
+  return {
+    command(args) {
+      // A destroyed socket (e.g. after a timeout) may not have emitted 'close' yet
+      if (!connection || connection.socket.destroyed) {
+        connect();
+      }
+      return send(connection, args);
+    },
+
+    async close() {
+      if (connection) {
+        connection.socket.end();
+        connection = null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  evaluateWindow,
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore,
+  createRespClient,
+};
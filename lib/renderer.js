@@ -0,0 +1,2455 @@
+const { createBrowserPool } = require('./browser-pool');
+const { finalizePdfDocument, countPdfPages, inspectPdfUpload, mergePdfDocuments } = require('./pdf-document');
+const { FONT_STYLES, FONT_MAX_FAMILIES, resolveFontRequirements, createFontRegistry, MissingFontsError } = require('./fonts');
+const { createDeadline, RenderTimeoutError } = require('./deadline');
+const { LayoutOverflowError, collectLayoutReport, summarizeLayoutReport } = require('./layout-report');
+const { collectAtsExpectations, checkAtsReadability, summarizeAtsCheck } = require('./ats-check');
+const { createNetworkPolicy, createAssetRegistry, applyNetworkPolicy } = require('./network-policy');
+const { RESUME_SCHEMA } = require('./resume-schema');
+const { validate } = require('./schema');
+const { DEFAULT_TEMPLATE_ID, getTemplate, listTemplates } = require('./templates');
+
+// Shortest deadline a request may ask for with `timeoutMs`
+const RENDER_TIMEOUT_MIN_MS = 1000;
+
+// Page size constants (in millimeters, portrait)
+const PAGE_SIZES = {
+  A4: { width: 210, height: 297 },
+  A5: { width: 148, height: 210 },
+  B5: { width: 176, height: 250 },
+  'US Letter': { width: 215.9, height: 279.4 },
+  Legal: { width: 215.9, height: 355.6 },
+};
+const PAGE_ORIENTATIONS = ['portrait', 'landscape'];
+// Bounds for custom { widthMm, heightMm } sizes
+const CUSTOM_PAGE_SIZE_RANGE_MM = { min: 50, max: 1200 };
+
+// Convert pixels to millimeters (1mm ≈ 3.779px at 96dpi)
+function pxToMm(px) {
+  return px / 3.779;
+}
+
+function mmToPx(mm) {
+  return mm * 3.779;
+}
+
+// Get page dimensions for a named size or a custom { widthMm, heightMm } size,
+// rotated to `orientation` when one is given. Returns null when the size is
+// unknown or out of range.
+function getPageDimensions(pageSize, orientation) {
+  let dimensions = null;
+  
+  if (typeof pageSize === 'string') {
+    dimensions = PAGE_SIZES[pageSize] || null;
+  } else if (pageSize && typeof pageSize === 'object') {
+    const { widthMm, heightMm } = pageSize;
+    const inRange = (value) => Number.isFinite(value)
+      && value >= CUSTOM_PAGE_SIZE_RANGE_MM.min
+      && value <= CUSTOM_PAGE_SIZE_RANGE_MM.max;
+    if (inRange(widthMm) && inRange(heightMm)) {
+      dimensions = { width: widthMm, height: heightMm };
+    }
+  }
+  
+  if (!dimensions) return null;
+  
+  const isLandscape = dimensions.width > dimensions.height;
+  if (orientation && (orientation === 'landscape') !== isLandscape) {
+    return { width: dimensions.height, height: dimensions.width };
+  }
+  return { width: dimensions.width, height: dimensions.height };
+}
+
+// Measure content height in continuous scroll mode, in CSS px.
+// With `printWidthMm` the document is laid out as Chromium will print it: at
+// the printable width (page width minus the left and right margins) and with
+// print media styles. The viewport and media are restored afterwards.
+async function measureContentHeight(page, { printWidthMm, logger = console } = {}) {
+  const viewport = page.viewport();
+  if (printWidthMm) {
+    await page.setViewport({ ...viewport, width: Math.round(mmToPx(printWidthMm)) });
+    await page.emulateMediaType('print');
+  }
+  
+  let measurements;
+  try {
+    measurements = await page.evaluate(() => {
+      const container = document.querySelector('.resume-container');
+      const body = document.body;
+      
+      // Force reflow
+      void document.documentElement.offsetHeight;
+      
+      // The bottom of the lowest box, including the body's bottom margin and
+      // anything positioned or overflowing below it. Unlike scrollHeight this
+      // is never rounded up to the viewport height.
+      const bodyStyle = window.getComputedStyle(body);
+      let contentBottom = body.getBoundingClientRect().bottom + (parseFloat(bodyStyle.marginBottom) || 0);
+      for (const el of body.querySelectorAll('*')) {
+        const rect = el.getBoundingClientRect();
+        if (rect.height > 0) {
+          contentBottom = Math.max(contentBottom, rect.bottom + (parseFloat(window.getComputedStyle(el).marginBottom) || 0));
+        }
+      }
+      
+      return {
+        contentBottom: contentBottom + window.scrollY,
+        containerHeight: container ? container.getBoundingClientRect().height : 0,
+        bodyScrollHeight: body.scrollHeight,
+      };
+    });
+  } finally {
+    if (printWidthMm) {
+      await page.emulateMediaType(null);
+      await page.setViewport(viewport);
+    }
+  }
+  
+  logger.log('[PDF Service] Height measurements:', { ...measurements, printWidthMm: printWidthMm || null });
+  
+  return Math.ceil(measurements.contentBottom);
+}
+
+// Chromium cannot print a page taller than 200 inches
+const CONTINUOUS_MAX_HEIGHT_MM = 5080;
+
+// Size the single continuous page: the content measured at the print width
+// plus the top and bottom margins. `tooTall` is set when that exceeds the
+// renderer's continuousMaxHeightMm, and the page is left ready for page mode.
+async function planContinuousPage(renderer, page, options) {
+  const { pageDimensions, marginMm } = options;
+  
+  // Forced breaks mean nothing on a single page but would still split it
+  const noBreaks = await page.addStyleTag({
+    content: `@media print {
+      *, *::before, *::after {
+        break-before: auto !important; break-after: auto !important; break-inside: auto !important;
+        page-break-before: auto !important; page-break-after: auto !important; page-break-inside: auto !important;
+      }
+    }`,
+  });
+  
+  const contentHeightPx = await measureContentHeight(page, {
+    printWidthMm: pageDimensions.width - marginMm.left - marginMm.right,
+    logger: renderer.logger,
+  });
+  // One extra px absorbs rounding between the layout and the printed page
+  const heightMm = Math.round((pxToMm(contentHeightPx + 1) + marginMm.top + marginMm.bottom) * 100) / 100;
+  const maxHeightMm = renderer.continuousMaxHeightMm;
+  const tooTall = heightMm > maxHeightMm;
+  if (tooTall) {
+    // Page mode needs the document's own break rules back
+    await noBreaks.evaluate((style) => style.remove());
+  }
+  
+  return { contentHeightPx, heightMm, maxHeightMm, tooTall };
+}
+
+// Warning for continuous content taller than the page height limit
+function continuousFallbackWarning(plan) {
+  return `Content is ${Math.round(plan.heightMm)}mm tall, more than the ${plan.maxHeightMm}mm limit for a continuous page; rendered in page mode instead`;
+}
+
+// Apply page breaks using preview-style unit pagination.
+// Resolves with a layout report: every page with the blocks and heights placed
+// on it, the blocks split by splitOversizedDomBlock and the heading+body pairs
+// that were kept together.
+async function applyPreviewPaginationBreaks(page, dimensions, templateId, pagePaddingMm, { headerFooter = null, breakRules = null } = {}) {
+  const resolvedPadding = {
+    top: Number.isFinite(pagePaddingMm?.top) ? pagePaddingMm.top : 10,
+    right: Number.isFinite(pagePaddingMm?.right) ? pagePaddingMm.right : 10,
+    bottom: Number.isFinite(pagePaddingMm?.bottom) ? pagePaddingMm.bottom : 10,
+    left: Number.isFinite(pagePaddingMm?.left) ? pagePaddingMm.left : 10,
+  };
+  const verticalPadding = resolvedPadding.top + resolvedPadding.bottom;
+  // Match app preview/export geometry: width uses the canonical "double horizontal"
+  // calculation while page wrappers still render with 10mm visual padding per side.
+  const horizontalPadding = (resolvedPadding.left + resolvedPadding.right) * 2;
+  const usableHeightPx = (dimensions.height - verticalPadding) * 3.779;
+  const usableWidthPx = (dimensions.width - horizontalPadding) * 3.779;
+  const editorClasses = `ProseMirror tiptap-editor preview-mode template-${templateId || 'classic'}`;
+  const SMALL_BLOCK_RATIO = 0.25;
+  const resolvedBreakRules = { orphans: 1, widows: 1, ...breakRules };
+  
+  return page.evaluate(({ usableHeightPx, usableWidthPx, editorClasses, SMALL_BLOCK_RATIO, dimensions, resolvedPadding, headerFooter, breakRules }) => {
+    const layout = {
+      paginated: false,
+      prePaginated: false,
+      usableHeightPx,
+      usableWidthPx,
+      pageCount: 0,
+      pages: [],
+      splits: [],
+      keptTogether: [],
+    };
+
+    // Identify a block well enough for the editor to map it back to its source
+    const describeBlock = (el, index) => ({
+      index,
+      tag: el.tagName.toLowerCase(),
+      id: el.id || null,
+      className: typeof el.className === 'string' && el.className ? el.className : null,
+      text: (el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+    });
+
+    // Running header/footer strips sit inside the page padding and are reserved
+    // out of the content area on every page they appear on.
+    const showsStrip = (strip, pageNumber) => !!strip && !(strip.skipFirstPage && pageNumber === 1);
+    const reservedMm = (pageNumber) => ({
+      top: showsStrip(headerFooter?.header, pageNumber) ? headerFooter.header.heightMm : 0,
+      bottom: showsStrip(headerFooter?.footer, pageNumber) ? headerFooter.footer.heightMm : 0,
+    });
+    const pageCapacityPx = (pageNumber) => {
+      const reserved = reservedMm(pageNumber);
+      return usableHeightPx - (reserved.top + reserved.bottom) * 3.779;
+    };
+
+    const escapeHtml = (value) => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const addRunningHeaderFooter = (pageEls, candidateName) => {
+      if (!headerFooter) return;
+      // Bundles number pages across all their parts
+      const pageNumberOffset = headerFooter.pageNumberOffset || 0;
+      const totalPages = headerFooter.totalPages || pageNumberOffset + pageEls.length;
+      pageEls.forEach((pageEl, pageIndex) => {
+        const pageNumber = pageIndex + 1;
+        const values = {
+          pageNumber: pageNumberOffset + pageNumber,
+          totalPages,
+          name: candidateName,
+          date: headerFooter.date,
+        };
+        for (const [kind, strip] of [['header', headerFooter.header], ['footer', headerFooter.footer]]) {
+          if (!showsStrip(strip, pageNumber)) continue;
+          const stripEl = document.createElement('div');
+          stripEl.className = `page-running-${kind}`;
+          stripEl.style.position = 'absolute';
+          stripEl.style.left = `${resolvedPadding.left}mm`;
+          stripEl.style.right = `${resolvedPadding.right}mm`;
+          stripEl.style[kind === 'header' ? 'top' : 'bottom'] = `${resolvedPadding[kind === 'header' ? 'top' : 'bottom']}mm`;
+          stripEl.style.height = `${strip.heightMm}mm`;
+          stripEl.style.overflow = 'hidden';
+          stripEl.style.boxSizing = 'border-box';
+          stripEl.innerHTML = strip.template.replace(
+            /\{\{\s*(pageNumber|totalPages|name|date)\s*\}\}/g,
+            (match, key) => escapeHtml(values[key]),
+          );
+          pageEl.style.position = 'relative';
+          pageEl.appendChild(stripEl);
+        }
+      });
+    };
+
+    const container = document.querySelector('.resume-container');
+    if (!container) return layout;
+
+    const candidateName = headerFooter?.name
+      || (container.querySelector('h1')?.textContent || '').replace(/\s+/g, ' ').trim();
+
+    // If the incoming HTML is already pre-paginated (app generated .pages-container/.export-page),
+    // we skip pagination to avoid duplicating work and drifting page layout.
+    const exportPagesContainer = document.querySelector(
+      '.pages-container.export-pages-container',
+    );
+    if (exportPagesContainer && exportPagesContainer.querySelector('.export-page')) {
+      // Keep existing pre-paginated pages consistent with requested margin contract.
+      const existingPages = exportPagesContainer.querySelectorAll('.export-page');
+      existingPages.forEach((pageEl, pageIndex) => {
+        pageEl.style.padding = `${resolvedPadding.top}mm ${resolvedPadding.right}mm ${resolvedPadding.bottom}mm ${resolvedPadding.left}mm`;
+        const contentParent = pageEl.querySelector('.ProseMirror') || pageEl;
+        const pageBlocks = Array.from(contentParent.children).map((el, index) => ({
+          ...describeBlock(el, index),
+          heightPx: el.getBoundingClientRect().height,
+        }));
+        layout.pages.push({
+          pageNumber: pageIndex + 1,
+          usedHeightPx: pageBlocks.reduce((sum, block) => sum + block.heightPx, 0),
+          blocks: pageBlocks,
+        });
+      });
+      // Pre-paginated pages can't be re-flowed, so strips are drawn over their padding
+      addRunningHeaderFooter(Array.from(existingPages), candidateName);
+      layout.prePaginated = true;
+      layout.pageCount = layout.pages.length;
+      return layout;
+    }
+    
+    const containerEl = container;
+    if (containerEl.children.length === 0) return layout;
+    
+    const isHeading = (el) => /^H[1-6]$/.test(el.tagName.toUpperCase());
+    
+    // Where blocks are measured: the usable page width, or a column's width
+    // inside shallow copies of its row and column (so template selectors such
+    // as `.resume-sidebar h2` still match). Switched while a column is paginated.
+    const mainFlow = { widthPx: usableWidthPx, shells: [] };
+    let flow = mainFlow;
+    
+    // Off-screen copy of the editor structure so clones lay out like the preview
+    const mountForMeasure = (element, containerWidthPx, cssClasses, shells = []) => {
+      const tempContainer = document.createElement('div');
+      tempContainer.style.width = `${containerWidthPx}px`;
+      tempContainer.style.position = 'absolute';
+      tempContainer.style.visibility = 'hidden';
+      tempContainer.style.top = '-9999px';
+      tempContainer.style.left = '-9999px';
+      tempContainer.style.boxSizing = 'border-box';
+
+      const editorContainer = document.createElement('div');
+      editorContainer.className = 'tiptap-editor-container';
+      editorContainer.style.width = '100%';
+      editorContainer.style.boxSizing = 'border-box';
+
+      const wrapper = document.createElement('div');
+      wrapper.style.width = '100%';
+      wrapper.style.boxSizing = 'border-box';
+      wrapper.style.minHeight = '0';
+      wrapper.style.height = 'auto';
+      if (cssClasses) {
+        wrapper.className = cssClasses;
+      }
+
+      let parent = wrapper;
+      for (const shell of shells) {
+        parent = parent.appendChild(shell.cloneNode(false));
+      }
+      const cloned = element.cloneNode(true);
+      parent.appendChild(cloned);
+      editorContainer.appendChild(wrapper);
+      tempContainer.appendChild(editorContainer);
+      document.body.appendChild(tempContainer);
+
+      void tempContainer.offsetHeight;
+      void wrapper.offsetHeight;
+      void cloned.offsetHeight;
+
+      return { tempContainer, cloned };
+    };
+
+    const measureHeightLikePreview = (element, containerWidthPx, cssClasses, shells) => {
+      if (element.isConnected && element.parentElement) {
+        const parentWidth = element.parentElement.getBoundingClientRect().width;
+        if (Math.abs(parentWidth - containerWidthPx) < 10) {
+          void element.offsetHeight;
+          const directHeight = element.scrollHeight || element.offsetHeight;
+          if (directHeight > 0) {
+            return directHeight;
+          }
+        }
+      }
+
+      const { tempContainer, cloned } = mountForMeasure(element, containerWidthPx, cssClasses, shells);
+      const measuredHeight = cloned.scrollHeight || cloned.offsetHeight;
+      tempContainer.remove();
+      return measuredHeight;
+    };
+
+    const measureUnit = (elements) => {
+      const wrapper = document.createElement('div');
+      for (const el of elements) {
+        wrapper.appendChild(el.cloneNode(true));
+      }
+      return measureHeightLikePreview(wrapper, flow.widthPx, editorClasses, flow.shells);
+    };
+
+    // Continuation chunks pick up mid-paragraph or mid-list-item: no second
+    // bullet, no first-line indent, and ordered lists keep counting.
+    const markContinuation = (first, rest) => {
+      rest.style.textIndent = '0';
+      rest.style.marginTop = '0';
+      first.style.marginBottom = '0';
+      let head = first;
+      let tail = rest;
+      while (head && tail && head.tagName === tail.tagName) {
+        if (tail.tagName === 'LI') {
+          tail.style.listStyleType = 'none';
+        } else if (tail.tagName === 'OL') {
+          const start = parseInt(head.getAttribute('start'), 10) || 1;
+          tail.setAttribute('start', String(start + head.children.length - 1));
+        }
+        head = head.lastElementChild;
+        tail = tail.firstElementChild;
+      }
+    };
+
+    // Split a block at a line boundary: find the first character whose line
+    // box ends below `maxChunkHeightPx` and cut the DOM there with Ranges, so
+    // inline markup is carried into both halves and no text is dropped.
+    const splitBlockAtLines = (block, maxChunkHeightPx) => {
+      const { tempContainer, cloned } = mountForMeasure(block, flow.widthPx, editorClasses, flow.shells);
+      try {
+        const textNodes = [];
+        const walker = document.createTreeWalker(cloned, NodeFilter.SHOW_TEXT);
+        let totalChars = 0;
+        while (walker.nextNode()) {
+          const node = walker.currentNode;
+          if (node.data.length > 0) {
+            textNodes.push({ node, start: totalChars });
+            totalChars += node.data.length;
+          }
+        }
+        if (totalChars < 2) return null;
+
+        const locate = (index) => {
+          let entry = textNodes[0];
+          for (const candidate of textNodes) {
+            if (candidate.start > index) break;
+            entry = candidate;
+          }
+          return { node: entry.node, offset: index - entry.start };
+        };
+
+        const top = cloned.getBoundingClientRect().top;
+        // Collapsed whitespace has no box; use the next character that does
+        const lineBottomAt = (index) => {
+          const range = document.createRange();
+          for (let at = index; at < totalChars; at++) {
+            const { node, offset } = locate(at);
+            range.setStart(node, offset);
+            range.setEnd(node, offset + 1);
+            const rects = range.getClientRects();
+            if (rects.length > 0) {
+              return rects[rects.length - 1].bottom - top;
+            }
+          }
+          return Infinity;
+        };
+
+        const firstCharBelow = (limitPx) => {
+          let low = 0;
+          let high = totalChars;
+          while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (lineBottomAt(mid) > limitPx) {
+              high = mid;
+            } else {
+              low = mid + 1;
+            }
+          }
+          return low;
+        };
+
+        const cutAt = (index) => {
+          const { node, offset } = locate(index);
+          const head = document.createRange();
+          head.setStart(cloned, 0);
+          head.setEnd(node, offset);
+          const tail = document.createRange();
+          tail.setStart(node, offset);
+          tail.setEnd(cloned, cloned.childNodes.length);
+
+          const first = block.cloneNode(false);
+          first.appendChild(head.cloneContents());
+          const rest = block.cloneNode(false);
+          rest.appendChild(tail.cloneContents());
+          markContinuation(first, rest);
+          return [first, rest];
+        };
+
+        // Padding, borders and the cut itself can push the first half past the
+        // target, so tighten the limit by the overshoot and try again
+        let limitPx = maxChunkHeightPx;
+        for (let attempt = 0; attempt < 4; attempt++) {
+          const index = firstCharBelow(limitPx);
+          if (index <= 0 || index >= totalChars) return null;
+
+          const chunks = cutAt(index);
+          const firstHeight = measureUnit([chunks[0]]);
+          if (firstHeight <= maxChunkHeightPx) {
+            return chunks[0].textContent.trim() && chunks[1].textContent.trim() ? chunks : null;
+          }
+          limitPx -= firstHeight - maxChunkHeightPx;
+        }
+        return null;
+      } finally {
+        tempContainer.remove();
+      }
+    };
+
+    // `minimums.orphans` items must stay with the first chunk and `minimums.widows`
+    // items must reach the last one, so a list never leaves a lone bullet behind.
+    const splitOversizedDomBlock = (block, maxChunkHeightPx, minimums = { orphans: 1, widows: 1 }) => {
+      // Chunks from an earlier split are detached, so measure those off-screen
+      const blockHeight = block.isConnected ? block.getBoundingClientRect().height : measureUnit([block]);
+      if (blockHeight < usableHeightPx * 0.45) {
+        return null;
+      }
+      // A single paragraph or list item has no child boundary to split on
+      if (block.children.length < 2) {
+        return splitBlockAtLines(block, maxChunkHeightPx);
+      }
+
+      const childNodes = Array.from(block.children);
+      const chunks = [];
+      let currentChunk = block.cloneNode(false);
+      let hasAny = false;
+
+      for (const child of childNodes) {
+        const testChunk = currentChunk.cloneNode(true);
+        testChunk.appendChild(child.cloneNode(true));
+        const testHeight = measureUnit([testChunk]);
+
+        if (testHeight <= maxChunkHeightPx) {
+          currentChunk.appendChild(child.cloneNode(true));
+          hasAny = true;
+          continue;
+        }
+
+        if (!hasAny) {
+          // The first child alone is too tall, so cut through it instead
+          return splitBlockAtLines(block, maxChunkHeightPx);
+        }
+
+        chunks.push(currentChunk);
+        currentChunk = block.cloneNode(false);
+        currentChunk.appendChild(child.cloneNode(true));
+        hasAny = true;
+      }
+
+      if (currentChunk.children.length > 0) {
+        chunks.push(currentChunk);
+      }
+
+      if (chunks.length < 2) return null;
+
+      // Per-block overrides via data-orphans / data-widows
+      const orphans = parseInt(block.dataset?.orphans, 10) || minimums.orphans;
+      const widows = parseInt(block.dataset?.widows, 10) || minimums.widows;
+
+      const last = chunks[chunks.length - 1];
+      const previous = chunks[chunks.length - 2];
+      const previousMinimum = chunks.length === 2 ? orphans : 1;
+      while (last.children.length < widows && previous.children.length > previousMinimum) {
+        last.insertBefore(previous.lastElementChild, last.firstChild);
+      }
+
+      if (chunks[0].children.length < orphans) return null;
+
+      return chunks;
+    };
+
+    // Author break rules from CSS (break-before/after/inside and the legacy
+    // page-break-* aliases) or the equivalent data-break-* attributes.
+    const FORCED_BREAKS = ['page', 'always', 'left', 'right', 'recto', 'verso'];
+    const AVOID_BREAKS = ['avoid', 'avoid-page'];
+    const breakRulesOf = (el) => {
+      const style = window.getComputedStyle(el);
+      const data = el.dataset || {};
+      return {
+        before: data.breakBefore === 'page' || FORCED_BREAKS.includes(style.breakBefore),
+        after: data.breakAfter === 'page' || FORCED_BREAKS.includes(style.breakAfter),
+        avoidBefore: data.breakBefore === 'avoid' || AVOID_BREAKS.includes(style.breakBefore),
+        avoidAfter: data.breakAfter === 'avoid' || AVOID_BREAKS.includes(style.breakAfter),
+        avoidInside: data.breakInside === 'avoid' || AVOID_BREAKS.includes(style.breakInside),
+      };
+    };
+
+    // Group a flow's blocks into the units pagination places: single blocks,
+    // headings with their first block, and chains of break-avoid blocks.
+    // Blocks of a column are described with the column's name.
+    const buildUnits = (blocks, column = null) => {
+      const describe = (el, index) => (column ? { ...describeBlock(el, index), column } : describeBlock(el, index));
+      const rules = blocks.map(breakRulesOf);
+      const keepsWithNext = (index) => index + 1 < blocks.length
+        && !rules[index].after
+        && !rules[index + 1].before
+        && (rules[index].avoidAfter || rules[index + 1].avoidBefore);
+
+      const units = [];
+      for (let i = 0; i < blocks.length; i++) {
+        const block = blocks[i];
+        const next = blocks[i + 1];
+
+        // Blocks chained by break-after/break-before: avoid move as one unit,
+        // unless the chain is taller than a page
+        if (keepsWithNext(i)) {
+          let end = i + 1;
+          while (keepsWithNext(end)) end++;
+          const group = blocks.slice(i, end + 1);
+          const groupHeight = measureUnit(group);
+          if (groupHeight <= usableHeightPx) {
+            units.push({
+              elements: group,
+              height: groupHeight,
+              blocks: group.map((el, offset) => ({
+                ...describe(el, i + offset),
+                heightPx: measureUnit([el]),
+                ...(offset < group.length - 1 ? { keptWithNext: true } : {}),
+              })),
+              keptTogether: {
+                reason: 'break-avoid',
+                blocks: group.map((el, offset) => describe(el, i + offset)),
+                heightPx: groupHeight,
+              },
+              breakBefore: rules[i].before,
+              breakAfter: rules[end].after,
+            });
+            i = end;
+            continue;
+          }
+        }
+
+        if (isHeading(block) && next && !rules[i].after && !rules[i + 1].before) {
+          const nextHeight = measureUnit([next]);
+          if (nextHeight <= usableHeightPx * SMALL_BLOCK_RATIO) {
+            const pair = [block, next];
+            const pairHeight = measureUnit(pair);
+            units.push({
+              elements: pair,
+              height: pairHeight,
+              blocks: [
+                { ...describe(block, i), heightPx: measureUnit([block]), keptWithNext: true },
+                { ...describe(next, i + 1), heightPx: nextHeight },
+              ],
+              keptTogether: {
+                reason: 'heading',
+                heading: describe(block, i),
+                body: describe(next, i + 1),
+                heightPx: pairHeight,
+              },
+              breakBefore: rules[i].before,
+              breakAfter: rules[i + 1].after,
+            });
+            i++;
+            continue;
+          }
+        }
+
+        const height = measureUnit([block]);
+        units.push({
+          elements: [block],
+          height,
+          blocks: [{ ...describe(block, i), heightPx: height }],
+          breakBefore: rules[i].before,
+          breakAfter: rules[i].after,
+          avoidInside: rules[i].avoidInside,
+        });
+      }
+      return units;
+    };
+
+    const createNewPage = (pageNumber) => {
+      const reserved = reservedMm(pageNumber);
+      const pageEl = document.createElement('div');
+      pageEl.className = 'page paginated export-page';
+      pageEl.style.width = `${dimensions.width}mm`;
+      pageEl.style.height = `${dimensions.height}mm`;
+      pageEl.style.minWidth = `${dimensions.width}mm`;
+      pageEl.style.maxWidth = `${dimensions.width}mm`;
+      pageEl.style.minHeight = `${dimensions.height}mm`;
+      pageEl.style.maxHeight = `${dimensions.height}mm`;
+      pageEl.style.boxSizing = 'border-box';
+      pageEl.style.overflow = 'hidden';
+      pageEl.style.padding = `${resolvedPadding.top + reserved.top}mm ${resolvedPadding.right}mm ${resolvedPadding.bottom + reserved.bottom}mm ${resolvedPadding.left}mm`;
+      pageEl.style.borderRadius = '0';
+      pageEl.style.boxShadow = 'none';
+      pageEl.style.background = 'white';
+      pageEl.style.margin = '0';
+
+      const proseMirror = document.createElement('div');
+      proseMirror.className = editorClasses;
+      proseMirror.style.width = '100%';
+      proseMirror.style.height = 'auto';
+      proseMirror.style.minHeight = '100%';
+      proseMirror.style.padding = '0';
+      proseMirror.style.margin = '0';
+      proseMirror.style.boxSizing = 'border-box';
+      pageEl.appendChild(proseMirror);
+
+      return { page: pageEl, contentParent: proseMirror };
+    };
+
+    // Paginate one flow of units (the whole resume, or one column) into
+    // fragments, one per page: { pageNumber, nodes, usedHeightPx, capacityPx,
+    // blocks }. The flow starts on page `pageNumber` below `usedHeightPx` of
+    // content already there; `baseHeightPx` (a column's padding and borders)
+    // is taken from every page it reaches.
+    const paginateFlow = (units, { pageNumber: firstPageNumber, usedHeightPx = 0, baseHeightPx = 0 }) => {
+      const fragments = [];
+      let current = null;
+      const openFragment = (pageNumber, startHeightPx, hasContent) => {
+        current = {
+          pageNumber,
+          nodes: [],
+          usedHeightPx: startHeightPx,
+          capacityPx: pageCapacityPx(pageNumber),
+          blocks: [],
+          hasContent,
+        };
+        fragments.push(current);
+      };
+      const startNewPage = () => openFragment(current.pageNumber + 1, baseHeightPx, false);
+      openFragment(firstPageNumber, usedHeightPx + baseHeightPx, usedHeightPx > 0);
+
+      // Record where a unit landed; page numbers are final because pages are only ever appended
+      const placeUnit = (unit, fitScale = 1) => {
+        for (const block of unit.blocks) {
+          if (fitScale < 1) {
+            current.blocks.push({ ...block, scaledToFit: Math.round(fitScale * 1000) / 1000 });
+          } else {
+            current.blocks.push(block.heightPx > current.capacityPx ? { ...block, overflows: true } : block);
+          }
+        }
+        if (unit.keptTogether) {
+          layout.keptTogether.push({ ...unit.keptTogether, pageNumber: current.pageNumber });
+        }
+        if (unit.split && !unit.split.record.pages.includes(current.pageNumber)) {
+          unit.split.record.pages.push(current.pageNumber);
+        }
+        current.hasContent = true;
+      };
+
+      let i = 0;
+      while (i < units.length) {
+        const unit = units[i];
+        const remainingHeight = current.capacityPx - current.usedHeightPx;
+
+        if (unit.breakBefore && current.hasContent) {
+          startNewPage();
+          continue;
+        }
+
+        if (unit.height <= remainingHeight) {
+          for (const el of unit.elements) {
+            current.nodes.push(el.cloneNode(true));
+          }
+          placeUnit(unit);
+          current.usedHeightPx += unit.height;
+          i++;
+          if (unit.breakAfter && i < units.length) {
+            startNewPage();
+          }
+          continue;
+        }
+
+        // break-inside: avoid moves the block to a fresh page first; it is only
+        // split when it doesn't fit even there, since the page would clip it.
+        if (unit.elements.length === 1 && !(unit.avoidInside && current.hasContent)) {
+          const split = splitOversizedDomBlock(unit.elements[0], remainingHeight, {
+            // On an empty page a short first chunk still beats clipping
+            orphans: current.hasContent ? breakRules.orphans : 1,
+            widows: breakRules.widows,
+          });
+          if (split) {
+            // A chunk that gets split again still reports against the original block
+            const source = unit.blocks[0];
+            let record = unit.split ? unit.split.record : null;
+            if (record) {
+              record.parts += split.length - 1;
+            } else {
+              record = { block: source, parts: split.length, pages: [] };
+              layout.splits.push(record);
+            }
+            units.splice(
+              i,
+              1,
+              ...split.map((chunk, chunkIndex) => {
+                const height = measureUnit([chunk]);
+                return {
+                  elements: [chunk],
+                  height,
+                  blocks: [{ ...source, heightPx: height, split: true }],
+                  split: { record },
+                  breakBefore: chunkIndex === 0 && unit.breakBefore,
+                  breakAfter: chunkIndex === split.length - 1 && unit.breakAfter,
+                };
+              })
+            );
+            continue;
+          }
+        }
+
+        if (!current.hasContent) {
+          // Nothing splits it (an image, a single line, break-inside: avoid) and an
+          // empty page would clip it, so shrink it onto the page instead
+          const fitScale = unit.height > remainingHeight ? remainingHeight / unit.height : 1;
+          for (const el of unit.elements) {
+            const clone = el.cloneNode(true);
+            if (fitScale < 1) {
+              clone.style.zoom = String(fitScale);
+            }
+            current.nodes.push(clone);
+          }
+          placeUnit(unit, fitScale);
+          current.usedHeightPx += Math.min(unit.height, remainingHeight);
+          i++;
+          if (unit.breakAfter && i < units.length) {
+            startNewPage();
+          }
+          continue;
+        }
+
+        startNewPage();
+      }
+
+      return fragments;
+    };
+
+    // Pages in the making; fragments that start on an existing page join it
+    const pages = [];
+    const appendFragments = (fragments) => {
+      for (const fragment of fragments) {
+        const existing = pages[fragment.pageNumber - 1];
+        if (existing) {
+          existing.nodes.push(...fragment.nodes);
+          existing.blocks.push(...fragment.blocks);
+          existing.usedHeightPx = fragment.usedHeightPx;
+        } else {
+          pages.push({ ...fragment });
+        }
+      }
+    };
+    // Where the next flow starts: below the content of the last page
+    const nextFlowStart = () => (pages.length > 0
+      ? { pageNumber: pages.length, usedHeightPx: pages[pages.length - 1].usedHeightPx }
+      : { pageNumber: 1, usedHeightPx: 0 });
+
+    const verticalChromePx = (el, withMargins = false) => {
+      const style = window.getComputedStyle(el);
+      const sides = ['paddingTop', 'paddingBottom', 'borderTopWidth', 'borderBottomWidth'];
+      if (withMargins) sides.push('marginTop', 'marginBottom');
+      return sides.reduce((sum, property) => sum + (parseFloat(style[property]) || 0), 0);
+    };
+
+    // A sidebar layout: `.resume-sidebar` and the columns beside it, in a row
+    // that is `.resume-container` itself or one of its children. Blocks of the
+    // container before and after the row flow across the full width.
+    const findColumnLayout = () => {
+      const sidebar = containerEl.querySelector('.resume-sidebar');
+      const row = sidebar && sidebar.parentElement;
+      if (!row || (row !== containerEl && row.parentElement !== containerEl)) return null;
+
+      const sidebarRect = sidebar.getBoundingClientRect();
+      const besideSidebar = (el) => {
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.top < sidebarRect.bottom && rect.bottom > sidebarRect.top
+          && (rect.left >= sidebarRect.right - 1 || rect.right <= sidebarRect.left + 1);
+      };
+      const rowChildren = Array.from(row.children);
+      const columnEls = rowChildren.filter((el) => el === sidebar || besideSidebar(el));
+      if (columnEls.length < 2) return null;
+
+      const firstColumnIndex = rowChildren.indexOf(columnEls[0]);
+      const lead = rowChildren.slice(0, firstColumnIndex);
+      const trailing = rowChildren.slice(firstColumnIndex).filter((el) => !columnEls.includes(el));
+      if (row !== containerEl) {
+        const containerChildren = Array.from(containerEl.children);
+        const rowIndex = containerChildren.indexOf(row);
+        lead.unshift(...containerChildren.slice(0, rowIndex));
+        trailing.push(...containerChildren.slice(rowIndex + 1));
+      }
+
+      // Measure columns at their own width, inside copies of the row and column
+      const rowShell = row.cloneNode(false);
+      Object.assign(rowShell.style, {
+        display: 'block', padding: '0', border: '0', margin: '0', width: 'auto', height: 'auto', minHeight: '0', maxWidth: 'none',
+      });
+      let mainColumns = 0;
+      const columns = columnEls.map((el) => {
+        const widthPx = el.getBoundingClientRect().width;
+        const shell = el.cloneNode(false);
+        Object.assign(shell.style, {
+          width: `${widthPx}px`, boxSizing: 'border-box', margin: '0', height: 'auto', minHeight: '0', maxHeight: 'none',
+        });
+        const name = el === sidebar ? 'sidebar' : columnEls.length === 2 ? 'main' : `column-${++mainColumns}`;
+        return {
+          el,
+          name,
+          widthPx,
+          chromePx: verticalChromePx(el),
+          repeat: el === sidebar && el.dataset.sidebar === 'repeat',
+          flow: { widthPx, shells: [rowShell, shell] },
+        };
+      });
+
+      return { row, columns, lead, trailing };
+    };
+
+    // Paginate every column independently from the same starting point and
+    // lay the fragments side by side, so each page gets a copy of the row with
+    // its columns. A sidebar marked data-sidebar="repeat" is shown in full on
+    // every page instead, if it fits on one.
+    const paginateColumns = ({ row, columns, trailing }) => {
+      let { pageNumber, usedHeightPx } = nextFlowStart();
+      // Don't start the columns in a sliver at the bottom of a page
+      if (usedHeightPx > 0 && pageCapacityPx(pageNumber) - usedHeightPx < usableHeightPx * SMALL_BLOCK_RATIO) {
+        pageNumber++;
+        usedHeightPx = 0;
+      }
+      const rowChromePx = verticalChromePx(row, true);
+      const rowStyle = window.getComputedStyle(row);
+      const rowMinHeightOffsetPx = (parseFloat(rowStyle.marginTop) || 0) + (parseFloat(rowStyle.marginBottom) || 0)
+        + (rowStyle.boxSizing === 'border-box' ? 0 : verticalChromePx(row));
+
+      const report = { startPage: pageNumber, sidebar: 'continue', columns: [] };
+      const fragmentsByColumn = new Map();
+      for (const column of columns.filter((entry) => !entry.repeat)) {
+        flow = column.flow;
+        const units = buildUnits(Array.from(column.el.children), column.name);
+        fragmentsByColumn.set(column, paginateFlow(units, { pageNumber, usedHeightPx, baseHeightPx: rowChromePx + column.chromePx }));
+      }
+      const lastPageNumber = Math.max(pageNumber, ...[...fragmentsByColumn.values()].map((fragments) => fragments[fragments.length - 1].pageNumber));
+
+      for (const column of columns.filter((entry) => entry.repeat)) {
+        flow = column.flow;
+        const blocks = Array.from(column.el.children);
+        const heightPx = measureUnit(blocks);
+        const startHeightPx = usedHeightPx + rowChromePx + column.chromePx;
+        if (startHeightPx + heightPx > pageCapacityPx(pageNumber)) {
+          // Too tall to repeat: continue it like any other column
+          report.repeatSkipped = true;
+          fragmentsByColumn.set(column, paginateFlow(buildUnits(blocks, column.name), { pageNumber, usedHeightPx, baseHeightPx: rowChromePx + column.chromePx }));
+          continue;
+        }
+        report.sidebar = 'repeat';
+        const described = blocks.map((el, index) => ({ ...describeBlock(el, index), column: column.name, heightPx: measureUnit([el]), repeated: true }));
+        const fragments = [];
+        for (let number = pageNumber; number <= lastPageNumber; number++) {
+          fragments.push({
+            pageNumber: number,
+            nodes: blocks.map((el) => el.cloneNode(true)),
+            usedHeightPx: (number === pageNumber ? startHeightPx : rowChromePx + column.chromePx) + heightPx,
+            capacityPx: pageCapacityPx(number),
+            blocks: described,
+          });
+        }
+        fragmentsByColumn.set(column, fragments);
+      }
+      flow = mainFlow;
+
+      const rowLastPageNumber = Math.max(...[...fragmentsByColumn.values()].map((fragments) => fragments[fragments.length - 1].pageNumber));
+      const rowFragments = [];
+      for (let number = pageNumber; number <= rowLastPageNumber; number++) {
+        const startHeightPx = number === pageNumber ? usedHeightPx : 0;
+        const rowEl = row.cloneNode(false);
+        let rowUsedHeightPx = startHeightPx + rowChromePx;
+        const blocks = [];
+        for (const column of columns) {
+          const columnEl = column.el.cloneNode(false);
+          const fragment = fragmentsByColumn.get(column).find((entry) => entry.pageNumber === number);
+          if (fragment) {
+            fragment.nodes.forEach((node) => columnEl.appendChild(node));
+            blocks.push(...fragment.blocks);
+            rowUsedHeightPx = Math.max(rowUsedHeightPx, fragment.usedHeightPx);
+          }
+          rowEl.appendChild(columnEl);
+        }
+        rowEl.style.height = 'auto';
+        rowEl.style.maxHeight = 'none';
+        // Stretch the row to the bottom of the page, so column backgrounds
+        // and rules run the full height, unless more content follows it
+        const fillsPage = number < rowLastPageNumber || trailing.length === 0;
+        const fillHeightPx = pageCapacityPx(number) - startHeightPx - rowMinHeightOffsetPx;
+        rowEl.style.minHeight = fillsPage && fillHeightPx > 0 ? `${Math.floor(fillHeightPx)}px` : '0';
+        rowFragments.push({
+          pageNumber: number,
+          nodes: [rowEl],
+          usedHeightPx: rowUsedHeightPx,
+          capacityPx: pageCapacityPx(number),
+          blocks,
+        });
+      }
+      appendFragments(rowFragments);
+
+      report.columns = columns.map((column) => ({
+        name: column.name,
+        className: typeof column.el.className === 'string' && column.el.className ? column.el.className : null,
+        widthPx: Math.round(column.widthPx),
+        pages: fragmentsByColumn.get(column).filter((fragment) => fragment.blocks.length > 0).length,
+      }));
+      return report;
+    };
+
+    const columnLayout = findColumnLayout();
+    if (columnLayout) {
+      if (columnLayout.lead.length > 0) {
+        appendFragments(paginateFlow(buildUnits(columnLayout.lead), nextFlowStart()));
+      }
+      layout.columns = paginateColumns(columnLayout);
+      if (columnLayout.trailing.length > 0) {
+        appendFragments(paginateFlow(buildUnits(columnLayout.trailing), nextFlowStart()));
+      }
+    } else {
+      appendFragments(paginateFlow(buildUnits(Array.from(containerEl.children)), nextFlowStart()));
+    }
+
+    const pagesContainer = document.createElement('div');
+    pagesContainer.className = 'pages-container export-pages-container';
+    pagesContainer.style.display = 'flex';
+    pagesContainer.style.flexDirection = 'column';
+    pagesContainer.style.alignItems = 'stretch';
+    pagesContainer.style.gap = '0';
+    pagesContainer.style.background = 'white';
+
+    if (pages.length === 0) {
+      pages.push({ pageNumber: 1, nodes: [], usedHeightPx: 0, capacityPx: pageCapacityPx(1), blocks: [] });
+    }
+    for (const entry of pages) {
+      const { page: pageEl, contentParent } = createNewPage(layout.pages.length + 1);
+      entry.nodes.forEach((node) => contentParent.appendChild(node));
+      pagesContainer.appendChild(pageEl);
+      layout.pages.push({
+        pageNumber: layout.pages.length + 1,
+        capacityPx: entry.capacityPx,
+        usedHeightPx: entry.usedHeightPx,
+        blocks: entry.blocks,
+      });
+    }
+
+    addRunningHeaderFooter(Array.from(pagesContainer.children), candidateName);
+
+    const exportRoot = containerEl.closest('.tiptap-editor-container') || containerEl;
+    if (exportRoot.parentElement) {
+      exportRoot.parentElement.replaceChild(pagesContainer, exportRoot);
+    }
+
+    layout.paginated = true;
+    layout.pageCount = layout.pages.length;
+    return layout;
+  }, {
+    usableHeightPx,
+    usableWidthPx,
+    editorClasses,
+    SMALL_BLOCK_RATIO,
+    dimensions,
+    resolvedPadding,
+    headerFooter,
+    breakRules: resolvedBreakRules,
+  });
+}
+
+// Running header/footer strips: a template string or { template, heightMm, skipFirstPage }.
+// Templates may use {{pageNumber}}, {{totalPages}}, {{name}} and {{date}}.
+const HEADER_FOOTER_DEFAULT_HEIGHT_MM = 8;
+const HEADER_FOOTER_MAX_HEIGHT_MM = 40;
+
+// The request schema has checked the value; fill in the defaults
+function resolveHeaderFooterStrip(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const strip = typeof value === 'string' ? { template: value } : value;
+  return {
+    template: strip.template,
+    heightMm: strip.heightMm ?? HEADER_FOOTER_DEFAULT_HEIGHT_MM,
+    skipFirstPage: strip.skipFirstPage === true,
+  };
+}
+
+// "Fit to N pages": tightening runs through FIT_STEPS increasingly tight
+// attempts. Spacing gives way first, then line-height, then the font scale.
+// Requests may narrow the bounds but never go below the hard floors.
+const FIT_STEPS = 8;
+const FIT_DEFAULT_BOUNDS = { minScale: 0.85, minLineHeight: 0.85, minSpacing: 0.5 };
+const FIT_HARD_FLOORS = { minScale: 0.7, minLineHeight: 0.75, minSpacing: 0 };
+const FIT_MAX_PAGES = 20;
+
+// The request schema has checked the value; fill in the default bounds
+function resolveFitToPages(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  
+  const fit = typeof value === 'number' ? { pages: value } : value;
+  const bounds = Object.fromEntries(Object.keys(FIT_HARD_FLOORS).map((key) => [key, fit[key] ?? FIT_DEFAULT_BOUNDS[key]]));
+  return { pages: fit.pages, ...bounds };
+}
+
+// Minimum list items kept together when a block is split across pages
+const BREAK_RULE_MAX_ITEMS = 10;
+
+// Optional PDF document metadata. Title and author default to the document
+// <title> / candidate name when omitted. The request schema has checked the
+// value; keywords may be a comma-separated string or a list.
+function resolveDocumentMetadata(value) {
+  if (value === undefined || value === null) {
+    return { keywords: [] };
+  }
+  
+  const keywords = typeof value.keywords === 'string' ? value.keywords.split(',') : value.keywords || [];
+  return {
+    title: value.title,
+    author: value.author,
+    subject: value.subject,
+    language: value.language,
+    keywords: keywords.map((keyword) => keyword.trim()).filter(Boolean),
+  };
+}
+
+// Build the HTML for a `resume` (JSON Resume) request from a registered template.
+// The resume itself has already been validated against RESUME_SCHEMA.
+// Returns { details } or { html, templateId, candidateName }.
+function resolveResumeSource(body) {
+  const templateId = body.templateId || DEFAULT_TEMPLATE_ID;
+  const template = getTemplate(templateId);
+  if (!template) {
+    return {
+      details: [{
+        path: 'templateId',
+        message: `unknown template, expected one of ${listTemplates().map((entry) => entry.id).join(', ')}`,
+      }],
+    };
+  }
+  
+  return { html: template.render(body.resume), templateId, candidateName: body.resume.basics.name };
+}
+
+// Margins and padding must leave at least this much room for content
+const MIN_CONTENT_AREA_MM = 20;
+const MARGIN_MAX_MM = 100;
+
+const boxSchema = (description) => ({
+  type: 'object',
+  description,
+  additionalProperties: false,
+  properties: Object.fromEntries(['top', 'right', 'bottom', 'left'].map((side) => [
+    side,
+    { type: 'number', minimum: 0, maximum: MARGIN_MAX_MM, default: 10 },
+  ])),
+});
+
+const headerFooterSchema = (description) => ({
+  description,
+  oneOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      required: ['template'],
+      additionalProperties: false,
+      properties: {
+        template: { type: 'string', minLength: 1 },
+        heightMm: { type: 'number', minimum: 1, maximum: HEADER_FOOTER_MAX_HEIGHT_MM, default: HEADER_FOOTER_DEFAULT_HEIGHT_MM },
+        skipFirstPage: { type: 'boolean', default: false },
+      },
+    },
+  ],
+});
+
+// Schema of the POST /render body, which /render/images, /layout and /jobs
+// share. Every field is checked and unknown fields are rejected, so a typo
+// fails loudly instead of silently falling back to a default.
+function renderRequestSchema(renderer) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      html: { type: 'string', minLength: 1, description: 'Resume HTML. Either html or resume is required' },
+      resume: { ...RESUME_SCHEMA, description: 'A JSON Resume document, rendered with the templateId template' },
+      templateId: {
+        type: 'string',
+        pattern: /^[A-Za-z0-9_-]+$/,
+        message: 'expected letters, digits, - and _ only',
+        description: 'Template class for html requests; the template to render a resume with',
+      },
+      previewViewMode: { type: 'string', enum: ['page', 'continuous'], default: 'page' },
+      previewPageSize: {
+        description: 'A named page size or a custom size in millimetres',
+        oneOf: [
+          { type: 'string', enum: Object.keys(PAGE_SIZES), default: 'A4' },
+          {
+            type: 'object',
+            required: ['widthMm', 'heightMm'],
+            additionalProperties: false,
+            properties: {
+              widthMm: { type: 'number', minimum: CUSTOM_PAGE_SIZE_RANGE_MM.min, maximum: CUSTOM_PAGE_SIZE_RANGE_MM.max },
+              heightMm: { type: 'number', minimum: CUSTOM_PAGE_SIZE_RANGE_MM.min, maximum: CUSTOM_PAGE_SIZE_RANGE_MM.max },
+            },
+          },
+        ],
+      },
+      orientation: { type: 'string', enum: PAGE_ORIENTATIONS },
+      marginMm: boxSchema('PDF print margins in millimetres'),
+      pagePaddingMm: boxSchema('Padding inside each page in millimetres'),
+      header: headerFooterSchema('Running header strip (page mode)'),
+      footer: headerFooterSchema('Running footer strip (page mode)'),
+      candidateName: { type: 'string', description: 'Value for {{name}} and the default PDF author' },
+      date: { type: 'string', description: 'Value for {{date}}; defaults to today' },
+      metadata: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string' },
+          author: { type: 'string' },
+          subject: { type: 'string' },
+          language: { type: 'string' },
+          keywords: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+        },
+      },
+      outline: { type: 'boolean', default: true },
+      fitToPages: {
+        description: 'Tighten the layout until the resume fits on this many pages',
+        oneOf: [
+          { type: 'integer', minimum: 1, maximum: FIT_MAX_PAGES },
+          {
+            type: 'object',
+            required: ['pages'],
+            additionalProperties: false,
+            properties: {
+              pages: { type: 'integer', minimum: 1, maximum: FIT_MAX_PAGES },
+              ...Object.fromEntries(Object.entries(FIT_HARD_FLOORS).map(([key, floor]) => [
+                key,
+                { type: 'number', minimum: floor, maximum: 1, default: FIT_DEFAULT_BOUNDS[key] },
+              ])),
+            },
+          },
+        ],
+      },
+      breakRules: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          orphans: { type: 'integer', minimum: 1, maximum: BREAK_RULE_MAX_ITEMS, default: 1 },
+          widows: { type: 'integer', minimum: 1, maximum: BREAK_RULE_MAX_ITEMS, default: 1 },
+        },
+      },
+      fonts: {
+        type: 'array',
+        maxItems: FONT_MAX_FAMILIES,
+        description: 'Faces that must load before the resume is measured',
+        items: {
+          oneOf: [
+            { type: 'string', minLength: 1 },
+            {
+              type: 'object',
+              required: ['family'],
+              additionalProperties: false,
+              properties: {
+                family: { type: 'string', minLength: 1 },
+                weights: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1, maximum: 1000 }, default: [400] },
+                styles: { type: 'array', minItems: 1, items: { type: 'string', enum: FONT_STYLES }, default: ['normal'] },
+              },
+            },
+          ],
+        },
+      },
+      strictFonts: { type: 'boolean', default: false },
+      failOnOverflow: {
+        type: 'boolean',
+        default: false,
+        description: 'Fail with 422 instead of returning a PDF with clipped content',
+      },
+      atsCheck: {
+        type: 'boolean',
+        default: false,
+        description: 'Extract the text layer of the PDF and check how applicant tracking systems will read it',
+      },
+      timeoutMs: {
+        type: 'integer',
+        minimum: RENDER_TIMEOUT_MIN_MS,
+        maximum: renderer.renderTimeoutMaxMs,
+        default: renderer.renderTimeoutMs,
+        description: 'Deadline for the whole render',
+      },
+    },
+  };
+}
+
+// Problems that involve several fields at once
+function crossFieldProblems(body, pageDimensions, marginMm, pagePaddingMm, viewMode) {
+  const details = [];
+  if (body.html && body.resume) {
+    details.push({ path: 'resume', message: 'provide either html or resume, not both' });
+  } else if (!body.html && !body.resume) {
+    details.push({ path: 'html', message: 'is required (or provide resume)' });
+  }
+  
+  // Same arithmetic as the viewport in withPreparedPage
+  if (pageDimensions) {
+    const width = pageDimensions.width - marginMm.left - marginMm.right - (pagePaddingMm.left + pagePaddingMm.right) * 2;
+    const height = pageDimensions.height - marginMm.top - marginMm.bottom - pagePaddingMm.top - pagePaddingMm.bottom;
+    if (width < MIN_CONTENT_AREA_MM) {
+      details.push({
+        path: 'marginMm',
+        message: `margins and padding leave ${Math.max(0, Math.round(width))}mm of content width, at least ${MIN_CONTENT_AREA_MM}mm is needed`,
+      });
+    }
+    if (viewMode === 'page' && height < MIN_CONTENT_AREA_MM) {
+      details.push({
+        path: 'marginMm',
+        message: `margins and padding leave ${Math.max(0, Math.round(height))}mm of content height, at least ${MIN_CONTENT_AREA_MM}mm is needed`,
+      });
+    }
+  }
+  return details;
+}
+
+// { error, message, details } for a 400 response; details are [{ path, message }]
+function invalidRequest(details) {
+  const [first] = details;
+  const more = details.length > 1 ? ` (and ${details.length - 1} more problem${details.length > 2 ? 's' : ''})` : '';
+  return { error: 'Invalid request', message: `${first.path}: ${first.message}${more}`, details };
+}
+
+const resolveBox = (box) => ({
+  top: box?.top ?? 10,
+  right: box?.right ?? 10,
+  bottom: box?.bottom ?? 10,
+  left: box?.left ?? 10,
+});
+
+// Validate the request body and resolve defaults shared by /render and /jobs.
+// `extraProperties` adds route-specific fields to the schema. Returns
+// { error, message, details } listing every problem when the body is
+// unusable, otherwise { options }.
+function resolveRenderRequest(renderer, body, extraProperties = {}) {
+  body = body ?? {};
+  const schema = renderRequestSchema(renderer);
+  schema.properties = { ...schema.properties, ...extraProperties };
+  const problems = validate(body, schema);
+  if (problems.some((problem) => problem.path === '')) {
+    return invalidRequest([{ path: 'body', message: problems[0].message }]);
+  }
+  
+  const { previewViewMode, previewPageSize } = body;
+  const viewMode = previewViewMode || 'page';
+  const pageSize = previewPageSize || 'A4';
+  const { orientation } = body;
+  const marginMm = resolveBox(body.marginMm);
+  const pagePaddingMm = resolveBox(body.pagePaddingMm);
+  // The usable area can only be checked once the fields it depends on are valid
+  const geometryFields = /^(previewViewMode|previewPageSize|orientation|marginMm|pagePaddingMm)\b/;
+  const pageDimensions = problems.some((problem) => geometryFields.test(problem.path))
+    ? null
+    : getPageDimensions(pageSize, orientation);
+  
+  problems.push(...crossFieldProblems(body, pageDimensions, marginMm, pagePaddingMm, viewMode));
+  if (problems.length > 0) {
+    return invalidRequest(problems);
+  }
+  
+  let { html, templateId } = body;
+  let resumeName = null;
+  if (body.resume) {
+    const source = resolveResumeSource(body);
+    if (source.details) {
+      return invalidRequest(source.details);
+    }
+    ({ html, templateId } = source);
+    resumeName = source.candidateName;
+  }
+  
+  // The schema has checked these; the resolvers normalize them
+  const header = resolveHeaderFooterStrip(body.header);
+  const footer = resolveHeaderFooterStrip(body.footer);
+  const metadata = resolveDocumentMetadata(body.metadata);
+  const fitToPages = resolveFitToPages(body.fitToPages);
+  const { fonts } = resolveFontRequirements(body.fonts);
+  const breakRules = { orphans: body.breakRules?.orphans ?? 1, widows: body.breakRules?.widows ?? 1 };
+  const timeoutMs = body.timeoutMs ?? renderer.renderTimeoutMs;
+  
+  // Falls back to the first <h1> of the resume when not provided
+  const candidateName = typeof body.candidateName === 'string' ? body.candidateName : resumeName;
+  
+  return {
+    options: {
+      html,
+      templateId,
+      viewMode,
+      // Named size, or 'Custom' for { widthMm, heightMm }
+      pageSize: typeof pageSize === 'string' ? pageSize : 'Custom',
+      orientation: pageDimensions.width > pageDimensions.height ? 'landscape' : 'portrait',
+      pageDimensions,
+      marginMm,
+      pagePaddingMm,
+      candidateName,
+      metadata,
+      outline: body.outline !== false,
+      fitToPages,
+      breakRules,
+      // { family, weight, style } faces that must load before measuring
+      requiredFonts: renderer.fontRegistry.requiredFaces(templateId, fonts),
+      strictFonts: body.strictFonts === true,
+      failOnOverflow: body.failOnOverflow === true,
+      atsCheck: body.atsCheck === true,
+      timeoutMs,
+      headerFooter: header || footer
+        ? {
+          header,
+          footer,
+          name: candidateName,
+          date: typeof body.date === 'string' ? body.date : new Date().toISOString().slice(0, 10),
+        }
+        : null,
+    },
+  };
+}
+
+// Bundles: documents rendered through the pipeline and existing PDFs, merged
+// into one PDF in order
+const BUNDLE_MAX_PARTS = 10;
+const BUNDLE_PART_TITLE_SCHEMA = {
+  type: 'string',
+  maxLength: 200,
+  description: 'Bookmark for the part; defaults to the file name or the document title',
+};
+const BUNDLE_PDF_PART_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    title: BUNDLE_PART_TITLE_SCHEMA,
+    pdf: { type: 'string', minLength: 1, description: 'An existing PDF, base64-encoded' },
+    file: { type: 'string', minLength: 1, description: 'Name of the multipart/form-data field holding an existing PDF' },
+  },
+};
+
+function bundleRequestSchema(renderer) {
+  const renderSchema = renderRequestSchema(renderer);
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['parts'],
+    properties: {
+      parts: {
+        type: 'array',
+        minItems: 1,
+        maxItems: BUNDLE_MAX_PARTS,
+        description: 'The documents in order: POST /render bodies with a title, or existing PDFs',
+        items: {
+          oneOf: [
+            { ...renderSchema, properties: { ...renderSchema.properties, title: BUNDLE_PART_TITLE_SCHEMA } },
+            BUNDLE_PDF_PART_SCHEMA,
+          ],
+        },
+      },
+      metadata: renderSchema.properties.metadata,
+      outline: { type: 'boolean', default: true, description: 'Bookmark every part, with its own bookmarks nested under it' },
+      timeoutMs: { ...renderSchema.properties.timeoutMs, description: 'Deadline for the whole bundle, shared by its parts' },
+    },
+  };
+}
+
+// An uploaded part: `pdf` in the JSON body, or `file` naming a multipart field
+async function resolvePdfPart(part, path, files) {
+  // Uploaded PDFs are merged as they are; say so rather than "unknown field"
+  const stamped = ['header', 'footer'].filter((field) => part[field] !== undefined && part[field] !== null);
+  if (stamped.length > 0) {
+    return {
+      details: stamped.map((field) => ({
+        path: `${path}.${field}`,
+        message: 'uploaded PDFs are not stamped with running headers or footers; their pages only count towards the bundle\'s page numbers',
+      })),
+    };
+  }
+  const details = validate(part, BUNDLE_PDF_PART_SCHEMA, path);
+  if (details.length > 0) {
+    return { details };
+  }
+  if (part.pdf && part.file) {
+    return { details: [{ path: `${path}.file`, message: 'provide either pdf or file, not both' }] };
+  }
+  
+  const upload = part.file ? files.get(part.file) : { buffer: Buffer.from(part.pdf.replace(/^data:application\/pdf;base64,/, ''), 'base64'), filename: null };
+  const field = part.file ? 'file' : 'pdf';
+  if (!upload) {
+    return { details: [{ path: `${path}.file`, message: `no uploaded file named "${part.file}"` }] };
+  }
+  const { pageCount, error } = await inspectPdfUpload(upload.buffer);
+  if (error) {
+    return { details: [{ path: `${path}.${field}`, message: error }] };
+  }
+  
+  return {
+    part: {
+      source: 'pdf',
+      title: part.title || (upload.filename ? upload.filename.replace(/\.pdf$/i, '') : null),
+      buffer: upload.buffer,
+      pageCount,
+    },
+  };
+}
+
+// Validate a bundle request. Document parts go through resolveRenderRequest,
+// uploaded PDFs are checked to load; `files` maps multipart field names to
+// { buffer, filename }. Resolves with { error, message, details } (paths
+// point into `parts`) or { options: { parts, metadata, outline, timeoutMs } }.
+async function resolveBundleRequest(renderer, body, { files = new Map() } = {}) {
+  body = body ?? {};
+  // Parts are checked one at a time below, so problems point at their fields
+  const schema = bundleRequestSchema(renderer);
+  schema.properties.parts = { ...schema.properties.parts, items: { type: 'object' } };
+  const problems = validate(body, schema);
+  if (problems.some((problem) => problem.path === '')) {
+    return invalidRequest([{ path: 'body', message: problems[0].message }]);
+  }
+  if (problems.length > 0) {
+    return invalidRequest(problems);
+  }
+  
+  const details = [];
+  const parts = [];
+  for (const [index, part] of body.parts.entries()) {
+    const path = `parts[${index}]`;
+    if (part.pdf !== undefined || part.file !== undefined) {
+      const resolved = await resolvePdfPart(part, path, files);
+      if (resolved.details) {
+        details.push(...resolved.details);
+      } else {
+        parts.push(resolved.part);
+      }
+      continue;
+    }
+    
+    const resolved = resolveRenderRequest(renderer, part, { title: BUNDLE_PART_TITLE_SCHEMA });
+    if (resolved.error) {
+      details.push(...resolved.details.map((detail) => ({ ...detail, path: `${path}.${detail.path}` })));
+    } else {
+      parts.push({ source: 'html', title: part.title || null, options: resolved.options });
+    }
+  }
+  if (details.length > 0) {
+    return invalidRequest(details);
+  }
+  
+  return {
+    options: {
+      parts,
+      metadata: resolveDocumentMetadata(body.metadata),
+      outline: body.outline !== false,
+      timeoutMs: body.timeoutMs ?? renderer.renderTimeoutMs,
+    },
+  };
+}
+
+// Collect what the PDF post-processing needs from the final (paginated) DOM:
+// outline entries from h1-h3 and .resume-section, link boxes, and title hints.
+// Bare emails and domains in hrefs are normalized to mailto:/https: first so
+// Chromium emits working link annotations for them.
+async function collectDocumentAnchors(page) {
+  return page.evaluate(() => {
+    const exportPages = Array.from(document.querySelectorAll('.pages-container .export-page'));
+    const normalizeText = (value) => (value || '').replace(/\s+/g, ' ').trim();
+    
+    const boxOf = (rect, el) => {
+      const pageEl = el.closest('.export-page');
+      const exportPageIndex = pageEl ? exportPages.indexOf(pageEl) : -1;
+      const pageRect = exportPageIndex >= 0 ? pageEl.getBoundingClientRect() : null;
+      return {
+        exportPageIndex,
+        pageX: pageRect ? rect.left - pageRect.left : 0,
+        pageY: pageRect ? rect.top - pageRect.top : 0,
+        documentX: rect.left + window.scrollX,
+        documentY: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height,
+      };
+    };
+    
+    const outline = [];
+    const titledHeadings = new Set();
+    document.querySelectorAll('h1, h2, h3, .resume-section').forEach((el) => {
+      if (titledHeadings.has(el)) return;
+      if (el.closest('.page-running-header, .page-running-footer, [data-outline="false"]')) return;
+      
+      let title = '';
+      let level = 2;
+      if (el.matches('.resume-section')) {
+        // Continuation chunks of a split section have no heading and are skipped
+        const heading = el.querySelector('h1, h2, h3, h4, h5, h6');
+        title = normalizeText(el.dataset.outlineTitle || (heading && heading.textContent));
+        if (heading) {
+          titledHeadings.add(heading);
+          level = /^H[1-3]$/.test(heading.tagName) ? Number(heading.tagName[1]) : 2;
+        }
+      } else {
+        title = normalizeText(el.textContent);
+        level = Number(el.tagName[1]);
+      }
+      
+      if (!title) return;
+      outline.push({ title: title.slice(0, 200), level, box: boxOf(el.getBoundingClientRect(), el) });
+    });
+    
+    const links = [];
+    document.querySelectorAll('a[href]').forEach((anchor) => {
+      const raw = anchor.getAttribute('href').trim();
+      if (/^[^\s@/:]+@[^\s@/]+\.[^\s@/]+$/.test(raw)) {
+        anchor.setAttribute('href', `mailto:${raw}`);
+      } else if (/^(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/i.test(raw)) {
+        anchor.setAttribute('href', `https://${raw}`);
+      }
+      
+      if (!/^(https?|mailto|tel):/i.test(anchor.href)) return;
+      const boxes = Array.from(anchor.getClientRects())
+        .filter((rect) => rect.width > 0 && rect.height > 0)
+        .map((rect) => boxOf(rect, anchor));
+      if (boxes.length > 0) {
+        links.push({ href: anchor.href, boxes });
+      }
+    });
+    
+    const firstHeading = document.querySelector('.resume-container h1, .export-page h1, h1');
+    
+    return {
+      exportPageCount: exportPages.length,
+      outline,
+      links,
+      documentTitle: normalizeText(document.title),
+      candidateName: normalizeText(firstHeading && firstHeading.textContent),
+    };
+  });
+}
+
+// Borrow a pooled page, load the HTML and wait for fonts, then hand the page
+// to `callback`. The browser context is always released afterwards.
+// Everything, from borrowing the browser to the callback's last step, runs
+// under one deadline of `options.timeoutMs`, also ended by `options.signal`
+// (the client disconnecting). Expiry closes the browser context so pending
+// Puppeteer calls fail, and rejects with an error naming the current stage.
+async function withPreparedPage(renderer, options, onStage, callback) {
+  const {
+    html,
+    pageSize,
+    pageDimensions: dimensions,
+    pagePaddingMm: resolvedPagePaddingMm,
+    requiredFonts,
+    strictFonts,
+  } = options;
+  let lease = null;
+  let page = null;
+  let failed = false;
+  let stage = null;
+  
+  const deadline = createDeadline({
+    timeoutMs: options.timeoutMs || renderer.renderTimeoutMs,
+    signal: options.signal,
+    currentStage: () => stage,
+  });
+  deadline.onExpire((error) => {
+    renderer.logger.warn(`[PDF Service] ${error.message}; closing the browser context`);
+    if (lease) {
+      lease.release({ failed: true });
+    }
+  });
+  const enterStage = (name) => {
+    deadline.throwIfExpired();
+    stage = name;
+    onStage(name);
+  };
+  
+  const run = async () => {
+    try {
+      // Borrow an isolated context from a warm pooled browser
+      enterStage('launching');
+      lease = await renderer.browserPool.acquire();
+      deadline.throwIfExpired();
+      page = lease.page;
+      
+      // Set viewport to match page width (important for accurate text wrapping)
+      // Keep viewport math aligned with app pdf-generator.ts and smart-page-splitter.ts.
+      const horizontalPadding =
+        (resolvedPagePaddingMm.left + resolvedPagePaddingMm.right) * 2;
+      const verticalPadding = resolvedPagePaddingMm.top + resolvedPagePaddingMm.bottom;
+      const pageWidthPx = ((dimensions.width - horizontalPadding) * 3.779);
+      const pageHeightPx = ((dimensions.height - verticalPadding) * 3.779);
+      
+      renderer.logger.log('[PDF Service] Setting viewport size:', {
+        pageSize,
+        dimensions,
+        pageWidthPx: Math.round(pageWidthPx),
+        pageHeightPx: Math.round(pageHeightPx),
+      });
+      
+      await page.setViewport({
+        width: Math.round(pageWidthPx),
+        height: Math.round(pageHeightPx),
+      });
+      
+      // Every request the HTML makes goes through the network policy
+      const networkReport = await applyNetworkPolicy(page, { policy: renderer.networkPolicy, assets: renderer.assetRegistry });
+      
+      // Set content - wait for network to be idle to ensure fonts are loaded
+      enterStage('loading-content');
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+      
+      // Wait for the faces the template needs - this is critical for accurate measurements
+      enterStage('loading-fonts');
+      const fontCss = renderer.fontRegistry.fontFaceCss(requiredFonts.map((face) => face.family));
+      if (fontCss) {
+        await page.addStyleTag({ content: fontCss });
+      }
+      
+      const fontLoadResult = await page.evaluate(async (faces, timeoutMs) => {
+        const results = {
+          fontsReady: false,
+          loadedFonts: [],
+          missingFonts: [],
+        };
+        
+        const familyOf = (font) => font.family.replace(/^['"]|['"]$/g, '').toLowerCase();
+        const parseWeight = (value) => (value === 'bold' ? 700 : value === 'normal' ? 400 : parseInt(value, 10));
+        // Variable fonts report a weight range such as "100 900"
+        const coversWeight = (font, weight) => {
+          const [min, max = min] = String(font.weight).split(/\s+/).map(parseWeight);
+          return weight >= min && weight <= max;
+        };
+        const coversStyle = (font, style) => (style === 'italic' ? /^(italic|oblique)/.test(font.style) : font.style === 'normal');
+        
+        if (!document.fonts) {
+          results.missingFonts = faces;
+          return results;
+        }
+        
+        // Request every required face and wait for them, bounded by a timeout
+        // rather than fixed sleeps
+        const loads = Promise.all(faces.map((face) =>
+          document.fonts.load(`${face.style} ${face.weight} 16px "${face.family}"`).catch(() => [])
+        )).then(() => document.fonts.ready);
+        let timer;
+        results.fontsReady = await Promise.race([
+          loads.then(() => true),
+          new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); }),
+        ]);
+        clearTimeout(timer);
+        
+        const loaded = [];
+        document.fonts.forEach((font) => {
+          if (font.status === 'loaded') {
+            loaded.push(font);
+            results.loadedFonts.push(`${font.family} ${font.weight} ${font.style}`);
+          }
+        });
+        results.missingFonts = faces.filter((face) => !loaded.some((font) =>
+          familyOf(font) === face.family.toLowerCase() && coversWeight(font, face.weight) && coversStyle(font, face.style)
+        ));
+        
+        // Force a reflow so measurements use the loaded faces
+        void document.body.offsetHeight;
+        
+        return results;
+      }, requiredFonts, renderer.fontLoadTimeoutMs);
+      
+      renderer.logger.log('[PDF Service] Font loading status:', fontLoadResult);
+      if (fontLoadResult.missingFonts.length > 0) {
+        if (strictFonts) {
+          throw new MissingFontsError(fontLoadResult.missingFonts);
+        }
+        renderer.logger.warn('[PDF Service] Printing with fallback fonts, missing:', fontLoadResult.missingFonts);
+      }
+      
+      if (networkReport.blockedCount > 0) {
+        renderer.logger.warn(`[PDF Service] Blocked ${networkReport.blockedCount} outbound requests:`, networkReport.blocked);
+      }
+      
+      return await callback(page, { fontLoadResult, networkReport, enterStage });
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      // Always hand the context back so the pooled browser can be reused or recycled
+      if (lease) {
+        await lease.release({ failed });
+      }
+    }
+  };
+  
+  try {
+    return await deadline.race(run());
+  } finally {
+    deadline.clear();
+  }
+}
+
+// Keep a pristine copy of the resume DOM so pagination can be re-run from scratch
+async function snapshotResumeDom(page) {
+  await page.evaluate(() => {
+    const container = document.querySelector('.resume-container');
+    if (!container) return;
+    const exportRoot = container.closest('.tiptap-editor-container') || container;
+    window.__resumePdfPristine = exportRoot.cloneNode(true);
+  });
+}
+
+// Swap the paginated pages back out for a fresh copy of the snapshot
+async function restoreResumeDom(page) {
+  await page.evaluate(() => {
+    const pristine = window.__resumePdfPristine;
+    const pagesContainer = document.querySelector('.pages-container.export-pages-container');
+    if (!pristine || !pagesContainer || !pagesContainer.parentElement) return;
+    pagesContainer.parentElement.replaceChild(pristine.cloneNode(true), pagesContainer);
+  });
+}
+
+// Tighten the resume in place: font size by `scale`, line-height by
+// `lineHeight` and vertical margins/paddings by `spacing`, all relative to the
+// current computed styles. Values are written as inline px so every block
+// keeps its proportions when it is cloned onto a page.
+async function applyFitTightening(page, { scale, lineHeight, spacing }) {
+  await page.evaluate(({ scale, lineHeight, spacing }) => {
+    const container = document.querySelector('.resume-container');
+    if (!container) return;
+    
+    const elements = [container, ...container.querySelectorAll('*')];
+    // Read everything before writing, otherwise children would inherit already-scaled values
+    const computed = elements.map((el) => {
+      const style = window.getComputedStyle(el);
+      const fontSize = parseFloat(style.fontSize) || 16;
+      return {
+        fontSize,
+        lineHeight: style.lineHeight === 'normal' ? fontSize * 1.2 : parseFloat(style.lineHeight),
+        marginTop: parseFloat(style.marginTop) || 0,
+        marginBottom: parseFloat(style.marginBottom) || 0,
+        paddingTop: parseFloat(style.paddingTop) || 0,
+        paddingBottom: parseFloat(style.paddingBottom) || 0,
+      };
+    });
+    
+    elements.forEach((el, index) => {
+      const values = computed[index];
+      el.style.fontSize = `${values.fontSize * scale}px`;
+      if (Number.isFinite(values.lineHeight)) {
+        el.style.lineHeight = `${values.lineHeight * scale * lineHeight}px`;
+      }
+      for (const property of ['marginTop', 'marginBottom', 'paddingTop', 'paddingBottom']) {
+        if (values[property] > 0) {
+          el.style[property] = `${values[property] * spacing}px`;
+        }
+      }
+    });
+  }, { scale, lineHeight, spacing });
+}
+
+// Factors for a point between 0 (untouched) and 1 (fully tightened)
+function fitFactorsForProgress(progress, bounds) {
+  const ramp = (start) => Math.min(Math.max((progress - start) * 2, 0), 1);
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    spacing: round(1 - (1 - bounds.minSpacing) * ramp(0)),
+    lineHeight: round(1 - (1 - bounds.minLineHeight) * ramp(0.25)),
+    scale: round(1 - (1 - bounds.minScale) * ramp(0.5)),
+  };
+}
+
+// Re-run pagination with progressively tighter styles until the page count
+// reaches the target. When the bounds run out, the attempt with the fewest
+// pages wins and the result carries a warning instead of failing the render.
+async function paginateToFit(renderer, page, fitToPages, paginate) {
+  const target = fitToPages.pages;
+  let best = null;
+  let layout = null;
+  
+  await snapshotResumeDom(page);
+  
+  for (let step = 0; step <= FIT_STEPS; step++) {
+    const factors = fitFactorsForProgress(step / FIT_STEPS, fitToPages);
+    if (step > 0) {
+      await restoreResumeDom(page);
+      await applyFitTightening(page, factors);
+    }
+    
+    layout = await paginate();
+    
+    if (!layout.paginated || layout.prePaginated) {
+      return {
+        ...layout,
+        fit: {
+          target,
+          met: layout.pageCount <= target,
+          ...factors,
+          attempts: 1,
+          warning: 'fitToPages is not applied to pre-paginated or unpaginated input',
+        },
+      };
+    }
+    
+    if (!best || layout.pageCount < best.pageCount) {
+      best = { step, factors, pageCount: layout.pageCount };
+    }
+    
+    if (layout.pageCount <= target) {
+      renderer.logger.log('[PDF Service] Fit to pages reached target:', { target, step, ...factors });
+      return { ...layout, fit: { target, met: true, ...factors, attempts: step + 1 } };
+    }
+  }
+  
+  // The DOM holds the last (tightest) attempt; rebuild the best one if it was earlier
+  if (best.step !== FIT_STEPS) {
+    await restoreResumeDom(page);
+    if (best.step > 0) {
+      await applyFitTightening(page, best.factors);
+    }
+    layout = await paginate();
+  }
+  
+  const warning = `Could not fit into ${target} page(s) within the configured bounds; best result has ${layout.pageCount} pages`;
+  renderer.logger.warn('[PDF Service]', warning, best.factors);
+  
+  return {
+    ...layout,
+    fit: { target, met: false, ...best.factors, attempts: FIT_STEPS + 1, warning },
+  };
+}
+
+// Let the page settle, then split it into fixed-size pages. Resolves with the layout.
+async function paginateForPageMode(renderer, page, options, onStage) {
+  const { pageDimensions, templateId, pagePaddingMm: resolvedPagePaddingMm, headerFooter, breakRules } = options;
+  
+  // Wait additional time for content to fully render and stabilize
+  await new Promise(resolve => setTimeout(resolve, 200));
+  
+  // Force a final reflow to ensure all measurements are accurate
+  await page.evaluate(() => {
+    void document.body.offsetHeight;
+    const container = document.querySelector('.resume-container');
+    if (container) {
+      void container.offsetHeight;
+      const sections = document.querySelectorAll('.resume-section');
+      sections.forEach(section => {
+        void section.offsetHeight;
+        const items = section.querySelectorAll('.experience-item, .education-item, .project-item, .certificate-item, .skill-item');
+        items.forEach(item => {
+          void item.offsetHeight;
+        });
+      });
+    }
+  });
+  
+  // Wait one more time after forcing reflow
+  await new Promise(resolve => setTimeout(resolve, 100));
+  
+  onStage('paginating');
+  const paginate = () => applyPreviewPaginationBreaks(
+    page,
+    pageDimensions,
+    templateId,
+    resolvedPagePaddingMm,
+    { headerFooter, breakRules },
+  );
+  
+  if (options.fitToPages) {
+    return paginateToFit(renderer, page, options.fitToPages, paginate);
+  }
+  return paginate();
+}
+
+// The layout report for the page as it is about to be printed in `viewMode`
+async function checkLayout(renderer, page, options, layout, viewMode) {
+  const { pageDimensions, marginMm } = options;
+  const report = await collectLayoutReport(page, {
+    layout,
+    pageWidthPx: mmToPx(pageDimensions.width),
+    pageHeightPx: mmToPx(pageDimensions.height),
+    printWidthPx: viewMode === 'continuous'
+      ? Math.round(mmToPx(pageDimensions.width - marginMm.left - marginMm.right))
+      : null,
+  });
+  if (!report.clean) {
+    renderer.logger.warn('[PDF Service] Layout report:', summarizeLayoutReport(report));
+  }
+  return report;
+}
+
+// Run the full render pipeline and resolve with { buffer, pageCount, fit, report, ats, warnings, network }.
+// `onStage` is called as the render moves through launching, loading-fonts,
+// paginating/measuring, printing and (with atsCheck) checking-text.
+async function renderPdf(renderer, options, onStage = () => {}) {
+  const {
+    html,
+    templateId,
+    viewMode,
+    pageSize,
+    orientation,
+    pageDimensions: dimensions,
+    marginMm: resolvedMarginMm,
+    pagePaddingMm: resolvedPagePaddingMm,
+  } = options;
+  
+  renderer.logger.log('[PDF Service] Starting PDF generation:', {
+    templateId,
+    viewMode,
+    pageSize,
+    orientation,
+    marginMm: resolvedMarginMm,
+    pagePaddingMm: resolvedPagePaddingMm,
+    htmlLength: html.length,
+  });
+  
+  return withPreparedPage(renderer, options, onStage, async (page, { fontLoadResult, networkReport, enterStage }) => {
+    let pdfOptions;
+    let layout = null;
+    let continuous = null;
+    let printedViewMode = viewMode;
+    const warnings = [];
+    if (fontLoadResult.missingFonts.length > 0) {
+      warnings.push(`Fallback fonts used for ${fontLoadResult.missingFonts.map((face) => `${face.family} ${face.weight} ${face.style}`).join(', ')}`);
+    }
+    
+    const margin = {
+      top: `${resolvedMarginMm.top}mm`,
+      right: `${resolvedMarginMm.right}mm`,
+      bottom: `${resolvedMarginMm.bottom}mm`,
+      left: `${resolvedMarginMm.left}mm`,
+    };
+    
+    if (viewMode === 'continuous') {
+      // Continuous scroll mode: one page as tall as the content
+      await new Promise(resolve => setTimeout(resolve, 200));
+      enterStage('measuring');
+      renderer.logger.log('[PDF Service] Measuring content height for continuous mode...');
+      continuous = await planContinuousPage(renderer, page, options);
+      
+      renderer.logger.log('[PDF Service] Continuous mode PDF options:', {
+        contentHeightPx: continuous.contentHeightPx,
+        heightMm: continuous.heightMm,
+        maxHeightMm: continuous.maxHeightMm,
+        pageWidth: dimensions.width,
+        pageSize,
+      });
+      
+      if (continuous.tooTall) {
+        const warning = continuousFallbackWarning(continuous);
+        renderer.logger.warn('[PDF Service]', warning);
+        warnings.push(warning);
+        printedViewMode = 'page';
+      } else {
+        pdfOptions = {
+          width: `${dimensions.width}mm`,
+          height: `${continuous.heightMm}mm`,
+          printBackground: true,
+          margin,
+          preferCSSPageSize: false,
+        };
+      }
+    }
+    
+    if (printedViewMode === 'page') {
+      // Page view mode: Use selected page size with page breaks
+      layout = await paginateForPageMode(renderer, page, options, enterStage);
+      if (layout.fit && layout.fit.warning) {
+        warnings.push(layout.fit.warning);
+      }
+      
+      // preferCSSPageSize lets the document's @page rules win, so pin the size
+      // there too; otherwise a template's `@page { size: A4 }` would override it.
+      await page.addStyleTag({
+        content: `@page { size: ${dimensions.width}mm ${dimensions.height}mm; }`,
+      });
+      
+      pdfOptions = {
+        width: `${dimensions.width}mm`,
+        height: `${dimensions.height}mm`,
+        printBackground: true,
+        margin,
+        preferCSSPageSize: true,
+      };
+    }
+    
+    // Content the PDF would clip fails the render when failOnOverflow is set
+    const report = await checkLayout(renderer, page, options, layout, printedViewMode);
+    if (options.failOnOverflow && report.truncated) {
+      throw new LayoutOverflowError(report);
+    }
+    
+    const anchors = await collectDocumentAnchors(page);
+    // The text the PDF should contain, for the ATS check
+    const atsExpectations = options.atsCheck ? await collectAtsExpectations(page) : null;
+    
+    // Generate PDF (bounded by the render deadline)
+    enterStage('printing');
+    let pdfBuffer = await page.pdf(pdfOptions);
+    
+    if (printedViewMode === 'continuous') {
+      // The measurement should give exactly one page; if Chromium still broke
+      // the content, print once more with room for everything that spilled
+      let printedPages = await countPdfPages(pdfBuffer);
+      continuous.attempts = 1;
+      if (printedPages > 1) {
+        const contentAreaMm = continuous.heightMm - resolvedMarginMm.top - resolvedMarginMm.bottom;
+        const correctedHeightMm = Math.min(
+          Math.round((continuous.heightMm + (printedPages - 1) * contentAreaMm) * 100) / 100,
+          continuous.maxHeightMm
+        );
+        renderer.logger.warn(`[PDF Service] Continuous PDF printed as ${printedPages} pages at ${continuous.heightMm}mm; re-printing at ${correctedHeightMm}mm`);
+        pdfBuffer = await page.pdf({ ...pdfOptions, height: `${correctedHeightMm}mm` });
+        continuous.heightMm = correctedHeightMm;
+        continuous.attempts = 2;
+        printedPages = await countPdfPages(pdfBuffer);
+        if (printedPages > 1) {
+          warnings.push(`Continuous PDF spans ${printedPages} pages even at ${correctedHeightMm}mm`);
+        }
+      }
+      continuous.singlePage = printedPages === 1;
+    }
+    
+    // Write title/author/keywords, bookmarks and any missing link annotations
+    const candidateName = options.candidateName || anchors.candidateName;
+    const finalized = await finalizePdfDocument(pdfBuffer, {
+      metadata: {
+        ...options.metadata,
+        title: options.metadata.title || anchors.documentTitle || (candidateName ? `${candidateName} – Resume` : 'Resume'),
+        author: options.metadata.author || candidateName || undefined,
+        creator: 'resume-pdf-service',
+        producer: 'resume-pdf-service (Chromium, pdf-lib)',
+      },
+      anchors,
+      marginMm: resolvedMarginMm,
+      outline: options.outline,
+    });
+    
+    renderer.logger.log('[PDF Service] PDF generated successfully', {
+      outlineEntries: finalized.outlineEntries,
+      links: anchors.links.length,
+      addedLinkAnnotations: finalized.addedLinks,
+    });
+    
+    let ats = null;
+    if (atsExpectations) {
+      enterStage('checking-text');
+      ats = await checkAtsReadability(finalized.buffer, atsExpectations);
+      renderer.logger.log('[PDF Service] ATS check:', summarizeAtsCheck(ats));
+    }
+    
+    return {
+      buffer: finalized.buffer,
+      pageCount: finalized.pageCount,
+      // 'page' when continuous content was too tall and was paginated instead
+      viewMode: printedViewMode,
+      continuous: continuous && {
+        heightMm: continuous.heightMm,
+        maxHeightMm: continuous.maxHeightMm,
+        fellBack: continuous.tooTall,
+        attempts: continuous.attempts || 0,
+        singlePage: continuous.singlePage ?? false,
+      },
+      fit: layout ? layout.fit || null : null,
+      report,
+      ats,
+      warnings,
+      network: networkReport,
+    };
+  });
+}
+
+// Run the same font loading and pagination as renderPdf, but return the page
+// layout as JSON instead of printing.
+async function renderLayout(renderer, options, onStage = () => {}) {
+  const { templateId, viewMode, pageSize, orientation, pageDimensions, html } = options;
+  
+  renderer.logger.log('[PDF Service] Starting layout dry-run:', {
+    templateId,
+    viewMode,
+    pageSize,
+    htmlLength: html.length,
+  });
+  
+  return withPreparedPage(renderer, options, onStage, async (page, { fontLoadResult, networkReport, enterStage }) => {
+    if (viewMode === 'page') {
+      const layout = await paginateForPageMode(renderer, page, options, enterStage);
+      const report = await checkLayout(renderer, page, options, layout, viewMode);
+      return { viewMode, pageSize, orientation, pageDimensions, ...layout, report, fonts: fontLoadResult, network: networkReport };
+    }
+    
+    // Continuous mode prints a single page sized to the content, unless that
+    // is taller than the limit and it falls back to page mode
+    await new Promise(resolve => setTimeout(resolve, 200));
+    enterStage('measuring');
+    const plan = await planContinuousPage(renderer, page, options);
+    if (plan.tooTall) {
+      const layout = await paginateForPageMode(renderer, page, options, enterStage);
+      const report = await checkLayout(renderer, page, options, layout, 'page');
+      return {
+        viewMode: 'page',
+        requestedViewMode: viewMode,
+        pageSize,
+        orientation,
+        pageDimensions,
+        ...layout,
+        heightMm: plan.heightMm,
+        maxHeightMm: plan.maxHeightMm,
+        warnings: [continuousFallbackWarning(plan)],
+        report,
+        fonts: fontLoadResult,
+        network: networkReport,
+      };
+    }
+    return {
+      viewMode,
+      pageSize,
+      orientation,
+      pageDimensions,
+      pageCount: 1,
+      contentHeightPx: plan.contentHeightPx,
+      heightMm: plan.heightMm,
+      maxHeightMm: plan.maxHeightMm,
+      report: await checkLayout(renderer, page, options, null, viewMode),
+      fonts: fontLoadResult,
+      network: networkReport,
+    };
+  });
+}
+
+// Screenshot every paginated page (or the whole document in continuous mode).
+// Resolves with { images: [{ pageNumber, contentType, buffer }], network }.
+async function renderImages(renderer, options, imageOptions, onStage = () => {}) {
+  const { templateId, viewMode, pageSize, html } = options;
+  const { format, dpi, quality } = imageOptions;
+  
+  renderer.logger.log('[PDF Service] Starting image rendering:', {
+    templateId,
+    viewMode,
+    pageSize,
+    format,
+    dpi,
+    htmlLength: html.length,
+  });
+  
+  return withPreparedPage(renderer, options, onStage, async (page, { networkReport, enterStage }) => {
+    if (viewMode === 'page') {
+      await paginateForPageMode(renderer, page, options, enterStage);
+    } else {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    
+    // Raise the device scale factor only after layout so text wrapping matches the PDF
+    enterStage('capturing');
+    await page.setViewport({ ...page.viewport(), deviceScaleFactor: dpi / 96 });
+    
+    const screenshotOptions = {
+      type: format,
+      quality: format === 'png' ? undefined : quality,
+      omitBackground: false,
+    };
+    const contentType = `image/${format}`;
+    
+    const pageHandles = await page.$$('.pages-container .export-page');
+    if (pageHandles.length === 0) {
+      const buffer = await page.screenshot({ ...screenshotOptions, fullPage: true });
+      return { images: [{ pageNumber: 1, contentType, buffer: Buffer.from(buffer) }], network: networkReport };
+    }
+    
+    const images = [];
+    for (let index = 0; index < pageHandles.length; index++) {
+      const buffer = await pageHandles[index].screenshot(screenshotOptions);
+      images.push({ pageNumber: index + 1, contentType, buffer: Buffer.from(buffer) });
+    }
+    
+    renderer.logger.log('[PDF Service] Captured page images:', { count: images.length, format, dpi });
+    
+    return { images, network: networkReport };
+  });
+}
+
+// Parts whose running header or footer shows {{totalPages}}
+const showsTotalPages = (headerFooter) => !!headerFooter
+  && [headerFooter.header, headerFooter.footer].some((strip) => strip && /\{\{\s*totalPages\s*\}\}/.test(strip.template));
+
+// Render the parts of a bundle in order and merge them with the uploaded PDFs
+// into one. Running headers and footers number pages across the bundle: each
+// part continues from the pages before it, and parts that show {{totalPages}}
+// are printed again once the total is known. All of it, second prints
+// included, runs under one deadline of `options.timeoutMs`. Resolves with {
+// buffer, pageCount, parts: [{ title, source, startPage, pageCount, viewMode,
+// warnings, report, ats }], warnings, network: { blockedCount } }.
+async function renderBundle(renderer, options, onStage = () => {}) {
+  const { parts, metadata, outline, signal } = options;
+  const timeoutMs = options.timeoutMs || renderer.renderTimeoutMs;
+  
+  renderer.logger.log('[PDF Service] Starting bundle generation:', {
+    parts: parts.map((part) => part.source),
+    timeoutMs,
+  });
+  
+  let stage = null;
+  const enterStage = (name) => {
+    stage = name;
+    onStage(name);
+  };
+  const deadline = createDeadline({ timeoutMs, signal, currentStage: () => stage });
+  const expiresAt = Date.now() + timeoutMs;
+  
+  // Each part gets what is left of the bundle's deadline, or its own timeoutMs if that is shorter
+  const renderPart = async (part, pageNumberOffset, totalPages) => {
+    deadline.throwIfExpired();
+    const remainingMs = Math.max(1, expiresAt - Date.now());
+    const partTimeoutMs = Math.min(part.options.timeoutMs || timeoutMs, remainingMs);
+    try {
+      return await renderPdf(renderer, {
+        ...part.options,
+        signal,
+        timeoutMs: partTimeoutMs,
+        headerFooter: part.options.headerFooter && { ...part.options.headerFooter, pageNumberOffset, totalPages },
+      }, enterStage);
+    } catch (error) {
+      // Name the bundle's deadline, not the part's share of it
+      if (error instanceof RenderTimeoutError && partTimeoutMs === remainingMs) {
+        throw new RenderTimeoutError(error.stage, timeoutMs);
+      }
+      throw error;
+    }
+  };
+  
+  const rendered = [];
+  const warnings = [];
+  // Raced against the deadline like withPreparedPage, so a slow merge (or
+  // anything between the parts' own deadlines) can't outlive the bundle's
+  const run = async () => {
+    let pageCount = 0;
+    for (const part of parts) {
+      const startPage = pageCount + 1;
+      if (part.source === 'pdf') {
+        rendered.push({ part, startPage, pageCount: part.pageCount, buffer: part.buffer, result: null });
+      } else {
+        const result = await renderPart(part, pageCount, null);
+        rendered.push({ part, startPage, pageCount: result.pageCount, buffer: result.buffer, result });
+      }
+      pageCount += rendered[rendered.length - 1].pageCount;
+    }
+    
+    for (const entry of rendered) {
+      if (!entry.result || entry.result.viewMode !== 'page' || !showsTotalPages(entry.part.options.headerFooter)) continue;
+      const result = await renderPart(entry.part, entry.startPage - 1, pageCount);
+      if (result.pageCount !== entry.pageCount) {
+        warnings.push(`Part ${rendered.indexOf(entry) + 1} printed as ${result.pageCount} pages instead of ${entry.pageCount} with the bundle's page total; later page numbers may be off`);
+      }
+      entry.result = result;
+      entry.buffer = result.buffer;
+    }
+    
+    deadline.throwIfExpired();
+    enterStage('merging');
+    return mergePdfDocuments(
+      rendered.map((entry) => ({ title: entry.part.title, buffer: entry.buffer })),
+      {
+        metadata: {
+          ...metadata,
+          creator: 'resume-pdf-service',
+          producer: 'resume-pdf-service (Chromium, pdf-lib)',
+        },
+        outline,
+      }
+    );
+  };
+  
+  let merged;
+  try {
+    merged = await deadline.race(run());
+  } finally {
+    deadline.clear();
+  }
+  
+  const partResults = rendered.map((entry, index) => ({
+    ...merged.parts[index],
+    source: entry.part.source,
+    viewMode: entry.result ? entry.result.viewMode : null,
+    warnings: entry.result ? entry.result.warnings : [],
+    report: entry.result ? entry.result.report : null,
+    ats: entry.result ? entry.result.ats : null,
+  }));
+  // Titles are left out: warnings end up in a response header
+  partResults.forEach((part, index) => {
+    warnings.push(...part.warnings.map((warning) => `Part ${index + 1}: ${warning}`));
+  });
+  
+  renderer.logger.log('[PDF Service] Bundle generated successfully', {
+    pageCount: merged.pageCount,
+    parts: partResults.map((part) => `${part.startPage}-${part.startPage + part.pageCount - 1}`),
+  });
+  
+  return {
+    buffer: merged.buffer,
+    pageCount: merged.pageCount,
+    parts: partResults,
+    warnings,
+    network: {
+      blockedCount: rendered.reduce((sum, entry) => sum + (entry.result ? entry.result.network.blockedCount : 0), 0),
+    },
+  };
+}
+
+// A renderer bundles what the render pipeline needs: a browser pool, the font
+// registry, the network policy and local assets, and the timeouts. Anything
+// not passed in is created from the environment, as the HTTP service does.
+// `logger` (default console) receives the pipeline's log, warn and error calls.
+// The pool launches browsers on first use; call close() when done.
+function createRenderer(options = {}) {
+  const renderTimeoutMs = options.renderTimeoutMs || parseInt(process.env.RENDER_TIMEOUT_MS, 10) || 60000;
+  const logger = options.logger || console;
+  const renderer = {
+    logger,
+    browserPool: options.browserPool || createBrowserPool({ logger, ...options.browserPoolOptions }),
+    fontRegistry: options.fontRegistry || createFontRegistry({ logger }),
+    networkPolicy: options.networkPolicy || createNetworkPolicy(),
+    assetRegistry: options.assetRegistry || createAssetRegistry(),
+    fontLoadTimeoutMs: options.fontLoadTimeoutMs || parseInt(process.env.FONT_LOAD_TIMEOUT_MS, 10) || 5000,
+    renderTimeoutMs,
+    // Taller continuous content is rendered in page mode instead
+    continuousMaxHeightMm: Math.min(
+      options.continuousMaxHeightMm || parseFloat(process.env.CONTINUOUS_MAX_HEIGHT_MM) || CONTINUOUS_MAX_HEIGHT_MM,
+      CONTINUOUS_MAX_HEIGHT_MM
+    ),
+    // Requests may ask for a different `timeoutMs`, up to this
+    renderTimeoutMaxMs: Math.max(
+      options.renderTimeoutMaxMs || parseInt(process.env.RENDER_TIMEOUT_MAX_MS, 10) || 120000,
+      renderTimeoutMs
+    ),
+  };
+  
+  return {
+    ...renderer,
+    // The POST /render body schema, as published in /openapi.json
+    requestSchema: renderRequestSchema(renderer),
+    // The POST /render/bundle body schema
+    bundleRequestSchema: bundleRequestSchema(renderer),
+    resolveRenderRequest: (body, extraProperties) => resolveRenderRequest(renderer, body, extraProperties),
+    resolveBundleRequest: (body, bundleOptions) => resolveBundleRequest(renderer, body, bundleOptions),
+    renderPdf: (renderOptions, onStage) => renderPdf(renderer, renderOptions, onStage),
+    renderLayout: (renderOptions, onStage) => renderLayout(renderer, renderOptions, onStage),
+    renderImages: (renderOptions, imageOptions, onStage) => renderImages(renderer, renderOptions, imageOptions, onStage),
+    renderBundle: (bundleOptions, onStage) => renderBundle(renderer, bundleOptions, onStage),
+    close: () => renderer.browserPool.destroy(),
+  };
+}
+
+// Thrown by renderResumePdf when the request is invalid; `details` lists
+// { path, message } entries when the problem is in a field
+class RenderRequestError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'RenderRequestError';
+    this.details = details || [];
+  }
+}
+
+let defaultRenderer = null;
+
+// Render a PDF without going through HTTP. `request` takes the same fields as
+// the POST /render body (html or resume, previewViewMode, previewPageSize,
+// marginMm, pagePaddingMm, ...). Resolves with { buffer, pageCount, fit,
+// report, ats, warnings, network }. Pass `renderer` to use your own, otherwise a shared one
+// is created on first use and stays up until closeRenderer().
+async function renderResumePdf(request, { renderer, onStage, signal } = {}) {
+  if (!renderer) {
+    defaultRenderer = defaultRenderer || createRenderer();
+    renderer = defaultRenderer;
+  }
+  const { error, message, details, options } = renderer.resolveRenderRequest(request);
+  if (error) {
+    throw new RenderRequestError(message || error, details);
+  }
+  return renderer.renderPdf({ ...options, signal }, onStage);
+}
+
+// Shut down the shared renderer's browsers so the process can exit
+async function closeRenderer() {
+  if (defaultRenderer) {
+    const renderer = defaultRenderer;
+    defaultRenderer = null;
+    await renderer.close();
+  }
+}
+
+module.exports = {
+  PAGE_SIZES,
+  getPageDimensions,
+  measureContentHeight,
+  applyPreviewPaginationBreaks,
+  createRenderer,
+  renderResumePdf,
+  closeRenderer,
+  RenderRequestError,
+  LayoutOverflowError,
+};
@@ -0,0 +1,97 @@
+// Schema for resumes in the JSON Resume format (https://jsonresume.org/schema),
+// checked as part of the render request schema. Unknown properties are allowed,
+// as in the upstream schema; known ones must have the right type.
+
+const DATE_PATTERN = /^([1-2][0-9]{3}-[0-1][0-9]-[0-3][0-9]|[1-2][0-9]{3}-[0-1][0-9]|[1-2][0-9]{3})$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_ITEMS = 100;
+const MAX_STRING_LENGTH = 20000;
+
+const string = { type: 'string', maxLength: MAX_STRING_LENGTH };
+const date = { ...string, pattern: DATE_PATTERN, message: 'expected a date as YYYY, YYYY-MM or YYYY-MM-DD' };
+const stringList = { type: 'array', maxItems: MAX_ITEMS, items: string };
+const list = (properties) => ({ type: 'array', maxItems: MAX_ITEMS, items: { type: 'object', properties } });
+
+const RESUME_SCHEMA = {
+  type: 'object',
+  required: ['basics'],
+  properties: {
+    basics: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { ...string, minLength: 1 },
+        label: string,
+        image: string,
+        email: { ...string, pattern: EMAIL_PATTERN, message: 'expected an email address' },
+        phone: string,
+        url: string,
+        summary: string,
+        location: {
+          type: 'object',
+          properties: {
+            address: string,
+            postalCode: string,
+            city: string,
+            countryCode: string,
+            region: string,
+          },
+        },
+        profiles: list({ network: string, username: string, url: string }),
+      },
+    },
+    work: list({
+      name: string,
+      location: string,
+      description: string,
+      position: string,
+      url: string,
+      startDate: date,
+      endDate: date,
+      summary: string,
+      highlights: stringList,
+    }),
+    volunteer: list({
+      organization: string,
+      position: string,
+      url: string,
+      startDate: date,
+      endDate: date,
+      summary: string,
+      highlights: stringList,
+    }),
+    education: list({
+      institution: string,
+      url: string,
+      area: string,
+      studyType: string,
+      startDate: date,
+      endDate: date,
+      score: string,
+      courses: stringList,
+    }),
+    awards: list({ title: string, date, awarder: string, summary: string }),
+    certificates: list({ name: string, date, url: string, issuer: string }),
+    publications: list({ name: string, publisher: string, releaseDate: date, url: string, summary: string }),
+    skills: list({ name: string, level: string, keywords: stringList }),
+    languages: list({ language: string, fluency: string }),
+    interests: list({ name: string, keywords: stringList }),
+    references: list({ name: string, reference: string }),
+    projects: list({
+      name: string,
+      description: string,
+      highlights: stringList,
+      keywords: stringList,
+      startDate: date,
+      endDate: date,
+      url: string,
+      roles: stringList,
+      entity: string,
+      type: string,
+    }),
+  },
+};
+
+module.exports = {
+  RESUME_SCHEMA,
+};
@@ -0,0 +1,141 @@
+// A small JSON Schema subset, used to validate request bodies and resumes and
+// to publish them in /openapi.json. Supported keywords: type (string, number,
+// integer, boolean, object, array), enum, minimum, maximum, minLength,
+// maxLength, pattern (a RegExp, with `message` as its error), items,
+// maxItems, minItems, properties, required, additionalProperties: false,
+// oneOf, description and default. Object properties that are null are treated
+// as absent, as the request resolvers do.
+
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+const article = (word) => (/^[aeiou]/.test(word) ? 'an' : 'a');
+const joinPath = (path, field) => (path ? `${path}.${field}` : field);
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function rangeMessage(schema) {
+  const kind = schema.type === 'integer' ? 'an integer' : 'a number';
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return `expected ${kind} between ${schema.minimum} and ${schema.maximum}`;
+  }
+  return schema.minimum !== undefined
+    ? `expected ${kind} of at least ${schema.minimum}`
+    : `expected ${kind} of at most ${schema.maximum}`;
+}
+
+function validateNode(value, schema, path, errors) {
+  if (schema.oneOf) {
+    // Report the errors of the one alternative with the right type, if there is one
+    const candidates = schema.oneOf.filter((option) => option.type === typeOf(value)
+      || (option.type === 'integer' && typeof value === 'number'));
+    if (candidates.length === 1) {
+      validateNode(value, candidates[0], path, errors);
+    } else if (!schema.oneOf.some((option) => validate(value, option, path).length === 0)) {
+      errors.push({ path, message: schema.message || `expected ${schema.oneOf.map(describe).join(' or ')}` });
+    }
+    return;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    errors.push({ path, message: `expected ${article(schema.type)} ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `expected one of ${schema.enum.join(', ')}` });
+    return;
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      errors.push({ path, message: rangeMessage(schema) });
+    }
+    return;
+  }
+
+  if (schema.type === 'string') {
+    if (schema.maxLength && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    } else if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push({ path, message: 'must not be empty' });
+    } else if (schema.pattern && value !== '' && !schema.pattern.test(value)) {
+      errors.push({ path, message: schema.message });
+    }
+    return;
+  }
+
+  if (schema.type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+      return;
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+      return;
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+    }
+    return;
+  }
+
+  if (schema.type === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null) {
+        errors.push({ path: joinPath(path, field), message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (fieldValue === undefined || fieldValue === null) continue;
+      if (properties[field]) {
+        validateNode(fieldValue, properties[field], joinPath(path, field), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, field), message: 'unknown field' });
+      }
+    }
+  }
+}
+
+// Short description of a schema for "expected ... or ..." messages
+function describe(schema) {
+  if (schema.enum) return `one of ${schema.enum.join(', ')}`;
+  if (schema.type === 'object' && schema.properties) return `{ ${Object.keys(schema.properties).join(', ')} }`;
+  return `${article(schema.type)} ${schema.type}`;
+}
+
+// Returns [{ path, message }], empty when `value` matches `schema`
+function validate(value, schema, path = '') {
+  const errors = [];
+  validateNode(value, schema, path, errors);
+  return errors;
+}
+
+// The schema as standard JSON Schema: patterns become strings and the
+// error-message helpers are dropped
+function toJsonSchema(schema) {
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'message') continue;
+    if (key === 'pattern') {
+      result.pattern = value.source;
+    } else if (key === 'properties') {
+      result.properties = Object.fromEntries(Object.entries(value).map(([field, fieldSchema]) => [field, toJsonSchema(fieldSchema)]));
+    } else if (key === 'items') {
+      result.items = toJsonSchema(value);
+    } else if (key === 'oneOf') {
+      result.oneOf = value.map(toJsonSchema);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  validate,
+  toJsonSchema,
+};
@@ -0,0 +1,75 @@
+const { escapeHtml, link, contactItems, buildSections, documentHtml } = require('./helpers');
+
+// Single column, close to the editor's default look
+const CSS = `
+.template-classic { font-family: 'Raleway', 'Helvetica Neue', Arial, sans-serif; font-size: 10.5pt; line-height: 1.4; color: #222; }
+.template-classic h1 { font-size: 22pt; font-weight: 700; margin: 0 0 2px; }
+.template-classic .resume-label { font-size: 12pt; font-weight: 500; color: #555; margin: 0 0 4px; }
+.template-classic .resume-contact { font-size: 9.5pt; color: #444; margin: 0 0 10px; }
+.template-classic .resume-contact span + span::before { content: ' · '; color: #999; }
+.template-classic h2 { font-size: 12pt; font-weight: 700; text-transform: uppercase; letter-spacing: 0.06em; border-bottom: 1px solid #222; padding-bottom: 2px; margin: 14px 0 6px; }
+.template-classic h3 { font-size: 10.5pt; font-weight: 700; margin: 0; }
+.template-classic p { margin: 0 0 4px; }
+.template-classic a { color: inherit; text-decoration: none; }
+.template-classic ul { margin: 2px 0 0; padding-left: 18px; }
+.template-classic li { margin: 0 0 2px; }
+.template-classic .resume-entry { margin: 0 0 8px; }
+.template-classic .resume-entry-header { display: flex; justify-content: space-between; gap: 12px; }
+.template-classic .resume-entry-dates { white-space: nowrap; color: #555; font-size: 9.5pt; }
+.template-classic .resume-entry-subtitle { font-style: italic; color: #444; }
+`;
+
+function renderEntry(entry) {
+  const title = entry.url ? link(entry.url, entry.title || entry.url) : escapeHtml(entry.title);
+  return [
+    '<div class="resume-entry">',
+    `<div class="resume-entry-header"><h3>${title}</h3>${entry.dates ? `<span class="resume-entry-dates">${escapeHtml(entry.dates)}</span>` : ''}</div>`,
+    entry.subtitle ? `<p class="resume-entry-subtitle">${escapeHtml(entry.subtitle)}</p>` : '',
+    entry.summary ? `<p>${escapeHtml(entry.summary)}</p>` : '',
+    entry.highlights.length > 0 ? `<ul>${entry.highlights.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '',
+    entry.keywords && entry.keywords.length > 0 ? `<p class="resume-entry-keywords">${escapeHtml(entry.keywords.join(', '))}</p>` : '',
+    '</div>',
+  ].filter(Boolean).join('\n');
+}
+
+function renderGroup(group) {
+  const detail = group.detail ? ` (${escapeHtml(group.detail)})` : '';
+  const keywords = group.keywords.length > 0 ? `: ${escapeHtml(group.keywords.join(', '))}` : '';
+  return `<p class="resume-skill"><strong>${escapeHtml(group.name)}</strong>${detail}${keywords}</p>`;
+}
+
+function render(resume) {
+  const { basics } = resume;
+  const contact = contactItems(basics);
+  const blocks = [
+    `<h1>${escapeHtml(basics.name)}</h1>`,
+    basics.label ? `<p class="resume-label">${escapeHtml(basics.label)}</p>` : '',
+    contact.length > 0 ? `<p class="resume-contact">${contact.map((item) => `<span>${item}</span>`).join('')}</p>` : '',
+    basics.summary ? `<p class="resume-summary">${escapeHtml(basics.summary)}</p>` : '',
+  ];
+
+  for (const section of buildSections(resume)) {
+    // The heading stays with the first entry of its section
+    blocks.push(`<h2 data-break-after="avoid">${escapeHtml(section.title)}</h2>`);
+    if (section.kind === 'entries') {
+      blocks.push(...section.entries.map(renderEntry));
+    } else {
+      blocks.push(...section.groups.map(renderGroup));
+    }
+  }
+
+  return documentHtml({
+    templateId: 'classic',
+    title: `${basics.name} – Resume`,
+    language: resume.meta && resume.meta.language,
+    css: CSS,
+    body: blocks.filter(Boolean).join('\n'),
+  });
+}
+
+module.exports = {
+  id: 'classic',
+  name: 'Classic',
+  description: 'Single column with ruled section headings',
+  render,
+};
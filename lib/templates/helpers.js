@@ -0,0 +1,172 @@
+// Shared building blocks for the server-side resume templates
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// "2020-03-15" / "2020-03" -> "Mar 2020", "2020" stays as is
+function formatDate(value) {
+  if (!value) return '';
+  const [year, month] = value.split('-');
+  return month ? `${MONTHS[parseInt(month, 10) - 1] || month} ${year}` : year;
+}
+
+function formatDateRange(startDate, endDate) {
+  if (!startDate && !endDate) return '';
+  if (!startDate) return formatDate(endDate);
+  return `${formatDate(startDate)} – ${endDate ? formatDate(endDate) : 'Present'}`;
+}
+
+// Only links a PDF reader can follow; bare domains become https:// links
+function safeHref(value) {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^(https?:|mailto:|tel:)/i.test(trimmed)) return trimmed;
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) return `mailto:${trimmed}`;
+  if (/^[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/i.test(trimmed)) return `https://${trimmed}`;
+  return null;
+}
+
+function link(url, text) {
+  const href = safeHref(url);
+  const label = escapeHtml(text || (url || '').replace(/^(https?:\/\/|mailto:|tel:)/i, ''));
+  return href ? `<a href="${escapeHtml(href)}">${label}</a>` : label;
+}
+
+const nonEmpty = (items) => (Array.isArray(items) ? items.filter((item) => item !== null && item !== undefined && item !== '') : []);
+
+function contactItems(basics) {
+  const location = basics.location || {};
+  const place = [location.city, location.region, location.countryCode].filter(Boolean).join(', ');
+  return [
+    basics.email ? link(`mailto:${basics.email}`, basics.email) : null,
+    basics.phone ? link(`tel:${basics.phone.replace(/[^\d+]/g, '')}`, basics.phone) : null,
+    basics.url ? link(basics.url) : null,
+    place ? escapeHtml(place) : null,
+    ...nonEmpty(basics.profiles).map((profile) =>
+      profile.url ? link(profile.url, profile.network ? `${profile.network}: ${profile.username || profile.url}` : null) : escapeHtml([profile.network, profile.username].filter(Boolean).join(': '))
+    ),
+  ].filter(Boolean);
+}
+
+// Normalize the JSON Resume sections into one shape the templates render:
+//   { key, title, kind: 'entries', entries: [{ title, subtitle, dates, url, summary, highlights, keywords }] }
+//   { key, title, kind: 'tags', groups: [{ name, detail, keywords }] }
+function buildSections(resume) {
+  const entries = (key, title, items, map) => {
+    const list = nonEmpty(items).map(map);
+    return list.length > 0 ? { key, title, kind: 'entries', entries: list } : null;
+  };
+  const tags = (key, title, items, map) => {
+    const groups = nonEmpty(items).map(map);
+    return groups.length > 0 ? { key, title, kind: 'tags', groups } : null;
+  };
+
+  return [
+    entries('work', 'Experience', resume.work, (item) => ({
+      title: item.position,
+      subtitle: [item.name, item.location].filter(Boolean).join(', '),
+      dates: formatDateRange(item.startDate, item.endDate),
+      url: item.url,
+      summary: item.summary,
+      highlights: nonEmpty(item.highlights),
+    })),
+    entries('projects', 'Projects', resume.projects, (item) => ({
+      title: item.name,
+      subtitle: [nonEmpty(item.roles).join(', '), item.entity].filter(Boolean).join(', '),
+      dates: formatDateRange(item.startDate, item.endDate),
+      url: item.url,
+      summary: item.description,
+      highlights: nonEmpty(item.highlights),
+      keywords: nonEmpty(item.keywords),
+    })),
+    entries('education', 'Education', resume.education, (item) => ({
+      title: [item.studyType, item.area].filter(Boolean).join(', ') || item.institution,
+      subtitle: item.studyType || item.area ? item.institution : '',
+      dates: formatDateRange(item.startDate, item.endDate),
+      url: item.url,
+      summary: item.score ? `Score: ${item.score}` : '',
+      highlights: nonEmpty(item.courses),
+    })),
+    entries('volunteer', 'Volunteering', resume.volunteer, (item) => ({
+      title: item.position,
+      subtitle: item.organization,
+      dates: formatDateRange(item.startDate, item.endDate),
+      url: item.url,
+      summary: item.summary,
+      highlights: nonEmpty(item.highlights),
+    })),
+    entries('awards', 'Awards', resume.awards, (item) => ({
+      title: item.title,
+      subtitle: item.awarder,
+      dates: formatDate(item.date),
+      summary: item.summary,
+      highlights: [],
+    })),
+    entries('certificates', 'Certificates', resume.certificates, (item) => ({
+      title: item.name,
+      subtitle: item.issuer,
+      dates: formatDate(item.date),
+      url: item.url,
+      highlights: [],
+    })),
+    entries('publications', 'Publications', resume.publications, (item) => ({
+      title: item.name,
+      subtitle: item.publisher,
+      dates: formatDate(item.releaseDate),
+      url: item.url,
+      summary: item.summary,
+      highlights: [],
+    })),
+    tags('skills', 'Skills', resume.skills, (item) => ({ name: item.name, detail: item.level, keywords: nonEmpty(item.keywords) })),
+    tags('languages', 'Languages', resume.languages, (item) => ({ name: item.language, detail: item.fluency, keywords: [] })),
+    tags('interests', 'Interests', resume.interests, (item) => ({ name: item.name, keywords: nonEmpty(item.keywords) })),
+    entries('references', 'References', resume.references, (item) => ({
+      title: item.name,
+      summary: item.reference,
+      highlights: [],
+    })),
+  ].filter(Boolean);
+}
+
+// A complete document in the markup the paginator expects:
+// .tiptap-editor-container > .resume-container with one block per child.
+// The template class is also on the page content wrapper, so CSS scoped to
+// it applies both before and after pagination.
+function documentHtml({ templateId, title, language, css, body }) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language || 'en')}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+html, body { margin: 0; padding: 0; background: white; }
+${css}
+</style>
+</head>
+<body>
+<div class="tiptap-editor-container">
+<div class="resume-container ProseMirror tiptap-editor preview-mode template-${templateId}">
+${body}
+</div>
+</div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  formatDate,
+  formatDateRange,
+  link,
+  contactItems,
+  buildSections,
+  documentHtml,
+};
@@ -0,0 +1,22 @@
+const classic = require('./classic');
+const modern = require('./modern');
+
+// Server-side templates for `resume` requests, keyed by templateId.
+// A template exports { id, name, description, render(resume) -> html }.
+const templates = new Map([classic, modern].map((template) => [template.id, template]));
+
+const DEFAULT_TEMPLATE_ID = 'classic';
+
+function getTemplate(templateId) {
+  return templates.get(templateId || DEFAULT_TEMPLATE_ID) || null;
+}
+
+function listTemplates() {
+  return [...templates.values()].map(({ id, name, description }) => ({ id, name, description }));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_ID,
+  getTemplate,
+  listTemplates,
+};
@@ -0,0 +1,80 @@
+const { escapeHtml, link, contactItems, buildSections, documentHtml } = require('./helpers');
+
+// Accent colour, name band and skill tags; still a single flow of blocks so
+// the paginator can break between them
+const CSS = `
+.template-modern { font-family: 'Inter', 'Helvetica Neue', Arial, sans-serif; font-size: 10pt; line-height: 1.45; color: #1f2933; }
+.template-modern h1 { font-size: 24pt; font-weight: 700; letter-spacing: -0.01em; color: #0b4f6c; margin: 0; }
+.template-modern .resume-label { font-size: 12pt; font-weight: 600; color: #3e4c59; margin: 0 0 6px; }
+.template-modern .resume-contact { display: flex; flex-wrap: wrap; gap: 4px 14px; font-size: 9pt; color: #52606d; border-bottom: 3px solid #0b4f6c; padding-bottom: 8px; margin: 0 0 12px; }
+.template-modern h2 { font-size: 11pt; font-weight: 700; color: #0b4f6c; text-transform: uppercase; letter-spacing: 0.08em; margin: 16px 0 6px; }
+.template-modern h3 { font-size: 10.5pt; font-weight: 600; margin: 0; }
+.template-modern p { margin: 0 0 4px; }
+.template-modern a { color: #0b4f6c; text-decoration: none; }
+.template-modern ul { margin: 2px 0 0; padding-left: 16px; }
+.template-modern li { margin: 0 0 2px; }
+.template-modern li::marker { color: #0b4f6c; }
+.template-modern .resume-entry { margin: 0 0 10px; padding-left: 10px; border-left: 2px solid #d9e2ec; }
+.template-modern .resume-entry-header { display: flex; justify-content: space-between; align-items: baseline; gap: 12px; }
+.template-modern .resume-entry-dates { white-space: nowrap; font-size: 9pt; color: #7b8794; }
+.template-modern .resume-entry-subtitle { color: #52606d; font-weight: 500; }
+.template-modern .resume-tags { margin: 0 0 6px; }
+.template-modern .resume-tags-name { font-weight: 600; margin-right: 6px; }
+.template-modern .resume-tag { display: inline-block; font-size: 8.5pt; background: #e6f0f5; color: #0b4f6c; border-radius: 3px; padding: 1px 6px; margin: 0 4px 3px 0; }
+`;
+
+function renderEntry(entry) {
+  const title = entry.url ? link(entry.url, entry.title || entry.url) : escapeHtml(entry.title);
+  const tags = entry.keywords && entry.keywords.length > 0
+    ? `<p>${entry.keywords.map((keyword) => `<span class="resume-tag">${escapeHtml(keyword)}</span>`).join('')}</p>`
+    : '';
+  return [
+    '<div class="resume-entry">',
+    `<div class="resume-entry-header"><h3>${title}</h3>${entry.dates ? `<span class="resume-entry-dates">${escapeHtml(entry.dates)}</span>` : ''}</div>`,
+    entry.subtitle ? `<p class="resume-entry-subtitle">${escapeHtml(entry.subtitle)}</p>` : '',
+    entry.summary ? `<p>${escapeHtml(entry.summary)}</p>` : '',
+    entry.highlights.length > 0 ? `<ul>${entry.highlights.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '',
+    tags,
+    '</div>',
+  ].filter(Boolean).join('\n');
+}
+
+function renderGroup(group) {
+  const label = [group.name, group.detail].filter(Boolean).join(' · ');
+  return `<div class="resume-tags"><span class="resume-tags-name">${escapeHtml(label)}</span>${group.keywords.map((keyword) => `<span class="resume-tag">${escapeHtml(keyword)}</span>`).join('')}</div>`;
+}
+
+function render(resume) {
+  const { basics } = resume;
+  const contact = contactItems(basics);
+  const blocks = [
+    `<h1>${escapeHtml(basics.name)}</h1>`,
+    basics.label ? `<p class="resume-label">${escapeHtml(basics.label)}</p>` : '',
+    contact.length > 0 ? `<p class="resume-contact">${contact.map((item) => `<span>${item}</span>`).join('')}</p>` : '',
+    basics.summary ? `<p class="resume-summary">${escapeHtml(basics.summary)}</p>` : '',
+  ];
+
+  for (const section of buildSections(resume)) {
+    blocks.push(`<h2 data-break-after="avoid">${escapeHtml(section.title)}</h2>`);
+    if (section.kind === 'entries') {
+      blocks.push(...section.entries.map(renderEntry));
+    } else {
+      blocks.push(...section.groups.map(renderGroup));
+    }
+  }
+
+  return documentHtml({
+    templateId: 'modern',
+    title: `${basics.name} – Resume`,
+    language: resume.meta && resume.meta.language,
+    css: CSS,
+    body: blocks.filter(Boolean).join('\n'),
+  });
+}
+
+module.exports = {
+  id: 'modern',
+  name: 'Modern',
+  description: 'Accent colour, bordered entries and skill tags',
+  render,
+};
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { API_KEY_SCOPES, loadApiKeyConfig, createApiKeyStore } = require('../lib/api-keys');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+test('keys authenticate by any of their secrets, raw or hashed', () => {
+  const store = createApiKeyStore([
+    { name: 'web', keys: ['web-secret', `sha256:${sha256Hex('web-next')}`] },
+    { name: 'ops', key: 'ops-secret', scopes: ['admin'] },
+  ]);
+  assert.strictEqual(store.size, 2);
+  assert.strictEqual(store.authenticate('web-secret').key.name, 'web');
+  assert.strictEqual(store.authenticate('web-next').key.name, 'web');
+  assert.strictEqual(store.authenticate('ops-secret').key.name, 'ops');
+  assert.deepStrictEqual(store.authenticate('wrong'), { error: 'invalid' });
+  assert.deepStrictEqual(store.authenticate(undefined), { error: 'invalid' });
+});
+
+test('expired keys and rotated-out secrets are rejected', () => {
+  const past = new Date(Date.now() - 1000).toISOString();
+  const future = new Date(Date.now() + DAY_MS).toISOString();
+  const store = createApiKeyStore([
+    { name: 'old', key: 'old-secret', expiresAt: past },
+    { name: 'rotating', keys: [{ key: 'previous', expiresAt: past }, { key: 'current', expiresAt: future }] },
+  ]);
+  assert.deepStrictEqual(store.authenticate('old-secret'), { error: 'expired' });
+  assert.deepStrictEqual(store.authenticate('previous'), { error: 'expired' });
+  assert.strictEqual(store.authenticate('current').key.name, 'rotating');
+});
+
+test('scopes default to render and layout and accept a single string', () => {
+  const store = createApiKeyStore([
+    { name: 'default', key: 'a' },
+    { name: 'renderer', key: 'b', scopes: 'render' },
+    { name: 'ops', key: 'c', scopes: ['admin'] },
+  ]);
+  assert.deepStrictEqual(store.list().map((key) => key.scopes), [['render', 'layout'], ['render'], ['admin']]);
+});
+
+test('a scraper key can be limited to the metrics scope', () => {
+  const store = createApiKeyStore([{ name: 'scraper', key: 'scrape-secret', scopes: 'metrics' }]);
+  assert.ok(API_KEY_SCOPES.includes('metrics'));
+  assert.deepStrictEqual(store.authenticate('scrape-secret').key.scopes, ['metrics']);
+});
+
+test('invalid key definitions fail with the key name', () => {
+  const invalid = [
+    [{ name: 'x', key: 'a', scopes: ['render', 'root'] }, /API key "x": unknown scopes root/],
+    [{ name: 'x', key: 'a', scopes: 7 }, /API key "x": scopes must be a scope name or an array/],
+    [{ name: 'x' }, /API key "x": provide key or keys/],
+    [{ name: 'x', keys: [''] }, /non-empty key/],
+    [{ name: 'x', key: 'a', expiresAt: 'soon' }, /invalid expiresAt "soon"/],
+    [{ name: 'x', key: 'a', rateLimit: { requests: 0 } }, /rateLimit needs a positive integer/],
+    [{ name: 'x', key: 'a', rateLimit: { routes: { '/layout': { requests: 5, windowMs: -1 } } } }, /rateLimit.routes\["\/layout"\]/],
+    [{ name: 'x', key: 'a', dailyQuota: 1.5 }, /dailyQuota must be a positive integer/],
+    ['key', /API key #1: expected an object/],
+  ];
+  for (const [config, message] of invalid) {
+    assert.throws(() => createApiKeyStore([config]), message);
+  }
+  assert.throws(() => createApiKeyStore([{ name: 'x', key: 'a' }, { name: 'x', key: 'b' }]), /defined twice/);
+});
+
+test('the daily quota counts requests per key and resets at UTC midnight', () => {
+  const store = createApiKeyStore([{ name: 'small', key: 'a', dailyQuota: 2 }, { name: 'unlimited', key: 'b' }]);
+  const small = store.authenticate('a').key;
+  const resetAt = (Math.floor(Date.now() / DAY_MS) + 1) * DAY_MS;
+
+  assert.deepStrictEqual(store.consumeQuota(small), { allowed: true, limit: 2, remaining: 1, resetAt });
+  assert.deepStrictEqual(store.consumeQuota(small), { allowed: true, limit: 2, remaining: 0, resetAt });
+  assert.deepStrictEqual(store.consumeQuota(small), { allowed: false, limit: 2, remaining: 0, resetAt });
+  assert.strictEqual(store.consumeQuota(store.authenticate('b').key).allowed, true);
+  assert.deepStrictEqual(store.list().map((key) => key.usedToday), [2, 0]);
+});
+
+test('a failed render gets its quota unit back', () => {
+  const store = createApiKeyStore([{ name: 'small', key: 'a', dailyQuota: 1 }]);
+  const small = store.authenticate('a').key;
+
+  assert.strictEqual(store.consumeQuota(small).allowed, true);
+  store.refundQuota(small);
+  assert.deepStrictEqual(store.list().map((key) => key.usedToday), [0]);
+  assert.strictEqual(store.consumeQuota(small).remaining, 0);
+  assert.strictEqual(store.consumeQuota(small).allowed, false);
+  // Refunds never take the count below zero
+  store.refundQuota(small);
+  store.refundQuota(small);
+  assert.deepStrictEqual(store.list().map((key) => key.usedToday), [0]);
+});
+
+test('listed keys never include their secrets', () => {
+  const store = createApiKeyStore([{ name: 'web', keys: ['web-secret', { key: 'next', expiresAt: '2030-01-01' }] }]);
+  const [listed] = store.list();
+  assert.deepStrictEqual(listed.secrets, [{ expiresAt: null }, { expiresAt: '2030-01-01T00:00:00.000Z' }]);
+  assert.ok(!JSON.stringify(listed).includes('web-secret'));
+});
+
+test('key definitions are read from the file, the JSON variable and the legacy key', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'keys.json');
+  fs.writeFileSync(file, JSON.stringify([{ name: 'from-file', key: 'f' }]));
+
+  const configs = loadApiKeyConfig({
+    API_KEYS_FILE: file,
+    API_KEYS: JSON.stringify([{ name: 'from-env', key: 'e' }]),
+    PDF_SERVICE_API_KEY: 'legacy',
+  });
+  assert.deepStrictEqual(configs.map((config) => config.name), ['from-file', 'from-env', 'default']);
+  assert.deepStrictEqual(configs[2].scopes, API_KEY_SCOPES);
+  assert.deepStrictEqual(loadApiKeyConfig({}), []);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { checkAtsReadability } = require('../lib/ats-check');
+
+async function textPdf(lines) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const page = doc.addPage([595, 842]);
+  lines.forEach((line, index) => page.drawText(line, { x: 50, y: 800 - index * 20, size: 10, font }));
+  return Buffer.from(await doc.save());
+}
+
+const RESUME = ['Jane Doe', 'jane@example.com', '+1 555 123 4567'];
+
+test('a resume whose text layer matches passes', async () => {
+  const pdf = await textPdf(RESUME);
+  const ats = await checkAtsReadability(pdf, { text: RESUME.join('\n'), links: ['mailto:jane@example.com', 'tel:+15551234567'] });
+  assert.deepStrictEqual(ats.issues, []);
+  assert.deepStrictEqual(ats.contact, { emails: ['jane@example.com'], phones: ['+1 555 123 4567'] });
+});
+
+test('an email that is only a link target is reported as missing', async () => {
+  const pdf = await textPdf(['Jane Doe', 'Email me', '+1 555 123 4567']);
+  const ats = await checkAtsReadability(pdf, { text: 'Jane Doe\nEmail me\n+1 555 123 4567', links: ['mailto:jane%40example.com?subject=Hi'] });
+  const [issue] = ats.issues.filter((entry) => entry.type === 'contact-missing');
+  assert.strictEqual(issue.expected, 'jane@example.com');
+  assert.match(issue.message, /only a link target/);
+});
+
+test('link targets with malformed percent-encoding are compared as written', async () => {
+  const pdf = await textPdf(RESUME);
+  const ats = await checkAtsReadability(pdf, { text: RESUME.join('\n'), links: ['mailto:bad%E0@x.com', 'tel:%'] });
+  const missing = ats.issues.filter((issue) => issue.type === 'contact-missing');
+  assert.deepStrictEqual(missing.map((issue) => [issue.field, issue.expected]), [['email', 'bad%E0@x.com'], ['phone', '%']]);
+});
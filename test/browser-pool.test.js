@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowserPool, NETWORK_ISOLATION_ARGS, serverlessLaunchArgs } = require('../lib/browser-pool');
+
+// Enough of a puppeteer Browser for the pool: contexts with pages, version()
+// for the health check and the disconnected event
+function createFakeBrowser() {
+  const listeners = {};
+  const browser = {
+    connected: true,
+    closed: false,
+    hang: false,
+    contexts: [],
+    on(event, handler) {
+      listeners[event] = handler;
+    },
+    async createBrowserContext() {
+      const context = {
+        closed: false,
+        async newPage() {
+          return { context };
+        },
+        async close() {
+          context.closed = true;
+        },
+      };
+      browser.contexts.push(context);
+      return context;
+    },
+    version() {
+      return browser.hang ? new Promise(() => {}) : Promise.resolve('HeadlessChrome/143');
+    },
+    async close() {
+      browser.closed = true;
+      browser.connected = false;
+    },
+    crash() {
+      browser.connected = false;
+      listeners.disconnected();
+    },
+  };
+  return browser;
+}
+
+function createTestPool(options = {}) {
+  const browsers = [];
+  const pool = createBrowserPool({
+    size: 1,
+    launch: async () => {
+      const browser = createFakeBrowser();
+      browsers.push(browser);
+      return browser;
+    },
+    ...options,
+  });
+  return { pool, browsers };
+}
+
+// Pool cleanup runs in the background after release()
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('acquire opens a page in its own context and release closes it', async () => {
+  const { pool, browsers } = createTestPool();
+  const lease = await pool.acquire();
+  assert.strictEqual(browsers.length, 1);
+  assert.strictEqual(lease.page.context, lease.context);
+  assert.strictEqual(lease.context.closed, false);
+
+  await lease.release();
+  assert.strictEqual(lease.context.closed, true);
+  assert.strictEqual(browsers[0].closed, false);
+
+  // The warm browser is reused
+  const second = await pool.acquire();
+  assert.strictEqual(second.browserId, lease.browserId);
+  assert.notStrictEqual(second.context, lease.context);
+  await second.release();
+  await pool.destroy();
+  assert.strictEqual(browsers[0].closed, true);
+});
+
+test('pool messages go to the logger it was given', async () => {
+  const messages = [];
+  const logger = {
+    log: (message) => messages.push(['log', message]),
+    warn: (message) => messages.push(['warn', message]),
+    error: (message) => messages.push(['error', message]),
+  };
+  const { pool } = createTestPool({ maxRendersPerBrowser: 1, logger });
+  const lease = await pool.acquire();
+  await lease.release();
+  await settle();
+  assert.deepStrictEqual(messages, [['log', '[PDF Service] Closing pooled browser #1 (reached 1 renders)']]);
+  await pool.destroy();
+});
+
+test('release is idempotent', async () => {
+  const { pool } = createTestPool();
+  const lease = await pool.acquire();
+  await lease.release();
+  await lease.release();
+  assert.strictEqual(pool.stats().browsers[0].active, 0);
+  await pool.destroy();
+});
+
+test('browsers are recycled after maxRendersPerBrowser renders', async () => {
+  const { pool, browsers } = createTestPool({ maxRendersPerBrowser: 2 });
+  for (let index = 0; index < 2; index++) {
+    const lease = await pool.acquire();
+    await lease.release();
+  }
+  await settle();
+  assert.strictEqual(browsers[0].closed, true);
+
+  const lease = await pool.acquire();
+  assert.strictEqual(browsers.length, 2);
+  await lease.release();
+  await pool.destroy();
+});
+
+test('a crashed browser is replaced on the next acquire', async () => {
+  const { pool, browsers } = createTestPool();
+  const lease = await pool.acquire();
+  browsers[0].crash();
+  await lease.release({ failed: true });
+
+  const next = await pool.acquire();
+  assert.notStrictEqual(next.browserId, lease.browserId);
+  await next.release();
+  await pool.destroy();
+});
+
+test('a failed health check waits for renders in flight before closing the browser', async () => {
+  const { pool, browsers } = createTestPool({ healthCheckTimeoutMs: 10 });
+  const lease = await pool.acquire();
+  browsers[0].hang = true;
+
+  await pool.checkHealth();
+  await settle();
+  assert.strictEqual(browsers[0].closed, false);
+  assert.strictEqual(pool.stats().browsers[0].retiring, true);
+
+  // New renders go to a fresh browser
+  const other = await pool.acquire();
+  assert.notStrictEqual(other.browserId, lease.browserId);
+
+  await lease.release();
+  await settle();
+  assert.strictEqual(browsers[0].closed, true);
+  await other.release();
+  await pool.destroy();
+});
+
+test('acquire fails once the pool is destroyed', async () => {
+  const { pool } = createTestPool();
+  await pool.destroy();
+  await assert.rejects(pool.acquire(), /shut down/);
+});
+
+test('serverless launch arguments leave out --single-process', () => {
+  const args = serverlessLaunchArgs(['--no-zygote', '--single-process', '--use-gl=angle']);
+  assert.ok(!args.includes('--single-process'));
+  assert.ok(args.includes('--no-zygote'));
+  assert.ok(args.includes('--no-sandbox'));
+});
+
+test('serverless launch arguments keep web security on', () => {
+  const args = serverlessLaunchArgs(['--disable-web-security', '--allow-running-insecure-content', '--mute-audio']);
+  assert.ok(!args.includes('--disable-web-security'));
+  assert.ok(!args.includes('--allow-running-insecure-content'));
+  assert.ok(args.includes('--mute-audio'));
+});
+
+test('serverless browsers resolve no host names and have no direct network route', () => {
+  const args = serverlessLaunchArgs([]);
+  for (const arg of NETWORK_ISOLATION_ARGS) {
+    assert.ok(args.includes(arg), arg);
+  }
+  assert.ok(args.includes('--host-resolver-rules=MAP * ~NOTFOUND'));
+});
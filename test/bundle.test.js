@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { createRenderer } = require('../lib/renderer');
+const { RenderTimeoutError } = require('../lib/deadline');
+
+const quiet = { log() {}, info() {}, warn() {}, error() {} };
+
+// Bundles of uploaded PDFs never touch the browser pool
+function createTestRenderer() {
+  return createRenderer({
+    logger: quiet,
+    browserPool: { acquire: () => assert.fail('no browser needed'), destroy: async () => {} },
+  });
+}
+
+async function pdfBase64(pageCount) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  for (let index = 0; index < pageCount; index++) {
+    doc.addPage([595, 842]).drawText(`Page ${index + 1}`, { x: 50, y: 800, size: 12, font });
+  }
+  return Buffer.from(await doc.save()).toString('base64');
+}
+
+test('uploaded PDFs are merged in order', async () => {
+  const renderer = createTestRenderer();
+  const { options } = await renderer.resolveBundleRequest({
+    parts: [{ pdf: await pdfBase64(2), title: 'Resume' }, { pdf: await pdfBase64(1), title: 'References' }],
+  });
+  const result = await renderer.renderBundle(options);
+  assert.strictEqual(result.pageCount, 3);
+  assert.deepStrictEqual(result.parts.map((part) => [part.title, part.startPage, part.pageCount]), [['Resume', 1, 2], ['References', 3, 1]]);
+});
+
+test('a merge that runs past the deadline fails with a timeout', async () => {
+  const renderer = createTestRenderer();
+  const pdf = await pdfBase64(300);
+  const { options } = await renderer.resolveBundleRequest({ parts: [{ pdf }, { pdf }, { pdf }] });
+  const stages = [];
+
+  await assert.rejects(
+    renderer.renderBundle({ ...options, timeoutMs: 5 }, (stage) => stages.push(stage)),
+    (error) => error instanceof RenderTimeoutError && error.stage === 'merging' && error.timeoutMs === 5
+  );
+  assert.deepStrictEqual(stages, ['merging']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFontRegistry } = require('../lib/fonts');
+const { getTemplate, listTemplates } = require('../lib/templates');
+
+const registry = createFontRegistry({ dir: path.join(__dirname, '..', 'fonts') });
+
+test('every template prints with bundled faces of its own font family', () => {
+  const bundled = registry.list().faces;
+  for (const { id } of listTemplates()) {
+    const html = getTemplate(id).render({ basics: { name: 'Ada Lovelace' } });
+    const family = html.match(/font-family: '([^']+)'/)[1];
+    const required = registry.requiredFaces(id);
+
+    assert.ok(required.length > 0, `${id} requires no fonts`);
+    for (const face of required) {
+      assert.strictEqual(face.family, family, `${id} requires ${face.family} but uses ${family}`);
+      assert.ok(
+        bundled.some((candidate) => candidate.family === face.family && candidate.weight === face.weight && candidate.style === face.style),
+        `${face.family} ${face.weight} ${face.style} is not bundled for ${id}`
+      );
+    }
+    assert.match(registry.fontFaceCss([family]), new RegExp(`@font-face \\{ font-family: "${family}"`));
+  }
+});
+
+test('subset faces are injected with their unicode-range', () => {
+  const css = registry.fontFaceCss(['Raleway']).split('\n');
+  assert.ok(css.length > 1);
+  for (const rule of css) {
+    assert.match(rule, /src: url\(data:font\/woff2;base64,[^)]+\) format\('woff2'\); unicode-range: U\+[0-9A-F]/);
+  }
+});
+
+test('manifest faces with an invalid unicodeRange are skipped', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fonts-'));
+  try {
+    fs.copyFileSync(path.join(registry.dir, 'inter-latin-400-normal.woff2'), path.join(dir, 'inter.woff2'));
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+      faces: [
+        { family: 'Inter', weight: 400, file: 'inter.woff2', unicodeRange: 'U+0000-00FF' },
+        { family: 'Inter', weight: 700, file: 'inter.woff2', unicodeRange: 'U+0000-00FF; } body { color: red' },
+      ],
+    }));
+    const faces = createFontRegistry({ dir }).list().faces;
+    assert.deepStrictEqual(faces.map((face) => face.weight), [400]);
+    assert.strictEqual(faces[0].unicodeRange, 'U+0000-00FF');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
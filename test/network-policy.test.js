@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { isPrivateAddress, fetchUrl, createNetworkPolicy, createAssetRegistry, applyNetworkPolicy } = require('../lib/network-policy');
+
+// DNS answers for the policy, without touching the network
+const fakeLookup = (table) => async (host) => {
+  if (!table[host]) throw new Error(`ENOTFOUND ${host}`);
+  return table[host].map((address) => ({ address }));
+};
+const LOOKUP = fakeLookup({
+  'example.com': ['93.184.216.34'],
+  'cdn.example.com': ['93.184.216.35'],
+  'intranet.example.com': ['10.0.0.5'],
+  'rebind.example.com': ['93.184.216.36', '127.0.0.1'],
+});
+
+test('private, loopback and reserved addresses are recognised', () => {
+  for (const address of ['10.1.2.3', '127.0.0.1', '0.0.0.0', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '224.0.0.1', '255.255.255.255', '::', '::1', 'fc00::1', 'fd12::1', 'fe80::1', 'ff02::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a00:1']) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '172.32.0.1', '100.128.0.1', '8.8.8.8', '2606:2800:220:1::1', '::ffff:5db8:d822', 'example.com']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('documentation, benchmarking and IPv4-embedding ranges are recognised', () => {
+  for (const address of ['198.18.0.1', '198.19.255.255', '192.0.0.8', '192.0.2.1', '198.51.100.7', '203.0.113.9',
+    '0.1.2.3', '100.127.255.255', '::ffff:0.0.0.0', '::127.0.0.1', '::7f00:1', '64:ff9b::a9fe:a9fe', '64:ff9b::10.0.0.1',
+    '2002:a00:1::1', 'fec0::1', '2001:db8::1', '2001:0:4136:e378::1', '::ffff:c612:1']) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['198.20.0.1', '198.17.255.255', '192.0.3.1', '203.0.114.1', '64:ff9b::5db8:d822', '2002:5db8:d822::1', '2001:4860::8888']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('the default policy allows public web URLs and inline data', async () => {
+  const policy = createNetworkPolicy({ allowHosts: [], denyHosts: [], allowPrivate: false, lookup: LOOKUP });
+  assert.strictEqual(await policy.check('https://example.com/logo.png'), null);
+  assert.strictEqual(await policy.check('http://example.com/'), null);
+  assert.strictEqual(await policy.check('data:image/png;base64,AAAA'), null);
+  assert.strictEqual(await policy.check('blob:https://example.com/1'), null);
+});
+
+test('schemes outside the allowed list are blocked', async () => {
+  const policy = createNetworkPolicy({ allowedSchemes: ['https'], allowHosts: [], denyHosts: [], allowPrivate: false, lookup: LOOKUP });
+  assert.strictEqual(await policy.check('file:///etc/passwd'), 'scheme');
+  assert.strictEqual(await policy.check('http://example.com/'), 'scheme');
+  assert.strictEqual(await policy.check('not a url'), 'invalid-url');
+});
+
+test('private destinations are blocked, by address or by what the host resolves to', async () => {
+  const policy = createNetworkPolicy({ allowHosts: [], denyHosts: [], allowPrivate: false, lookup: LOOKUP });
+  assert.strictEqual(await policy.check('http://127.0.0.1:8080/'), 'private-address');
+  assert.strictEqual(await policy.check('http://[::1]/'), 'private-address');
+  assert.strictEqual(await policy.check('http://[::ffff:169.254.169.254]/latest/meta-data'), 'private-address');
+  assert.strictEqual(await policy.check('http://localhost:3000/'), 'private-address');
+  assert.strictEqual(await policy.check('http://api.localhost/'), 'private-address');
+  assert.strictEqual(await policy.check('https://intranet.example.com/'), 'private-address');
+  // One private answer is enough
+  assert.strictEqual(await policy.check('https://rebind.example.com/'), 'private-address');
+  assert.strictEqual(await policy.check('https://unknown.example.com/'), 'dns-failed');
+
+  const open = createNetworkPolicy({ allowHosts: [], denyHosts: [], allowPrivate: true, lookup: LOOKUP });
+  assert.strictEqual(await open.check('http://127.0.0.1:8080/'), null);
+});
+
+test('WebSockets are blocked even when their scheme is configured', async () => {
+  const policy = createNetworkPolicy({ allowedSchemes: ['https', 'ws', 'wss'], allowHosts: [], denyHosts: [], allowPrivate: true, lookup: LOOKUP });
+  assert.strictEqual(await policy.check('wss://example.com/socket'), 'websocket');
+  assert.strictEqual(await policy.check('ws://example.com/socket'), 'websocket');
+});
+
+test('allow and deny lists match hosts exactly or by subdomain wildcard', async () => {
+  const policy = createNetworkPolicy({
+    allowHosts: ['example.com', '*.example.com'],
+    denyHosts: ['cdn.example.com'],
+    allowPrivate: false,
+    lookup: LOOKUP,
+  });
+  assert.strictEqual(await policy.check('https://example.com/'), null);
+  assert.strictEqual(await policy.check('https://cdn.example.com/font.woff2'), 'denied-host');
+  assert.strictEqual(await policy.check('https://example.org/'), 'not-allowlisted');
+  assert.strictEqual(await policy.check('https://notexample.com/'), 'not-allowlisted');
+  assert.deepStrictEqual(policy.describe(), {
+    allowedSchemes: ['http', 'https', 'data', 'blob'],
+    allowHosts: ['example.com', '*.example.com'],
+    denyHosts: ['cdn.example.com'],
+    allowPrivate: false,
+  });
+});
+
+test('a DNS lookup that hangs counts as failed', { timeout: 10000 }, async () => {
+  const policy = createNetworkPolicy({ allowHosts: [], denyHosts: [], allowPrivate: false, lookup: () => new Promise(() => {}) });
+  assert.strictEqual(await policy.check('https://slow.example.com/'), 'dns-failed');
+});
+
+test('the asset registry serves known files from its directory only', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'logos'));
+  fs.writeFileSync(path.join(dir, 'logos', 'acme logo.png'), 'png');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'text');
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ urls: { 'https://cdn.example.com/acme.png': 'logos/acme logo.png' } }));
+
+  const assets = createAssetRegistry({ dir, baseUrl: 'https://assets.test/' });
+  assert.deepStrictEqual(assets.resolve('https://assets.test/logos/acme%20logo.png?v=2#top'), {
+    filePath: path.join(dir, 'logos', 'acme logo.png'),
+    contentType: 'image/png',
+  });
+  assert.strictEqual(assets.resolve('https://cdn.example.com/acme.png').contentType, 'image/png');
+  // Unknown types, missing files and paths outside the directory are not served
+  assert.strictEqual(assets.resolve('https://assets.test/notes.txt'), null);
+  assert.strictEqual(assets.resolve('https://assets.test/logos/missing.png'), null);
+  assert.strictEqual(assets.resolve('https://assets.test/..%2F..%2Fetc%2Fpasswd.png'), null);
+  assert.strictEqual(assets.resolve('https://example.com/logos/acme%20logo.png'), null);
+});
+
+async function startServer(t, handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return server.address().port;
+}
+
+test('fetches connect where the lookup says, decode the body and leave redirects alone', async (t) => {
+  const port = await startServer(t, (req, res) => {
+    if (req.url === '/old') {
+      res.writeHead(302, { Location: '/new' });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/css', 'Content-Encoding': 'gzip', 'X-Host': req.headers.host });
+    res.end(zlib.gzipSync('body { color: red }'));
+  });
+  // pinned.test has no DNS entry: the connection can only come from the lookup
+  const lookup = (hostname, options, callback) => (options.all
+    ? callback(null, [{ address: '127.0.0.1', family: 4 }])
+    : callback(null, '127.0.0.1', 4));
+
+  const response = await fetchUrl(`http://pinned.test:${port}/style.css`, { lookup });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.toString(), 'body { color: red }');
+  assert.strictEqual(response.headers['content-encoding'], undefined);
+  assert.strictEqual(response.headers['x-host'], `pinned.test:${port}`);
+
+  const redirect = await fetchUrl(`http://pinned.test:${port}/old`, { lookup });
+  assert.deepStrictEqual([redirect.status, redirect.headers.location], [302, '/new']);
+});
+
+test('policy fetches reuse the checked addresses instead of looking the host up again', { timeout: 10000 }, async () => {
+  // The second answer would point at the instance metadata service
+  const answers = [['93.184.216.34'], ['169.254.169.254']];
+  let lookups = 0;
+  const policy = createNetworkPolicy({
+    allowHosts: [],
+    denyHosts: [],
+    allowPrivate: false,
+    lookup: async () => answers[lookups++].map((address) => ({ address })),
+  });
+  // 93.184.216.34 is unreachable from the tests (port 9 is closed or filtered), so the fetch fails either way
+  await assert.rejects(policy.fetch('http://rebind.test:9/', { timeoutMs: 200 }), (error) => !['ENOTFOUND', 'EAI_AGAIN'].includes(error.code));
+  assert.strictEqual(lookups, 1);
+
+  assert.deepStrictEqual(await policy.fetch('http://127.0.0.1:9/'), { blocked: 'private-address' });
+});
+
+// Enough of a puppeteer Page and its requests for applyNetworkPolicy
+function createFakePage() {
+  const mainFrame = {};
+  const page = {
+    mainFrame: () => mainFrame,
+    setRequestInterception: async () => {},
+    on: (event, handler) => {
+      page.handler = handler;
+    },
+    async request(url, { navigation = false, method = 'GET' } = {}) {
+      let resolution;
+      const handled = new Promise((resolve) => {
+        resolution = resolve;
+      });
+      const request = {
+        url: () => url,
+        method: () => method,
+        headers: () => ({ accept: '*/*', 'accept-encoding': 'gzip', 'if-none-match': '"x"' }),
+        postData: () => undefined,
+        resourceType: () => 'image',
+        isNavigationRequest: () => navigation,
+        frame: () => mainFrame,
+        isInterceptResolutionHandled: () => false,
+        abort: async (reason) => resolution({ action: 'abort', reason }),
+        continue: async () => resolution({ action: 'continue' }),
+        respond: async (response) => resolution({ action: 'respond', response }),
+      };
+      page.handler(request);
+      return handled;
+    },
+  };
+  return page;
+}
+
+test('allowed http requests are fetched by the service and answered to the page', async (t) => {
+  const seen = [];
+  const port = await startServer(t, (req, res) => {
+    seen.push(req.headers);
+    res.writeHead(req.url === '/moved' ? 301 : 200, { 'Content-Type': 'image/png', Location: '/logo.png', 'Set-Cookie': 'a=1' });
+    res.end('png');
+  });
+  const policy = createNetworkPolicy({ allowHosts: [], denyHosts: [], allowPrivate: true, lookup: LOOKUP });
+  const assets = { resolve: () => null };
+  const page = createFakePage();
+  const report = await applyNetworkPolicy(page, { policy, assets });
+
+  const { action, response } = await page.request(`http://127.0.0.1:${port}/logo.png`);
+  assert.strictEqual(action, 'respond');
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.toString(), 'png');
+  assert.strictEqual(response.headers['content-type'], 'image/png');
+  assert.strictEqual(response.headers['set-cookie'], undefined);
+  // Conditional headers would earn a 304 the page has nothing cached for
+  assert.strictEqual(seen[0]['if-none-match'], undefined);
+  assert.strictEqual(seen[0].accept, '*/*');
+
+  const moved = await page.request(`http://127.0.0.1:${port}/moved`);
+  assert.deepStrictEqual([moved.response.status, moved.response.headers.location], [301, `http://127.0.0.1:${port}/logo.png`]);
+
+  assert.deepStrictEqual(await page.request('data:image/png;base64,AAAA'), { action: 'continue' });
+  assert.deepStrictEqual(await page.request('https://example.com/', { navigation: true }), { action: 'abort', reason: 'blockedbyclient' });
+  assert.deepStrictEqual(report.blocked, [{ url: 'https://example.com/', reason: 'navigation', resourceType: 'image' }]);
+  assert.strictEqual(report.allowed, 3);
+});
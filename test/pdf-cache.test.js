@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pdfCacheKey, createMemoryPdfCacheStore, createDiskPdfCacheStore } = require('../lib/pdf-cache');
+
+const OPTIONS = {
+  html: '<p>Jane</p>',
+  templateId: 'classic',
+  viewMode: 'page',
+  pageDimensions: { width: 210, height: 297 },
+  marginMm: { top: 10, right: 10, bottom: 10, left: 10 },
+  metadata: { title: 'Jane', keywords: [] },
+};
+const key = (name) => pdfCacheKey({ ...OPTIONS, html: name }, 'fonts');
+const entry = (text, meta = {}) => ({ buffer: Buffer.from(text), meta });
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('cache keys depend on what changes the PDF and nothing else', () => {
+  const base = pdfCacheKey(OPTIONS, 'fonts');
+  assert.match(base, /^[0-9a-f]{64}$/);
+
+  // Key order and options that don't change the output are ignored
+  const reordered = Object.fromEntries(Object.entries(OPTIONS).reverse());
+  assert.strictEqual(pdfCacheKey({ ...reordered, timeoutMs: 5000, signal: {} }, 'fonts'), base);
+  assert.strictEqual(pdfCacheKey({ ...OPTIONS, metadata: { keywords: [], title: 'Jane' } }, 'fonts'), base);
+
+  assert.notStrictEqual(pdfCacheKey({ ...OPTIONS, html: '<p>John</p>' }, 'fonts'), base);
+  assert.notStrictEqual(pdfCacheKey({ ...OPTIONS, marginMm: { ...OPTIONS.marginMm, top: 12 } }, 'fonts'), base);
+  assert.notStrictEqual(pdfCacheKey(OPTIONS, 'other-fonts'), base);
+});
+
+test('memory store returns what was set until it is deleted', async () => {
+  const store = createMemoryPdfCacheStore();
+  await store.set(key('a'), entry('pdf-a', { pageCount: 1 }));
+
+  const hit = await store.get(key('a'));
+  assert.strictEqual(hit.buffer.toString(), 'pdf-a');
+  assert.deepStrictEqual(hit.meta, { pageCount: 1 });
+  assert.strictEqual(await store.get(key('b')), null);
+
+  assert.strictEqual(await store.delete(key('a')), true);
+  assert.strictEqual(await store.delete(key('a')), false);
+  assert.strictEqual(await store.get(key('a')), null);
+});
+
+test('memory store evicts the least recently used entries', async () => {
+  const store = createMemoryPdfCacheStore({ maxEntries: 2, maxBytes: 10 });
+  await store.set(key('a'), entry('aaa'));
+  await store.set(key('b'), entry('bbb'));
+  await store.get(key('a'));
+  await store.set(key('c'), entry('ccc'));
+  assert.strictEqual(await store.get(key('b')), null);
+  assert.ok(await store.get(key('a')));
+
+  // Over maxBytes: the oldest entries go until the new one fits
+  await store.set(key('d'), entry('dddddddd'));
+  assert.deepStrictEqual(await store.stats(), { store: 'memory', entries: 1, bytes: 8, maxEntries: 2, maxBytes: 10, ttlMs: 24 * 60 * 60 * 1000 });
+
+  // A PDF larger than the whole cache is not stored
+  await store.set(key('e'), entry('e'.repeat(11)));
+  assert.strictEqual(await store.get(key('e')), null);
+  assert.ok(await store.get(key('d')));
+});
+
+test('memory store treats expired entries as missing', async () => {
+  const store = createMemoryPdfCacheStore({ ttlMs: 5 });
+  await store.set(key('a'), entry('pdf'));
+  await sleep(20);
+  assert.strictEqual(await store.get(key('a')), null);
+  assert.strictEqual((await store.stats()).entries, 0);
+});
+
+test('memory store clear reports how many entries it removed', async () => {
+  const store = createMemoryPdfCacheStore();
+  await store.set(key('a'), entry('a'));
+  await store.set(key('b'), entry('b'));
+  assert.strictEqual(await store.clear(), 2);
+  assert.deepStrictEqual([(await store.stats()).entries, (await store.stats()).bytes], [0, 0]);
+});
+
+test('disk store keeps entries across restarts', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = createDiskPdfCacheStore({ dir });
+  await store.set(key('a'), entry('pdf-a', { pageCount: 2 }));
+  // Only content addresses are accepted as keys
+  await store.set('../escape', entry('nope'));
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), [`${key('a')}.json`, `${key('a')}.pdf`]);
+
+  const restarted = createDiskPdfCacheStore({ dir });
+  const hit = await restarted.get(key('a'));
+  assert.strictEqual(hit.buffer.toString(), 'pdf-a');
+  assert.deepStrictEqual(hit.meta, { pageCount: 2 });
+  assert.strictEqual((await restarted.stats()).entries, 1);
+});
+
+test('disk store drops entries whose files are damaged', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = createDiskPdfCacheStore({ dir });
+  await store.set(key('a'), entry('pdf-a'));
+  fs.writeFileSync(path.join(dir, `${key('a')}.json`), '{not json');
+  assert.strictEqual(await store.get(key('a')), null);
+  assert.strictEqual((await store.stats()).entries, 0);
+});
+
+test('disk store delete and clear remove the files', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = createDiskPdfCacheStore({ dir });
+  await store.set(key('a'), entry('a'));
+  await store.set(key('b'), entry('b'));
+  assert.strictEqual(await store.delete(key('a')), true);
+  assert.strictEqual(await store.delete('not-a-key'), false);
+  assert.strictEqual(await store.clear(), 1);
+
+  // Files are removed in the background
+  for (let attempt = 0; attempt < 50 && fs.readdirSync(dir).length > 0; attempt++) {
+    await sleep(10);
+  }
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
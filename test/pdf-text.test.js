@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
+const { extractPdfText } = require('../lib/pdf-text');
+
+const hex = (text) => `<${Array.from(text, (char) => char.charCodeAt(0).toString(16).padStart(4, '0')).join('')}>`;
+
+// A page drawn with a Type0 font whose ToUnicode CMap maps 0x20-0x7E to ASCII
+// and 0x0100 to the "fi" ligature, the way Chromium embeds subset fonts.
+// `ops` are content stream operators inside BT ... ET.
+async function type0Pdf(ops) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([595, 842]);
+  const context = doc.context;
+  const toUnicode = context.register(context.flateStream(`/CIDInit /ProcSet findresource begin
+12 dict begin begincmap /CMapName /Adobe-Identity-UCS def
+1 begincodespacerange <0000> <FFFF> endcodespacerange
+1 beginbfrange <0020> <007E> <0020> endbfrange
+1 beginbfchar <0100> <FB01> endbfchar
+endcmap CMapName currentdict /CMap defineresource pop end end`));
+  const font = context.register(context.obj({
+    Type: 'Font',
+    Subtype: 'Type0',
+    BaseFont: 'ABCDEF+Raleway-Regular',
+    Encoding: 'Identity-H',
+    DescendantFonts: [context.obj({ Type: 'Font', Subtype: 'CIDFontType2', BaseFont: 'ABCDEF+Raleway-Regular', DW: 500 })],
+    ToUnicode: toUnicode,
+  }));
+  page.node.set(PDFName.of('Resources'), context.obj({ Font: { F1: font } }));
+  page.node.set(PDFName.of('Contents'), context.register(context.flateStream(['BT /F1 10 Tf', ...ops, 'ET'].join('\n'))));
+  return Buffer.from(await doc.save());
+}
+
+const at = (x, y, text) => `1 0 0 1 ${x} ${y} Tm ${hex(text)} Tj`;
+
+test('text is extracted page by page and line by line', async () => {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const first = doc.addPage([595, 842]);
+  first.drawText('Jane Doe', { x: 50, y: 800, size: 18, font });
+  first.drawText('Senior engineer', { x: 50, y: 770, size: 10, font });
+  first.drawText('2019 - 2021', { x: 480, y: 770, size: 10, font });
+  doc.addPage([595, 842]).drawText('References', { x: 50, y: 800, size: 10, font });
+
+  const { text, pages } = await extractPdfText(Buffer.from(await doc.save()));
+  assert.strictEqual(text, 'Jane Doe\nSenior engineer 2019 - 2021\n\nReferences');
+  assert.deepStrictEqual(pages.map((page) => [page.pageNumber, page.width, page.height]), [[1, 595, 842], [2, 595, 842]]);
+  assert.deepStrictEqual(pages[0].lines.map((line) => [line.y, line.size, line.text]), [
+    [800, 18, 'Jane Doe'],
+    [770, 10, 'Senior engineer 2019 - 2021'],
+  ]);
+  // The date is far enough right to be a segment of its own
+  assert.deepStrictEqual(pages[0].lines[1].segments.map((segment) => segment.text), ['Senior engineer', '2019 - 2021']);
+  assert.deepStrictEqual(pages[0].glyphs[0], { text: 'J', unmapped: false, font: 'Helvetica', x: 50, y: 800, width: 9, size: 18 });
+});
+
+test('ligatures read as their letters through ActualText', async () => {
+  const pdf = await type0Pdf([
+    `1 0 0 1 50 800 Tm ${hex('Head of')} Tj /Span <</ActualText <FEFF00660069>>> BDC <0100> Tj EMC ${hex('ce operations')} Tj`,
+  ]);
+  const { text, pages } = await extractPdfText(pdf);
+  assert.strictEqual(text, 'Head office operations');
+  // Subset prefixes are dropped from font names
+  assert.ok(pages[0].glyphs.every((glyph) => glyph.font === 'Raleway-Regular'));
+});
+
+test('glyphs without a Unicode mapping are flagged', async () => {
+  const pdf = await type0Pdf([at(50, 800, 'Name'), '1 0 0 1 50 780 Tm <01010101> Tj']);
+  const { pages } = await extractPdfText(pdf);
+  assert.ok(pages[0].glyphs.some((glyph) => glyph.unmapped));
+  assert.ok(pages[0].glyphs.filter((glyph) => !glyph.unmapped).every((glyph) => 'Name'.includes(glyph.text)));
+});
+
+test('text side by side on a line is kept apart in segments', async () => {
+  const sidebar = ['Skills', 'JavaScript', 'TypeScript'];
+  const main = ['Senior engineer at Acme', 'Led a team of eight', 'Cut checkout latency'];
+  const pdf = await type0Pdf(sidebar.flatMap((entry, index) => [at(50, 700 - index * 15, entry), at(200, 700 - index * 15, main[index])]));
+  const { pages } = await extractPdfText(pdf);
+  assert.deepStrictEqual(pages[0].lines.map((line) => line.segments.map((segment) => [segment.x, segment.text])), [
+    [[50, 'Skills'], [200, 'Senior engineer at Acme']],
+    [[50, 'JavaScript'], [200, 'Led a team of eight']],
+    [[50, 'TypeScript'], [200, 'Cut checkout latency']],
+  ]);
+});
+
+test('a buffer that is not a PDF is rejected', async () => {
+  await assert.rejects(extractPdfText(Buffer.from('not a pdf')));
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const {
+  evaluateWindow,
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore,
+  createRespClient,
+} = require('../lib/rate-limit');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('evaluateWindow allows requests under the limit', () => {
+  const result = evaluateWindow({ previous: 0, current: 0, now: 0, windowMs: 1000, limit: 3 });
+  assert.deepStrictEqual(result, { allowed: true, limit: 3, remaining: 2, resetMs: 1000, retryAfterMs: 0 });
+});
+
+test('evaluateWindow rejects a full window until it ends', () => {
+  const result = evaluateWindow({ previous: 0, current: 3, now: 250, windowMs: 1000, limit: 3 });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.remaining, 0);
+  assert.strictEqual(result.retryAfterMs, 750);
+});
+
+test('evaluateWindow weights the previous window by its overlap', () => {
+  // Half of the previous window still overlaps: 10 * 0.5 + 2 = 7 of 10
+  const allowed = evaluateWindow({ previous: 10, current: 2, now: 500, windowMs: 1000, limit: 10 });
+  assert.strictEqual(allowed.allowed, true);
+  assert.strictEqual(allowed.remaining, 2);
+
+  // 10 * 0.5 + 5 = 10: one more request fits once another tenth has slid out
+  const rejected = evaluateWindow({ previous: 10, current: 5, now: 500, windowMs: 1000, limit: 10 });
+  assert.strictEqual(rejected.allowed, false);
+  assert.strictEqual(rejected.retryAfterMs, 100);
+});
+
+test('memory store counts each id separately and only counts allowed requests', async () => {
+  const store = createMemoryRateLimitStore();
+  try {
+    const options = { limit: 2, windowMs: HOUR_MS };
+    assert.strictEqual((await store.hit('a', options)).allowed, true);
+    assert.strictEqual((await store.hit('a', options)).allowed, true);
+    const rejected = await store.hit('a', options);
+    assert.strictEqual(rejected.allowed, false);
+    assert.ok(rejected.retryAfterMs > 0);
+    assert.strictEqual((await store.hit('b', options)).allowed, true);
+  } finally {
+    await store.close();
+  }
+});
+
+test('memory store evicts the least recently used ids', async () => {
+  const store = createMemoryRateLimitStore({ maxEntries: 2 });
+  try {
+    const options = { limit: 1, windowMs: HOUR_MS };
+    await store.hit('a', options);
+    await store.hit('b', options);
+    await store.hit('a', options);
+    await store.hit('c', options);
+    assert.strictEqual(store.size(), 2);
+    // "b" was evicted, so it starts over
+    assert.strictEqual((await store.hit('b', options)).allowed, true);
+    assert.strictEqual((await store.hit('c', options)).allowed, false);
+  } finally {
+    await store.close();
+  }
+});
+
+// Parse one "*<n> $<len> <arg>..." command from the front of `text`
+function parseCommand(text) {
+  const lines = text.split('\r\n');
+  if (!lines[0].startsWith('*')) return null;
+  const count = Number(lines[0].slice(1));
+  if (lines.length < 2 + count * 2) return null;
+  const args = [];
+  for (let index = 0; index < count; index++) {
+    args.push(lines[2 + index * 2]);
+  }
+  return { args, length: lines.slice(0, 1 + count * 2).join('\r\n').length + 2 };
+}
+
+// A local stand-in for Redis with the commands the rate limit store uses.
+// HANG never replies; replies can be delayed to widen races.
+async function startStandIn({ delayMs = 0 } = {}) {
+  const data = new Map();
+  const commands = [];
+  const sockets = new Set();
+  let connections = 0;
+
+  const execute = ([name, key]) => {
+    switch (name.toUpperCase()) {
+      case 'INCR':
+      case 'DECR': {
+        const value = (Number(data.get(key)) || 0) + (name.toUpperCase() === 'INCR' ? 1 : -1);
+        data.set(key, String(value));
+        return `:${value}\r\n`;
+      }
+      case 'GET':
+        return data.has(key) ? `$${data.get(key).length}\r\n${data.get(key)}\r\n` : '$-1\r\n';
+      case 'PEXPIRE':
+        return ':1\r\n';
+      case 'AUTH':
+      case 'SELECT':
+        return '+OK\r\n';
+      case 'HANG':
+        return null;
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    connections++;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let command;
+      while ((command = parseCommand(buffer))) {
+        buffer = buffer.slice(command.length);
+        commands.push(command.args);
+        const reply = execute(command.args);
+        if (reply !== null) {
+          setTimeout(() => socket.destroyed || socket.write(reply), delayMs);
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    data,
+    commands,
+    connections: () => connections,
+    close() {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+test('redis store limits through a server speaking the Redis protocol', async () => {
+  const standIn = await startStandIn();
+  const store = createRedisRateLimitStore(createRespClient(standIn.url), { prefix: 'test:' });
+  try {
+    const options = { limit: 2, windowMs: HOUR_MS };
+    assert.strictEqual((await store.hit('key:a', options)).allowed, true);
+    assert.strictEqual((await store.hit('key:a', options)).allowed, true);
+    const rejected = await store.hit('key:a', options);
+    assert.strictEqual(rejected.allowed, false);
+    assert.strictEqual(rejected.remaining, 0);
+
+    // The rejected request was taken back out of the counter
+    const [counter] = [...standIn.data].find(([key]) => key.startsWith('test:key:a:'));
+    assert.strictEqual(standIn.data.get(counter), '2');
+    assert.ok(standIn.commands.some(([name, key]) => name === 'PEXPIRE' && key === counter));
+    assert.strictEqual(standIn.connections(), 1);
+  } finally {
+    await store.close();
+    await standIn.close();
+  }
+});
+
+test('resp client authenticates and selects the database from the URL', async () => {
+  const standIn = await startStandIn();
+  const client = createRespClient(standIn.url.replace('redis://', 'redis://user:s%40cret@') + '/2');
+  try {
+    assert.strictEqual(await client.command(['GET', 'missing']), null);
+    assert.deepStrictEqual(standIn.commands.slice(0, 2), [['AUTH', 'user', 's@cret'], ['SELECT', '2']]);
+    await assert.rejects(client.command(['NOPE']), /ERR unknown command/);
+  } finally {
+    await client.close();
+    await standIn.close();
+  }
+});
+
+test('resp client reconnects after a command times out', async () => {
+  const standIn = await startStandIn();
+  const client = createRespClient(standIn.url, { timeoutMs: 50 });
+  try {
+    await assert.rejects(client.command(['HANG']));
+    assert.strictEqual(await client.command(['INCR', 'n']), 1);
+    assert.strictEqual(standIn.connections(), 2);
+  } finally {
+    await client.close();
+    await standIn.close();
+  }
+});
+
+test('a stale socket closing does not drop the connection that replaced it', async () => {
+  const standIn = await startStandIn({ delayMs: 50 });
+  const client = createRespClient(standIn.url);
+  try {
+    assert.strictEqual(await client.command(['INCR', 'n']), 1);
+    await client.close();
+    // The old socket closes while this command waits on the new one
+    assert.strictEqual(await client.command(['INCR', 'n']), 2);
+    assert.strictEqual(await client.command(['INCR', 'n']), 3);
+    assert.strictEqual(standIn.connections(), 2);
+  } finally {
+    await client.close();
+    await standIn.close();
+  }
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate, toJsonSchema } = require('../lib/schema');
+const { createRenderer } = require('../lib/renderer');
+
+const PERSON = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 20 },
+    age: { type: 'integer', minimum: 0, maximum: 150 },
+    email: { type: 'string', pattern: /^\S+@\S+$/, message: 'must be an email address' },
+    role: { type: 'string', enum: ['admin', 'user'] },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+    size: { oneOf: [{ type: 'integer', minimum: 1 }, { type: 'object', required: ['width'], properties: { width: { type: 'number' } } }] },
+  },
+};
+
+test('a matching value has no problems', () => {
+  assert.deepStrictEqual(validate({ name: 'Ada', age: 36, email: 'ada@example.com', role: 'admin', tags: ['x'], size: 2 }, PERSON), []);
+});
+
+test('problems name the path and what was expected', () => {
+  assert.deepStrictEqual(validate({ age: 1.5, role: 'root', extra: true }, PERSON), [
+    { path: 'name', message: 'is required' },
+    { path: 'age', message: 'expected an integer, got number' },
+    { path: 'role', message: 'expected one of admin, user' },
+    { path: 'extra', message: 'unknown field' },
+  ]);
+  assert.deepStrictEqual(validate({ name: '   ', age: 200, email: 'nope' }, PERSON), [
+    { path: 'name', message: 'must not be empty' },
+    { path: 'age', message: 'expected an integer between 0 and 150' },
+    { path: 'email', message: 'must be an email address' },
+  ]);
+  assert.deepStrictEqual(validate({ name: 'a'.repeat(21), tags: ['a', 1] }, PERSON), [
+    { path: 'name', message: 'must be at most 20 characters' },
+    { path: 'tags[1]', message: 'expected a string, got number' },
+  ]);
+  assert.deepStrictEqual(validate({ name: 'Ada', tags: ['a', 'b', 'c'] }, PERSON), [
+    { path: 'tags', message: 'must have at most 2 items' },
+  ]);
+});
+
+test('null properties count as absent', () => {
+  assert.deepStrictEqual(validate({ name: 'Ada', age: null }, PERSON), []);
+  assert.deepStrictEqual(validate({ name: null }, PERSON), [{ path: 'name', message: 'is required' }]);
+});
+
+test('oneOf reports the errors of the alternative with the right type', () => {
+  assert.deepStrictEqual(validate({ name: 'Ada', size: 0 }, PERSON), [{ path: 'size', message: 'expected an integer of at least 1' }]);
+  assert.deepStrictEqual(validate({ name: 'Ada', size: {} }, PERSON), [{ path: 'size.width', message: 'is required' }]);
+  assert.deepStrictEqual(validate({ name: 'Ada', size: 'big' }, PERSON), [{ path: 'size', message: 'expected an integer or { width }' }]);
+});
+
+test('a base path prefixes every problem', () => {
+  assert.deepStrictEqual(validate({ name: 'Ada', age: -1 }, PERSON, 'parts[0]'), [
+    { path: 'parts[0].age', message: 'expected an integer between 0 and 150' },
+  ]);
+});
+
+test('toJsonSchema publishes patterns as strings and drops messages', () => {
+  const published = toJsonSchema(PERSON);
+  assert.strictEqual(published.properties.email.pattern, '^\\S+@\\S+$');
+  assert.strictEqual(published.properties.email.message, undefined);
+  assert.deepStrictEqual(published.properties.size.oneOf[0], { type: 'integer', minimum: 1 });
+  assert.doesNotThrow(() => JSON.stringify(published));
+});
+
+test('render requests are validated against the published schema', () => {
+  const renderer = createRenderer({ browserPool: {} });
+
+  const missing = renderer.resolveRenderRequest(null);
+  assert.strictEqual(missing.error, 'Invalid request');
+  assert.deepStrictEqual(missing.details.map((detail) => detail.path), ['html']);
+
+  const invalid = renderer.resolveRenderRequest({ html: '<p>x</p>', previewPageSize: 'A9', fitToPages: 0, colour: 'red' });
+  assert.deepStrictEqual(invalid.details.map((detail) => detail.path).sort(), ['colour', 'fitToPages', 'previewPageSize']);
+
+  const { options } = renderer.resolveRenderRequest({
+    html: '<p>x</p>',
+    footer: 'Page {{pageNumber}}',
+    fitToPages: 2,
+    metadata: { keywords: 'design, typescript,' },
+  });
+  assert.strictEqual(options.pageSize, 'A4');
+  assert.strictEqual(options.viewMode, 'page');
+  assert.deepStrictEqual(options.headerFooter.footer, { template: 'Page {{pageNumber}}', heightMm: 8, skipFirstPage: false });
+  assert.strictEqual(options.headerFooter.header, null);
+  assert.deepStrictEqual(options.fitToPages, { pages: 2, minScale: 0.85, minLineHeight: 0.85, minSpacing: 0.5 });
+  assert.deepStrictEqual(options.metadata.keywords, ['design', 'typescript']);
+});